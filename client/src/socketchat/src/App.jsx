@@ -1,9 +1,10 @@
 // App.jsx - Main application component
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import LoginScreen from './components/LoginScreen';
 import ChatLayout from './components/ChatLayout';
 import { useSocket } from './hooks/useSocket';
+import { getToken, saveToken, clearToken, decodeToken, authenticate } from './utils/auth';
 
 /**
  * Main App Component
@@ -17,45 +18,41 @@ function App() {
   // Socket connection
   const socketHook = useSocket();
 
-  // Check for saved user session
+  // Check for saved token
   useEffect(() => {
-    const savedUser = localStorage.getItem('chatUser');
-    if (savedUser) {
-      try {
-        const user = JSON.parse(savedUser);
-        setCurrentUser(user);
-        setIsAuthenticated(true);
-        // Reconnect with saved username
-        socketHook.connect(user.username, user.avatar);
-      } catch (error) {
-        console.error('Error loading saved user:', error);
-        localStorage.removeItem('chatUser');
-      }
+    const token = getToken();
+    if (!token) return;
+
+    const user = decodeToken(token);
+    if (user) {
+      setCurrentUser(user);
+      setIsAuthenticated(true);
+      // Reconnect with saved token
+      socketHook.connect(user);
+    } else {
+      clearToken();
     }
   }, []);
 
   /**
-   * Handle user login
-   * @param {string} username - User's chosen username
-   * @param {string} avatar - Optional avatar URL
+   * Handle user login or registration
+   * @param {string} username - User's username
+   * @param {string} password - User's password
+   * @param {'login'|'register'} mode - Whether to log in or create an account
    */
-  const handleLogin = (username, avatar = null) => {
-    const user = {
-      username,
-      avatar,
-      joinedAt: new Date().toISOString(),
-    };
-    
-    // Save to localStorage
-    localStorage.setItem('chatUser', JSON.stringify(user));
-    
+  const handleLogin = async (username, password, mode = 'login') => {
+    const { token, user } = await authenticate(mode, username, password);
+
+    // Save token (the socket reads it on every connection)
+    saveToken(token);
+
     // Update state
     setCurrentUser(user);
     setIsAuthenticated(true);
-    
+
     // Connect to socket
-    socketHook.connect(username, avatar);
-    
+    socketHook.connect(user);
+
     // Request notification permission
     socketHook.requestNotificationPermission();
   };
@@ -63,17 +60,51 @@ function App() {
   /**
    * Handle user logout
    */
-  const handleLogout = () => {
+  const { disconnect } = socketHook;
+  const handleLogout = useCallback(() => {
     // Disconnect socket
-    socketHook.disconnect();
-    
+    disconnect();
+
     // Clear storage
-    localStorage.removeItem('chatUser');
-    
+    clearToken();
+
     // Reset state
     setCurrentUser(null);
     setIsAuthenticated(false);
-  };
+  }, [disconnect]);
+
+  // Follow an invite link (?invite=<code>) or room link (?room=<id>) once connected
+  const { isConnected, joinWithInvite, requestToJoin } = socketHook;
+  const handledRoomLinkRef = useRef(false);
+  useEffect(() => {
+    if (!isAuthenticated || !isConnected || handledRoomLinkRef.current) return;
+    handledRoomLinkRef.current = true;
+
+    const params = new URLSearchParams(window.location.search);
+    const inviteCode = params.get('invite');
+    const roomId = params.get('room');
+    if (!inviteCode && !roomId) return;
+
+    // Drop the link parameters so a reload doesn't repeat the request
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const followLink = async () => {
+      const response = inviteCode ? await joinWithInvite(inviteCode) : await requestToJoin(roomId);
+      if (response.status === 'pending') {
+        window.alert('Request sent. You will be notified when the room owner answers.');
+      } else if (response.status === 'error') {
+        window.alert(response.error);
+      }
+    };
+    followLink();
+  }, [isAuthenticated, isConnected, joinWithInvite, requestToJoin]);
+
+  // Log out when the server rejects the token
+  useEffect(() => {
+    if (socketHook.authError) {
+      handleLogout();
+    }
+  }, [socketHook.authError, handleLogout]);
 
   return (
     <div className="h-screen bg-gray-900 text-white">
@@ -1,7 +1,38 @@
-import { useState, useEffect, useRef } from 'react';
-import { Send, Paperclip, Users, Hash, Smile, Search, X, ChevronUp, ChevronDown } from 'lucide-react';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { Send, Paperclip, Users, Hash, Smile, Search, X, ChevronUp, ChevronDown, User, Lock, UserPlus, Eye, EyeOff, Timer, Settings, ShieldAlert } from 'lucide-react';
 import Message from './Message';
+import MarkdownText from './MarkdownText';
+import RoomAccessPanel from './RoomAccessPanel';
+import RoomSettingsPanel from './RoomSettingsPanel';
+import ModerationQueuePanel from './ModerationQueuePanel';
+import ImageLightbox from './ImageLightbox';
+import { getConversationPeer } from '../utils/conversations';
+import { canModerateUser, getMutedUntil, isRoomModerator, isRoomOwner, formatSlowMode } from '../utils/roles';
+import { GROUP_MENTIONS, findMentionQuery } from '../utils/mentions';
+import { isImageMessage } from '../utils/images';
 import EmojiPicker from 'emoji-picker-react';
+import { formatDistanceToNow } from 'date-fns';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const EMPTY_SEARCH_FILTERS = { scope: 'room', from: '', after: '', before: '', hasFile: false };
+
+/**
+ * Scroll to a rendered message and briefly highlight it
+ */
+const scrollToMessage = (messageId) => {
+  const messageElement = document.getElementById(`message-${messageId}`);
+  if (messageElement) {
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    // Add highlight effect
+    messageElement.classList.add('search-highlight');
+    
+    // Remove highlight after 2 seconds
+    setTimeout(() => {
+      messageElement.classList.remove('search-highlight');
+    }, 2000);
+  }
+};
 
 /**
  * ChatArea Component
@@ -9,53 +40,185 @@ import EmojiPicker from 'emoji-picker-react';
  * 
  * @param {Object} currentUser - Current user information
  * @param {Array} messages - List of messages
+ * @param {boolean} hasMoreMessages - Whether older messages can be loaded
+ * @param {boolean} isLoadingOlder - Whether an older page is being fetched
  * @param {Array} typingUsers - Users currently typing
  * @param {boolean} isConnected - Socket connection status
- * @param {string} currentRoom - Current room ID
+ * @param {string} currentRoom - Current room or conversation ID
+ * @param {string} lastReadId - Last message read before the room was opened (for the "New messages" divider)
+ * @param {number} slowModeUntil - When the server will accept messages again after rate-limiting them (ms)
+ * @param {number} roomCooldownUntil - When the current room's slow mode lets the user post again (ms)
  * @param {Array} rooms - List of all rooms
+ * @param {Array} conversations - Direct message conversations
+ * @param {Array} users - Online users (for private room invites and @mention autocomplete)
+ * @param {Array} blockedUserIds - Accounts the user has blocked (their messages start collapsed)
  * @param {Function} onSendMessage - Send message callback
  * @param {Function} onSetTyping - Set typing status callback
  * @param {Function} onAddReaction - Add reaction callback
- * @param {Function} onMarkAsRead - Mark message as read callback
+ * @param {Function} onEditMessage - Edit message callback
+ * @param {Function} onDeleteMessage - Delete message callback
+ * @param {Function} onDeleteAnyMessage - Delete someone else's message (moderators)
+ * @param {Function} onRemovePreview - Remove a link preview from your message
+ * @param {Function} onOpenThread - Open a message's thread
+ * @param {Function} onRetryMessage - Resend a failed message
+ * @param {Function} onReportMessage - Report someone else's message to the moderators
  * @param {Function} onUploadFile - Upload file callback
+ * @param {Function} onLoadOlderMessages - Load the previous page of messages
  * @param {Function} onToggleUserList - Toggle user list visibility
+ * @param {Function} onInviteToRoom - Add a user to the current private room
+ * @param {Function} onUpdateRoom - Change the current room's posting rules (owners)
+ * @param {Function} onRespondToJoinRequest - Answer a request to join a room you own
+ * @param {Function} onSearchMessages - Search messages on the server
+ * @param {Function} onLoadModerationQueue - Load the flagged and reported messages the user can review
+ * @param {Function} onReviewFlaggedMessage - Approve or remove a flagged or reported message
+ * @param {Function} onJumpToMessage - Open a search hit's room and load history back to it
+ * @param {Object} jumpTarget - Message being jumped to ({ room, messageId, openThread })
+ * @param {Function} onJumpHandled - Called once the jump target has been scrolled to
  */
 function ChatArea({
   currentUser,
   messages,
+  hasMoreMessages,
+  isLoadingOlder,
   typingUsers,
   isConnected,
   currentRoom,
+  lastReadId,
+  slowModeUntil,
+  roomCooldownUntil,
   rooms,
+  conversations,
+  users,
+  blockedUserIds,
   onSendMessage,
   onSetTyping,
   onAddReaction,
-  onMarkAsRead,
+  onEditMessage,
+  onDeleteMessage,
+  onDeleteAnyMessage,
+  onRemovePreview,
+  onOpenThread,
+  onRetryMessage,
+  onReportMessage,
   onUploadFile,
+  onLoadOlderMessages,
   onToggleUserList,
+  onInviteToRoom,
+  onUpdateRoom,
+  onRespondToJoinRequest,
+  onSearchMessages,
+  onLoadModerationQueue,
+  onReviewFlaggedMessage,
+  onJumpToMessage,
+  jumpTarget,
+  onJumpHandled,
 }) {
   // Message input state
   const [message, setMessage] = useState('');
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadFileName, setUploadFileName] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [showPreview, setShowPreview] = useState(false); // Render the draft as Markdown above the input
+  const [showRoomAccess, setShowRoomAccess] = useState(false);
+  const [showRoomSettings, setShowRoomSettings] = useState(false);
+  const [showModerationQueue, setShowModerationQueue] = useState(false);
+  const [, setMuteExpiredCount] = useState(0); // Bumped to re-render when a mute ends
+  const [slowModeSecondsLeft, setSlowModeSecondsLeft] = useState(0); // Countdown until the user can send again
+  const [mentionQuery, setMentionQuery] = useState(null); // { query, start } while typing an @mention
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [lightboxImageId, setLightboxImageId] = useState(null); // Message whose image the gallery shows
   
-  // Search state
+  // Search state (results come from the server, so they include history that isn't loaded)
   const [showSearch, setShowSearch] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
   const [searchResults, setSearchResults] = useState([]);
-  const [currentSearchIndex, setCurrentSearchIndex] = useState(0);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [currentSearchIndex, setCurrentSearchIndex] = useState(-1);
   
   // Refs
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
   const fileInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
-  const markedAsReadRef = useRef(new Set());
+  const uploadControllerRef = useRef(null); // Aborts the upload in progress
   const searchInputRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // Scroll position saved before loading older messages
+  const skipAutoScrollRef = useRef(false);
+
+  // Direct message conversation being shown, if any
+  const conversation = conversations.find((c) => c.id === currentRoom);
+  const peer = getConversationPeer(conversation, currentUser.id);
 
   // Get current room name
-  const currentRoomName = rooms.find((r) => r.id === currentRoom)?.name || 'Chat';
+  const room = rooms.find((r) => r.id === currentRoom);
+  const currentRoomName = peer?.username || room?.name || 'Chat';
+
+  // Muted members can read but not post until the mute ends
+  const mutedUntil = getMutedUntil(room, currentUser.id);
+  const mutedUntilTime = mutedUntil?.getTime() ?? null;
+
+  // Announcement rooms only let moderators post, and slow mode doesn't apply to them either
+  const isReadOnly = Boolean(room?.readOnly) && !isRoomModerator(room);
+  const cannotPost = Boolean(mutedUntil) || isReadOnly;
+
+  // Sending waits for whichever ends later: a server rate limit or the room's slow mode
+  const sendBlockedUntil = Math.max(slowModeUntil || 0, roomCooldownUntil || 0) || null;
+  const isRoomCooldown = Boolean(roomCooldownUntil) && sendBlockedUntil === roomCooldownUntil;
+
+  // Moderators of any room can review what the content filter flagged
+  const canReviewFlags = rooms.some(isRoomModerator);
+
+  // "New messages" divider goes after the last message read before opening the room,
+  // if anyone else has posted since
+  const lastReadIndex = lastReadId ? messages.findIndex((msg) => msg.id === lastReadId) : -1;
+  const hasNewMessages =
+    lastReadIndex !== -1 &&
+    messages.slice(lastReadIndex + 1).some((msg) => msg.type !== 'system' && msg.senderId !== currentUser.id);
+
+  // Autocomplete for the @mention being typed: online users (once each), then @here/@room in rooms
+  const mentionSuggestions = mentionQuery
+    ? [
+        ...users
+          .filter(
+            (user, index) =>
+              user.userId !== currentUser.id &&
+              users.findIndex((other) => other.userId === user.userId) === index
+          )
+          .map((user) => ({ name: user.username, description: user.status || 'online' })),
+        ...(peer ? [] : GROUP_MENTIONS),
+      ]
+        .filter(({ name }) => name.toLowerCase().startsWith(mentionQuery.query.toLowerCase()))
+        .slice(0, 8)
+    : [];
+  const activeMentionIndex = Math.min(mentionIndex, mentionSuggestions.length - 1);
+
+  // Gallery of the room's loaded images (closes if the one shown is deleted)
+  const galleryImages = messages.filter(isImageMessage);
+  const lightboxIndex = galleryImages.findIndex((msg) => msg.id === lightboxImageId);
+
+  // Our messages up to the peer's read position have been seen
+  const peerReadIndex = peer
+    ? messages.findIndex((msg) => msg.id === conversation.lastRead?.[peer.id])
+    : -1;
+
+  // Search filters as sent to the server ("This chat" is scoped to the open room)
+  const searchParams = {
+    q: searchQuery.trim(),
+    room: searchFilters.scope === 'room' ? currentRoom : null,
+    from: searchFilters.from.trim(),
+    after: searchFilters.after,
+    before: searchFilters.before,
+    has: searchFilters.hasFile ? 'file' : null,
+  };
+  const searchKey = JSON.stringify(searchParams);
+  const hasSearchCriteria = Boolean(
+    searchParams.q || searchParams.from || searchParams.after || searchParams.before || searchParams.has
+  );
 
   /**
    * Scroll to bottom of messages
@@ -65,97 +228,159 @@ function ChatArea({
   };
 
   /**
-   * Scroll to specific message
+   * Load the previous page, keeping the viewport where it is once it is prepended
    */
-  const scrollToMessage = (messageId) => {
-    const messageElement = document.getElementById(`message-${messageId}`);
-    if (messageElement) {
-      messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      
-      // Add highlight effect
-      messageElement.classList.add('search-highlight');
-      
-      // Remove highlight after 2 seconds
-      setTimeout(() => {
-        messageElement.classList.remove('search-highlight');
-      }, 2000);
-    }
+  const loadOlderMessages = () => {
+    const container = messagesContainerRef.current;
+    scrollAnchorRef.current = {
+      firstMessageId: messages[0]?.id,
+      scrollHeight: container.scrollHeight,
+      scrollTop: container.scrollTop,
+    };
+    onLoadOlderMessages();
   };
 
-// Auto-scroll when new messages arrive and mark as read
+  /**
+   * Load older messages when scrolled to the top
+   */
+  const handleMessagesScroll = (e) => {
+    const container = e.currentTarget;
+    if (container.scrollTop > 50 || !hasMoreMessages || isLoadingOlder) return;
+
+    loadOlderMessages();
+  };
+
+  // Re-render when a mute runs out so the composer unlocks
+  useEffect(() => {
+    if (!mutedUntilTime) return;
+
+    const timeout = setTimeout(() => setMuteExpiredCount((count) => count + 1), mutedUntilTime - Date.now());
+    return () => clearTimeout(timeout);
+  }, [mutedUntilTime]);
+
+  // Count down until the user can send again
+  useEffect(() => {
+    if (!sendBlockedUntil) {
+      setSlowModeSecondsLeft(0);
+      return;
+    }
+
+    const tick = () => setSlowModeSecondsLeft(Math.max(0, Math.ceil((sendBlockedUntil - Date.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [sendBlockedUntil]);
+
+  // Close the room panels and image gallery when switching rooms
+  useEffect(() => {
+    setShowRoomAccess(false);
+    setShowRoomSettings(false);
+    setLightboxImageId(null);
+  }, [currentRoom]);
+
+  // Forget the saved scroll position when switching rooms
+  useEffect(() => {
+    scrollAnchorRef.current = null;
+  }, [currentRoom]);
+
+  // Keep the viewport steady when older messages are prepended
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const anchor = scrollAnchorRef.current;
+    if (!container || !anchor || messages.length === 0 || messages[0].id === anchor.firstMessageId) {
+      return;
+    }
+
+    container.scrollTop = container.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+    scrollAnchorRef.current = null;
+    skipAutoScrollRef.current = true;
+  }, [messages]);
+
+// Auto-scroll when new messages arrive (read positions are tracked by useSocket)
 useEffect(() => {
-  // Only auto-scroll if not searching
-  if (!showSearch || searchResults.length === 0) {
+  // Only auto-scroll if not searching or viewing older history
+  if (skipAutoScrollRef.current) {
+    skipAutoScrollRef.current = false;
+  } else if (!showSearch || searchResults.length === 0) {
     scrollToBottom();
   }
-  
-  // Mark new messages as read (only if not sent by current user and tab is visible)
-  if (!document.hidden) {
-    messages.forEach((msg) => {
-      // Skip if already marked, is own message, or is system message
-      if (
-        markedAsReadRef.current.has(msg.id) ||
-        msg.senderId === currentUser.id ||
-        msg.sender === currentUser.username ||
-        msg.type === 'system'
-      ) {
-        return;
-      }
-      
-      // ✅ FIXED: Only call onMarkAsRead if it's actually a function
-      if (typeof onMarkAsRead === 'function') {
-        onMarkAsRead(msg.id);
-        markedAsReadRef.current.add(msg.id);
-      }
-    });
-  }
-}, [messages, currentUser, onMarkAsRead, showSearch, searchResults]);
+}, [messages, showSearch, searchResults]);
 
-  /**
-   * Handle search query change and perform search
-   */
-  const handleSearchChange = (query) => {
-    setSearchQuery(query);
-    
-    if (!query.trim()) {
+  // Run the search on the server shortly after the query or filters change
+  useEffect(() => {
+    if (!showSearch || !hasSearchCriteria) {
       setSearchResults([]);
-      setCurrentSearchIndex(0);
+      setSearchTotal(0);
+      setSearchError('');
+      setIsSearching(false);
+      setCurrentSearchIndex(-1);
       return;
     }
-    
-    // Search through messages
-    const results = messages.filter((msg) => {
-      // Skip system messages
-      if (msg.type === 'system') return false;
-      
-      const searchLower = query.toLowerCase();
-      
-      // Search in message text
-      if (msg.message && msg.message.toLowerCase().includes(searchLower)) {
-        return true;
-      }
-      
-      // Search in sender name
-      if (msg.sender && msg.sender.toLowerCase().includes(searchLower)) {
-        return true;
-      }
-      
-      // Search in file names
-      if (msg.fileData?.originalName && 
-          msg.fileData.originalName.toLowerCase().includes(searchLower)) {
-        return true;
-      }
-      
-      return false;
-    });
-    
-    setSearchResults(results);
-    setCurrentSearchIndex(0);
-    
-    // Scroll to first result
-    if (results.length > 0) {
-      scrollToMessage(results[0].id);
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setIsSearching(true);
+      const response = await onSearchMessages(JSON.parse(searchKey));
+      if (cancelled) return;
+
+      setIsSearching(false);
+      setSearchError(response.error || '');
+      setSearchResults(response.results || []);
+      setSearchTotal(response.total || 0);
+      setCurrentSearchIndex(-1);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [showSearch, hasSearchCriteria, searchKey, onSearchMessages]);
+
+  // Scroll to the jump target once its room's history has been loaded back to it
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.room !== currentRoom) return;
+
+    const target = messages.find((msg) => msg.id === jumpTarget.messageId);
+    if (!target) return;
+
+    // Wait a frame so a freshly opened room has rendered the message (auto-scroll is
+    // paused while search results are shown, so it won't pull the view back down)
+    requestAnimationFrame(() => scrollToMessage(target.id));
+    if (jumpTarget.openThread) {
+      onOpenThread(target);
     }
+    onJumpHandled();
+  }, [jumpTarget, currentRoom, messages, onOpenThread, onJumpHandled]);
+
+  /**
+   * Update one search filter
+   */
+  const updateSearchFilter = (name, value) => {
+    setSearchFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Jump to a search result (switching rooms and loading history as needed)
+   */
+  const goToResult = (index) => {
+    setCurrentSearchIndex(index);
+    onJumpToMessage(searchResults[index]);
+  };
+
+  /**
+   * Fetch the next page of search results
+   */
+  const loadMoreResults = async () => {
+    setIsSearching(true);
+    const response = await onSearchMessages({ ...searchParams, offset: searchResults.length });
+    setIsSearching(false);
+
+    if (response.error) {
+      setSearchError(response.error);
+      return;
+    }
+    setSearchResults((prev) => [...prev, ...response.results]);
+    setSearchTotal(response.total);
   };
 
   /**
@@ -168,8 +393,7 @@ useEffect(() => {
       ? currentSearchIndex - 1 
       : searchResults.length - 1;
     
-    setCurrentSearchIndex(newIndex);
-    scrollToMessage(searchResults[newIndex].id);
+    goToResult(newIndex);
   };
 
   /**
@@ -182,8 +406,18 @@ useEffect(() => {
       ? currentSearchIndex + 1 
       : 0;
     
-    setCurrentSearchIndex(newIndex);
-    scrollToMessage(searchResults[newIndex].id);
+    goToResult(newIndex);
+  };
+
+  /**
+   * Name a search result's room ("#general" or "@alice" for a direct message)
+   */
+  const getResultLocation = (result) => {
+    const resultConversation = conversations.find((c) => c.id === result.room);
+    if (resultConversation) {
+      return `@${getConversationPeer(resultConversation, currentUser.id)?.username || 'direct message'}`;
+    }
+    return `#${rooms.find((r) => r.id === result.room)?.name || result.room}`;
   };
 
   /**
@@ -202,8 +436,7 @@ useEffect(() => {
   const closeSearch = () => {
     setShowSearch(false);
     setSearchQuery('');
-    setSearchResults([]);
-    setCurrentSearchIndex(0);
+    setSearchFilters(EMPTY_SEARCH_FILTERS);
   };
 
   /**
@@ -236,7 +469,7 @@ useEffect(() => {
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [showSearch, searchResults, currentSearchIndex]);
+  }, [showSearch, searchResults, currentSearchIndex, onJumpToMessage]);
 
   /**
    * Handle message input change with typing indicator
@@ -244,6 +477,8 @@ useEffect(() => {
   const handleMessageChange = (e) => {
     const value = e.target.value;
     setMessage(value);
+    setMentionQuery(findMentionQuery(value, e.target.selectionStart));
+    setMentionIndex(0);
 
     // Send typing indicator
     if (value.trim()) {
@@ -267,14 +502,15 @@ useEffect(() => {
   };
 
   /**
-   * Handle sending message
+   * Handle sending message (queued in the outbox while disconnected)
    */
   const handleSendMessage = (e) => {
     e.preventDefault();
     
-    if (message.trim() && isConnected) {
+    if (message.trim() && !cannotPost && !slowModeSecondsLeft) {
       onSendMessage(message.trim());
       setMessage('');
+      setMentionQuery(null);
       onSetTyping(false);
       
       if (typingTimeoutRef.current) {
@@ -291,47 +527,34 @@ useEffect(() => {
    */
   const handleFileSelect = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = ''; // Let the same file be picked again (e.g. to resume it after a failure)
     if (!file) return;
 
-    // Check file size (5MB limit)
-    if (file.size > 5 * 1024 * 1024) {
-      alert('File size must be less than 5MB');
-      return;
-    }
+    const controller = new AbortController();
+    uploadControllerRef.current = controller;
+    setUploadFileName(file.name);
+    setUploadProgress(0);
+    setIsUploading(true);
 
     try {
-      setIsUploading(true);
-      setUploadProgress(0);
-
-      // Simulate upload progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress((prev) => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return prev + 10;
-        });
-      }, 200);
-
-      await onUploadFile(file);
-      
-      clearInterval(progressInterval);
-      setUploadProgress(100);
-      
-      setTimeout(() => {
-        setIsUploading(false);
-        setUploadProgress(0);
-      }, 500);
+      await onUploadFile(file, { onProgress: setUploadProgress, signal: controller.signal });
     } catch (error) {
-      console.error('Upload error:', error);
-      alert('Failed to upload file');
+      if (error.name !== 'AbortError') {
+        console.error('Upload error:', error);
+        alert(error.message || 'Failed to upload file');
+      }
+    } finally {
+      uploadControllerRef.current = null;
       setIsUploading(false);
       setUploadProgress(0);
     }
+  };
 
-    // Reset file input
-    e.target.value = '';
+  /**
+   * Cancel the upload in progress
+   */
+  const cancelUpload = () => {
+    uploadControllerRef.current?.abort();
   };
 
   /**
@@ -352,21 +575,144 @@ useEffect(() => {
     }
   };
 
+  /**
+   * Replace the @mention being typed with the chosen name
+   */
+  const insertMention = (name) => {
+    const { query, start } = mentionQuery;
+    const before = message.slice(0, start);
+    const after = message.slice(start + query.length + 1);
+    const caret = before.length + name.length + 2;
+
+    setMessage(`${before}@${name} ${after.replace(/^ /, '')}`);
+    setMentionQuery(null);
+
+    // Put the caret after the inserted name once React has updated the textarea
+    requestAnimationFrame(() => {
+      messageInputRef.current?.focus();
+      messageInputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  /**
+   * Navigate the @mention suggestions with the arrow keys; Enter or Tab picks one
+   */
+  const handleKeyDown = (e) => {
+    if (!mentionSuggestions.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex((activeMentionIndex + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[activeMentionIndex].name);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
   return (
     <div className="flex flex-col h-full bg-gray-900">
       {/* Header */}
       <div className="flex items-center justify-between p-4 border-b border-gray-700 bg-gray-800">
         <div className="flex items-center gap-3">
-          <Hash className="w-5 h-5 text-gray-400" />
+          {peer ? (
+            <User className="w-5 h-5 text-gray-400" />
+          ) : room?.isPrivate ? (
+            <Lock className="w-5 h-5 text-gray-400" />
+          ) : (
+            <Hash className="w-5 h-5 text-gray-400" />
+          )}
           <div>
             <h2 className="text-lg font-semibold">{currentRoomName}</h2>
             <p className="text-xs text-gray-400">
               {isConnected ? 'Connected' : 'Disconnected'}
+              {room?.readOnly && ' • Announcements only'}
+              {room?.slowModeSeconds > 0 && ` • Slow mode: ${formatSlowMode(room.slowModeSeconds)}`}
             </p>
           </div>
         </div>
         
         <div className="flex items-center gap-2">
+          {/* Private room members and invites */}
+          {room?.isPrivate && (
+            <div className="relative">
+              <button
+                onClick={() => setShowRoomAccess(!showRoomAccess)}
+                className={`relative p-2 rounded-lg transition ${
+                  showRoomAccess ? 'bg-purple-600 text-white' : 'text-gray-300 hover:bg-gray-700'
+                }`}
+                title="Members and invites"
+              >
+                <UserPlus className="w-5 h-5" />
+                {room.joinRequests?.length > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 bg-red-600 rounded-full text-[10px] font-bold flex items-center justify-center">
+                    {room.joinRequests.length}
+                  </span>
+                )}
+              </button>
+              {showRoomAccess && (
+                <RoomAccessPanel
+                  room={room}
+                  users={users}
+                  currentUser={currentUser}
+                  onInviteToRoom={onInviteToRoom}
+                  onRespondToJoinRequest={onRespondToJoinRequest}
+                  onClose={() => setShowRoomAccess(false)}
+                />
+              )}
+            </div>
+          )}
+
+          {/* Content filter review queue (moderators) */}
+          {canReviewFlags && (
+            <div className="relative">
+              <button
+                onClick={() => setShowModerationQueue(!showModerationQueue)}
+                className={`p-2 rounded-lg transition ${
+                  showModerationQueue ? 'bg-purple-600 text-white' : 'text-gray-300 hover:bg-gray-700'
+                }`}
+                title="Moderation queue"
+              >
+                <ShieldAlert className="w-5 h-5" />
+              </button>
+              {showModerationQueue && (
+                <ModerationQueuePanel
+                  onLoadQueue={onLoadModerationQueue}
+                  onReview={onReviewFlaggedMessage}
+                  onJumpToMessage={(flaggedMessage) => {
+                    setShowModerationQueue(false);
+                    onJumpToMessage(flaggedMessage);
+                  }}
+                  onClose={() => setShowModerationQueue(false)}
+                />
+              )}
+            </div>
+          )}
+
+          {/* Posting rules (owners) */}
+          {room && isRoomOwner(room) && (
+            <div className="relative">
+              <button
+                onClick={() => setShowRoomSettings(!showRoomSettings)}
+                className={`p-2 rounded-lg transition ${
+                  showRoomSettings ? 'bg-purple-600 text-white' : 'text-gray-300 hover:bg-gray-700'
+                }`}
+                title="Room settings"
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+              {showRoomSettings && (
+                <RoomSettingsPanel
+                  room={room}
+                  onUpdateRoom={onUpdateRoom}
+                  onClose={() => setShowRoomSettings(false)}
+                />
+              )}
+            </div>
+          )}
+
           {/* Search button */}
           <button
             onClick={() => showSearch ? closeSearch() : openSearch()}
@@ -400,19 +746,21 @@ useEffect(() => {
                 ref={searchInputRef}
                 type="text"
                 value={searchQuery}
-                onChange={(e) => handleSearchChange(e.target.value)}
-                placeholder="Search messages, users, or files..."
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search messages or file names..."
                 className="w-full pl-10 pr-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
               />
             </div>
             
             {/* Search results navigation */}
-            {searchQuery && (
+            {hasSearchCriteria && (
               <div className="flex items-center gap-2">
                 {searchResults.length > 0 ? (
                   <>
                     <span className="text-sm text-gray-400 whitespace-nowrap">
-                      {currentSearchIndex + 1} / {searchResults.length}
+                      {currentSearchIndex === -1
+                        ? `${searchTotal} ${searchTotal === 1 ? 'result' : 'results'}`
+                        : `${currentSearchIndex + 1} / ${searchTotal}`}
                     </span>
                     <div className="flex gap-1">
                       <button
@@ -433,7 +781,7 @@ useEffect(() => {
                   </>
                 ) : (
                   <span className="text-sm text-gray-500 whitespace-nowrap">
-                    No results
+                    {isSearching ? 'Searching...' : 'No results'}
                   </span>
                 )}
               </div>
@@ -448,11 +796,121 @@ useEffect(() => {
               <X className="w-4 h-4" />
             </button>
           </div>
+
+          {/* Search filters */}
+          <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-400">
+            <div className="flex rounded-lg overflow-hidden border border-gray-600">
+              {[['room', 'This chat'], ['all', 'Everywhere']].map(([scope, label]) => (
+                <button
+                  key={scope}
+                  type="button"
+                  onClick={() => updateSearchFilter('scope', scope)}
+                  className={`px-2 py-1 transition ${
+                    searchFilters.scope === scope ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={searchFilters.from}
+              onChange={(e) => updateSearchFilter('from', e.target.value)}
+              placeholder="From user"
+              className="w-28 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-purple-500"
+            />
+            <label className="flex items-center gap-1">
+              After
+              <input
+                type="date"
+                value={searchFilters.after}
+                onChange={(e) => updateSearchFilter('after', e.target.value)}
+                className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              Before
+              <input
+                type="date"
+                value={searchFilters.before}
+                onChange={(e) => updateSearchFilter('before', e.target.value)}
+                className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={searchFilters.hasFile}
+                onChange={(e) => updateSearchFilter('hasFile', e.target.checked)}
+                className="accent-purple-600"
+              />
+              Has file
+            </label>
+          </div>
+
+          {/* Search results (newest first) */}
+          {searchError ? (
+            <p className="mt-2 text-sm text-red-400">{searchError}</p>
+          ) : searchResults.length > 0 && (
+            <div className="mt-2 max-h-64 overflow-y-auto rounded-lg border border-gray-700 divide-y divide-gray-700">
+              {searchResults.map((result, index) => (
+                <button
+                  key={result.id}
+                  type="button"
+                  onClick={() => goToResult(index)}
+                  className={`w-full text-left px-3 py-2 transition ${
+                    index === currentSearchIndex ? 'bg-purple-600/30' : 'hover:bg-gray-700'
+                  }`}
+                >
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span className="font-semibold text-gray-200">{result.sender}</span>
+                    <span className="truncate">
+                      in {getResultLocation(result)}
+                      {result.parentId && ' (thread)'}
+                    </span>
+                    <span className="ml-auto whitespace-nowrap">
+                      {formatDistanceToNow(new Date(result.timestamp), { addSuffix: true })}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-300 truncate">
+                    {result.message || result.fileData?.originalName}
+                  </p>
+                </button>
+              ))}
+              {searchResults.length < searchTotal && (
+                <button
+                  type="button"
+                  onClick={loadMoreResults}
+                  disabled={isSearching}
+                  className="w-full px-3 py-2 text-xs text-purple-300 hover:bg-gray-700 transition disabled:opacity-50"
+                >
+                  {isSearching ? 'Loading...' : 'Show more results'}
+                </button>
+              )}
+            </div>
+          )}
         </div>
       )}
 
       {/* Messages area */}
-      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+      <div
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+        className="flex-1 overflow-y-auto p-4 space-y-4"
+      >
+        {/* Older history status */}
+        {isLoadingOlder && (
+          <div className="flex justify-center text-xs text-gray-500">
+            Loading older messages...
+          </div>
+        )}
+        {!hasMoreMessages && messages.length > 0 && (
+          <div className="flex justify-center text-xs text-gray-500">
+            Beginning of conversation
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div className="flex items-center justify-center h-full">
             <div className="text-center text-gray-500">
@@ -462,9 +920,9 @@ useEffect(() => {
             </div>
           </div>
         ) : (
-          messages.map((msg) => (
+          messages.map((msg, index) => (
             <div 
-              key={msg.id} 
+              key={msg.clientId || msg.id} 
               id={`message-${msg.id}`}
               className="transition-all duration-300"
             >
@@ -472,7 +930,26 @@ useEffect(() => {
                 message={msg}
                 currentUser={currentUser}
                 onAddReaction={onAddReaction}
+                onEditMessage={onEditMessage}
+                onDeleteMessage={onDeleteMessage}
+                onDeleteAnyMessage={canModerateUser(room, msg.senderId) ? onDeleteAnyMessage : undefined}
+                onRemovePreview={onRemovePreview}
+                onOpenThread={onOpenThread}
+                onRetryMessage={onRetryMessage}
+                onReportMessage={onReportMessage}
+                isBlocked={blockedUserIds.includes(msg.senderId)}
+                onOpenImage={setLightboxImageId}
+                seenBy={index <= peerReadIndex ? peer.username : null}
               />
+
+              {/* New messages divider */}
+              {hasNewMessages && index === lastReadIndex && (
+                <div className="flex items-center gap-3 mt-4 text-xs font-semibold text-red-400 uppercase">
+                  <span className="flex-1 h-px bg-red-500/50" />
+                  <span>New messages</span>
+                  <span className="flex-1 h-px bg-red-500/50" />
+                </div>
+              )}
             </div>
           ))
         )}
@@ -498,11 +975,24 @@ useEffect(() => {
         <div ref={messagesEndRef} />
       </div>
 
+      {/* Image gallery */}
+      {lightboxIndex !== -1 && (
+        <ImageLightbox
+          images={galleryImages}
+          index={lightboxIndex}
+          hasMore={hasMoreMessages}
+          isLoadingMore={isLoadingOlder}
+          onChange={(index) => setLightboxImageId(galleryImages[index].id)}
+          onLoadMore={loadOlderMessages}
+          onClose={() => setLightboxImageId(null)}
+        />
+      )}
+
       {/* Upload progress bar */}
       {isUploading && (
         <div className="px-4 py-2 bg-gray-800 border-t border-gray-700">
           <div className="flex items-center gap-2 text-sm text-gray-400">
-            <span>Uploading...</span>
+            <span className="max-w-[40%] truncate">Uploading {uploadFileName}</span>
             <div className="flex-1 bg-gray-700 rounded-full h-2 overflow-hidden">
               <div
                 className="bg-purple-600 h-full transition-all duration-300"
@@ -510,12 +1000,40 @@ useEffect(() => {
               />
             </div>
             <span>{uploadProgress}%</span>
+            <button
+              type="button"
+              onClick={cancelUpload}
+              className="p-1 hover:bg-gray-700 rounded transition text-gray-300"
+              title="Cancel upload"
+            >
+              <X className="w-4 h-4" />
+            </button>
           </div>
         </div>
       )}
 
       {/* Input area */}
       <div className="p-4 border-t border-gray-700 bg-gray-800">
+        {/* Slow mode or rate-limit countdown (the draft is kept, sending unlocks at zero) */}
+        {slowModeSecondsLeft > 0 && !cannotPost && (
+          <div className="mb-2 flex items-center gap-2 text-sm text-yellow-400" role="status">
+            <Timer className="w-4 h-4" />
+            <span>
+              {isRoomCooldown
+                ? `Slow mode is on (one message every ${formatSlowMode(room?.slowModeSeconds)}) - you can post again in ${slowModeSecondsLeft}s`
+                : `Slow down - you can send again in ${slowModeSecondsLeft}s`}
+            </span>
+          </div>
+        )}
+
+        {/* Markdown preview of the draft */}
+        {showPreview && message.trim() && (
+          <div className="mb-3 max-h-48 overflow-y-auto rounded-lg border border-gray-700 bg-gray-900 p-3 text-gray-100">
+            <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Preview</p>
+            <MarkdownText text={message} username={currentUser.username} />
+          </div>
+        )}
+
         <form onSubmit={handleSendMessage} className="flex items-end gap-2">
           {/* File upload button */}
           <input
@@ -528,7 +1046,7 @@ useEffect(() => {
           <button
             type="button"
             onClick={() => fileInputRef.current?.click()}
-            disabled={!isConnected || isUploading}
+            disabled={!isConnected || isUploading || cannotPost || slowModeSecondsLeft > 0}
             className="p-2 hover:bg-gray-700 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed text-gray-300"
             title="Attach file"
           >
@@ -540,7 +1058,6 @@ useEffect(() => {
             <button
               type="button"
               onClick={() => setShowEmojiPicker(!showEmojiPicker)}
-              disabled={!isConnected}
               className="p-2 hover:bg-gray-700 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed text-gray-300"
               title="Add emoji"
             >
@@ -567,19 +1084,57 @@ useEffect(() => {
             )}
           </div>
 
+          {/* Markdown preview toggle */}
+          <button
+            type="button"
+            onClick={() => setShowPreview(!showPreview)}
+            className={`p-2 hover:bg-gray-700 rounded-lg transition ${showPreview ? 'text-purple-400' : 'text-gray-300'}`}
+            title={showPreview ? 'Hide preview' : 'Preview formatting (Markdown)'}
+          >
+            {showPreview ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+          </button>
+
           {/* Message input */}
-          <div className="flex-1">
+          <div className="flex-1 relative">
+            {/* @mention suggestions */}
+            {mentionSuggestions.length > 0 && (
+              <div className="absolute bottom-full left-0 mb-2 w-64 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 py-1">
+                {mentionSuggestions.map((suggestion, index) => (
+                  <button
+                    key={suggestion.name}
+                    type="button"
+                    onMouseDown={(e) => e.preventDefault()} // Keep focus in the textarea
+                    onClick={() => insertMention(suggestion.name)}
+                    onMouseEnter={() => setMentionIndex(index)}
+                    className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 text-left text-sm transition ${
+                      index === activeMentionIndex ? 'bg-purple-600 text-white' : 'text-gray-300'
+                    }`}
+                  >
+                    <span className="truncate">@{suggestion.name}</span>
+                    <span className="text-xs text-gray-400 truncate">{suggestion.description}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
             <textarea
               ref={messageInputRef}
               value={message}
               onChange={handleMessageChange}
+              onKeyDown={handleKeyDown}
               onKeyPress={handleKeyPress}
+              onClick={(e) => setMentionQuery(findMentionQuery(e.target.value, e.target.selectionStart))}
+              onBlur={() => setMentionQuery(null)}
+              disabled={cannotPost}
               placeholder={
-                isConnected
-                  ? 'Type a message... (Ctrl+Enter to send)'
-                  : 'Connecting...'
+                mutedUntil
+                  ? `You are muted in this room until ${mutedUntil.toLocaleString()}`
+                  : isReadOnly
+                    ? 'This is an announcement room - only moderators can post'
+                    : isConnected
+                      ? 'Type a message... (Ctrl+Enter to send)'
+                      : 'Offline - messages will send when you reconnect'
               }
-              disabled={!isConnected}
               className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none disabled:opacity-50 disabled:cursor-not-allowed"
               rows="1"
               style={{
@@ -596,7 +1151,7 @@ useEffect(() => {
           {/* Send button */}
           <button
             type="submit"
-            disabled={!isConnected || !message.trim() || isUploading}
+            disabled={!message.trim() || isUploading || cannotPost || slowModeSecondsLeft > 0}
             className="p-2 bg-purple-600 hover:bg-purple-700 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed text-white"
             title="Send message"
           >
@@ -4,6 +4,9 @@ import { useState } from 'react';
 import Sidebar from './Sidebar';
 import ChatArea from './ChatArea';
 import UserList from './UserList';
+import ThreadPanel from './ThreadPanel';
+import Toasts from './Toasts';
+import { useThread } from '../hooks/useThread';
 import { Menu, X } from 'lucide-react';
 
 /**
@@ -20,6 +23,9 @@ function ChatLayout({ currentUser, socketHook, onLogout }) {
   const [showSidebar, setShowSidebar] = useState(false);
   const [showUserList, setShowUserList] = useState(false);
 
+  // Open thread (replies to one message in the current room)
+  const threadHook = useThread(socketHook.currentRoom);
+
   return (
     <div className="h-screen flex overflow-hidden bg-gray-900">
       {/* Mobile menu button - Sidebar */}
@@ -42,9 +48,12 @@ function ChatLayout({ currentUser, socketHook, onLogout }) {
         <Sidebar
           currentUser={currentUser}
           rooms={socketHook.rooms}
+          conversations={socketHook.conversations}
           currentRoom={socketHook.currentRoom}
           onJoinRoom={socketHook.joinRoom}
+          onLeaveRoom={socketHook.leaveRoom}
           onCreateRoom={socketHook.createRoom}
+          onJoinWithInvite={socketHook.joinWithInvite}
           onLogout={onLogout}
           onClose={() => setShowSidebar(false)}
         />
@@ -63,18 +72,60 @@ function ChatLayout({ currentUser, socketHook, onLogout }) {
         <ChatArea
           currentUser={currentUser}
           messages={socketHook.messages}
+          hasMoreMessages={socketHook.hasMoreMessages}
+          isLoadingOlder={socketHook.isLoadingOlder}
           typingUsers={socketHook.typingUsers}
           isConnected={socketHook.isConnected}
           currentRoom={socketHook.currentRoom}
+          lastReadId={socketHook.lastReadId}
+          slowModeUntil={socketHook.slowModeUntil}
+          roomCooldownUntil={socketHook.roomCooldownUntil}
           rooms={socketHook.rooms}
+          conversations={socketHook.conversations}
+          users={socketHook.users}
+          blockedUserIds={socketHook.blockedUserIds}
           onSendMessage={socketHook.sendMessage}
           onSetTyping={socketHook.setTyping}
           onAddReaction={socketHook.addReaction}
+          onEditMessage={socketHook.editMessage}
+          onDeleteMessage={socketHook.deleteMessage}
+          onDeleteAnyMessage={socketHook.deleteAnyMessage}
+          onRemovePreview={socketHook.removeLinkPreview}
+          onOpenThread={threadHook.openThread}
+          onRetryMessage={socketHook.retryMessage}
+          onReportMessage={socketHook.reportMessage}
           onUploadFile={socketHook.uploadFile}
+          onLoadOlderMessages={socketHook.loadOlderMessages}
           onToggleUserList={() => setShowUserList(!showUserList)}
+          onInviteToRoom={socketHook.inviteToRoom}
+          onUpdateRoom={socketHook.updateRoom}
+          onRespondToJoinRequest={socketHook.respondToJoinRequest}
+          onSearchMessages={socketHook.searchMessages}
+          onLoadModerationQueue={socketHook.getModerationQueue}
+          onReviewFlaggedMessage={socketHook.reviewFlaggedMessage}
+          onJumpToMessage={socketHook.jumpToMessage}
+          jumpTarget={socketHook.jumpTarget}
+          onJumpHandled={socketHook.clearJumpTarget}
         />
       </div>
 
+      {/* Thread panel (full screen on mobile, beside the chat on desktop) */}
+      {threadHook.parentMessage && (
+        <div className="fixed inset-0 z-40 lg:relative lg:inset-auto lg:z-auto w-full lg:w-96 flex-shrink-0">
+          <ThreadPanel
+            currentUser={currentUser}
+            threadHook={threadHook}
+            isConnected={socketHook.isConnected}
+            onAddReaction={socketHook.addReaction}
+            onEditMessage={socketHook.editMessage}
+            onDeleteMessage={socketHook.deleteMessage}
+            onRemovePreview={socketHook.removeLinkPreview}
+            onReportMessage={socketHook.reportMessage}
+            blockedUserIds={socketHook.blockedUserIds}
+          />
+        </div>
+      )}
+
       {/* User list sidebar */}
       <div
         className={`
@@ -87,7 +138,15 @@ function ChatLayout({ currentUser, socketHook, onLogout }) {
         <UserList
           users={socketHook.users}
           currentUser={currentUser}
-          onSendPrivateMessage={socketHook.sendPrivateMessage}
+          room={socketHook.rooms.find((room) => room.id === socketHook.currentRoom) || null}
+          onOpenDirectMessage={socketHook.openDirectMessage}
+          onKickUser={socketHook.kickUser}
+          onBanUser={socketHook.banUser}
+          onUnbanUser={socketHook.unbanUser}
+          onMuteUser={socketHook.muteUser}
+          onSetRoomRole={socketHook.setRoomRole}
+          blockedUserIds={socketHook.blockedUserIds}
+          onBlockUser={socketHook.blockUser}
           onClose={() => setShowUserList(false)}
         />
       </div>
@@ -110,6 +169,9 @@ function ChatLayout({ currentUser, socketHook, onLogout }) {
         </div>
       )}
 
+      {/* Errors from rejected requests */}
+      <Toasts notifications={socketHook.notifications} onDismiss={socketHook.dismissNotification} />
+
       {/* Unread count badge */}
       {socketHook.unreadCount > 0 && document.hidden && (
         <div className="fixed top-4 right-4 z-50">
@@ -0,0 +1,142 @@
+// ImageLightbox.jsx - Full-screen viewer that steps through the images in a room
+
+import { useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { X, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import { useFileUrl } from '../hooks/useFileUrl';
+import { getPlaceholderUrl } from '../utils/images';
+
+/**
+ * ImageLightbox Component
+ * Shows one image at full size with the previous/next images a click or arrow key away.
+ * Stepping back past the first loaded image loads older messages.
+ *
+ * @param {Array} images - Image messages in the room, oldest first
+ * @param {number} index - Index of the image being shown
+ * @param {boolean} hasMore - Whether older messages (and maybe images) can be loaded
+ * @param {boolean} isLoadingMore - Whether older messages are being fetched
+ * @param {Function} onChange - Show another image (receives its index)
+ * @param {Function} onLoadMore - Load older messages
+ * @param {Function} onClose - Close the viewer
+ */
+function ImageLightbox({ images, index, hasMore, isLoadingMore, onChange, onLoadMore, onClose }) {
+  const image = images[index];
+  const canGoBack = index > 0 || (hasMore && !isLoadingMore);
+  const canGoForward = index < images.length - 1;
+  const url = useFileUrl(image?.fileData.url) || undefined;
+
+  /**
+   * Show the previous image, loading older history at the start of what's loaded
+   */
+  const goBack = () => {
+    if (index > 0) {
+      onChange(index - 1);
+    } else if (hasMore && !isLoadingMore) {
+      onLoadMore();
+    }
+  };
+
+  // Arrow keys step through the images, Escape closes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft') {
+        goBack();
+      } else if (e.key === 'ArrowRight' && canGoForward) {
+        onChange(index + 1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  if (!image) return null;
+
+  const { fileData } = image;
+  const placeholderUrl = getPlaceholderUrl(fileData.blurhash);
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-black/90" onClick={onClose}>
+      {/* Caption and actions */}
+      <div className="flex items-center justify-between gap-4 p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-white truncate">{fileData.originalName}</p>
+          <p className="text-xs text-gray-400">
+            {image.sender} · {formatDistanceToNow(new Date(image.timestamp), { addSuffix: true })} ·{' '}
+            {index + 1} / {images.length}
+            {hasMore && '+'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-gray-300">
+          <a
+            href={url}
+            download={fileData.originalName}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="p-2 rounded-lg hover:bg-white/10 transition"
+            title="Open original"
+          >
+            <Download className="w-5 h-5" />
+          </a>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-white/10 transition"
+            title="Close (Esc)"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Image with previous/next buttons */}
+      <div className="relative flex-1 min-h-0 flex items-center justify-center px-16 pb-8">
+        {canGoBack && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              goBack();
+            }}
+            className="absolute left-4 p-2 rounded-full bg-white/10 hover:bg-white/20 text-white transition"
+            title={index > 0 ? 'Previous (←)' : 'Load older images (←)'}
+          >
+            <ChevronLeft className="w-6 h-6" />
+          </button>
+        )}
+
+        <img
+          key={image.id}
+          src={url}
+          alt={fileData.originalName}
+          width={fileData.width}
+          height={fileData.height}
+          onClick={(e) => e.stopPropagation()}
+          onLoad={(e) => {
+            e.currentTarget.style.backgroundImage = 'none';
+          }}
+          style={{
+            backgroundImage: placeholderUrl ? `url(${placeholderUrl})` : undefined,
+            backgroundSize: 'cover',
+          }}
+          className="max-w-full max-h-full w-auto h-auto object-contain rounded"
+        />
+
+        {canGoForward && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onChange(index + 1);
+            }}
+            className="absolute right-4 p-2 rounded-full bg-white/10 hover:bg-white/20 text-white transition"
+            title="Next (→)"
+          >
+            <ChevronRight className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImageLightbox;
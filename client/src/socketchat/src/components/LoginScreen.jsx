@@ -1,16 +1,18 @@
 // LoginScreen.jsx - User authentication screen
 
 import { useState } from 'react';
-import { MessageCircle, User, LogIn } from 'lucide-react';
+import { MessageCircle, User, Lock, LogIn, UserPlus } from 'lucide-react';
 
 /**
  * LoginScreen Component
- * Handles user authentication with username input
+ * Handles user authentication with username and password
  * 
- * @param {Function} onLogin - Callback when user logs in
+ * @param {Function} onLogin - Async callback (username, password, mode) when user logs in or registers
  */
 function LoginScreen({ onLogin }) {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState('login');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
@@ -45,15 +47,31 @@ function LoginScreen({ onLogin }) {
       return;
     }
 
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
     setIsLoading(true);
-    
-    // Simulate loading (for better UX)
-    setTimeout(() => {
-      onLogin(trimmedUsername);
+
+    try {
+      await onLogin(trimmedUsername, password, mode);
+    } catch (err) {
+      setError(err.message);
       setIsLoading(false);
-    }, 500);
+    }
   };
 
+  /**
+   * Switch between signing in and creating an account
+   */
+  const toggleMode = () => {
+    setMode((prev) => (prev === 'login' ? 'register' : 'login'));
+    setError('');
+  };
+
+  const isRegistering = mode === 'register';
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 p-4">
       {/* Background decoration */}
@@ -74,7 +92,9 @@ function LoginScreen({ onLogin }) {
               Welcome to ChatIO
             </h1>
             <p className="text-gray-400">
-              Enter your username to join the conversation
+              {isRegistering
+                ? 'Create an account to join the conversation'
+                : 'Sign in to join the conversation'}
             </p>
           </div>
 
@@ -101,6 +121,28 @@ function LoginScreen({ onLogin }) {
                   disabled={isLoading}
                 />
               </div>
+            </div>
+
+            {/* Password input */}
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-2">
+                Password
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-500" />
+                </div>
+                <input
+                  type="password"
+                  id="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="block w-full pl-10 pr-3 py-3 border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition"
+                  placeholder="Enter your password"
+                  autoComplete={isRegistering ? 'new-password' : 'current-password'}
+                  disabled={isLoading}
+                />
+              </div>
               {error && (
                 <p className="mt-2 text-sm text-red-400">{error}</p>
               )}
@@ -119,17 +161,30 @@ function LoginScreen({ onLogin }) {
                 </>
               ) : (
                 <>
-                  <LogIn className="w-5 h-5" />
-                  <span>Join Chat</span>
+                  {isRegistering ? <UserPlus className="w-5 h-5" /> : <LogIn className="w-5 h-5" />}
+                  <span>{isRegistering ? 'Create Account' : 'Sign In'}</span>
                 </>
               )}
             </button>
           </form>
 
+          {/* Mode toggle */}
+          <div className="mt-4 text-center text-sm text-gray-400">
+            {isRegistering ? 'Already have an account?' : 'New to ChatIO?'}{' '}
+            <button
+              type="button"
+              onClick={toggleMode}
+              disabled={isLoading}
+              className="text-purple-400 hover:text-purple-300 font-medium transition"
+            >
+              {isRegistering ? 'Sign in' : 'Create an account'}
+            </button>
+          </div>
+
           {/* Info */}
           <div className="mt-6 text-center text-sm text-gray-400">
-            <p>🔒 Your messages are not stored permanently</p>
-            <p className="mt-1">💡 Choose a unique username to get started</p>
+            <p>💾 Your conversations are saved between sessions</p>
+            <p className="mt-1">💡 Your username is reserved once you create an account</p>
           </div>
         </div>
 
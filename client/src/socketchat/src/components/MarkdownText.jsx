@@ -0,0 +1,133 @@
+// MarkdownText.jsx - Renders a message body as Markdown
+
+import { parseBlocks, parseInline } from '../utils/markdown';
+import { highlightCode } from '../utils/highlight';
+import { splitMentions } from '../utils/mentions';
+
+// Colors for highlighted code tokens
+const TOKEN_CLASSES = {
+  comment: 'text-gray-500 italic',
+  string: 'text-green-300',
+  number: 'text-orange-300',
+  keyword: 'text-pink-300',
+};
+
+/**
+ * MarkdownText Component
+ * Renders bold/italic, inline code, fenced code blocks with syntax highlighting, lists,
+ * block quotes and links. Everything is built from React elements, so HTML in a message
+ * shows up as text.
+ *
+ * @param {string} text - Message text (Markdown source)
+ * @param {string} username - Current user's name (their @mentions and @here/@room stand out)
+ */
+function MarkdownText({ text, username = '' }) {
+  /**
+   * Render plain text with @mentions highlighted
+   */
+  const renderText = (value, key) =>
+    splitMentions(value).map((part, index) => {
+      if (!part.mention) return part.text;
+
+      const isMe = part.mention === username.toLowerCase() || part.mention === 'here' || part.mention === 'room';
+      return (
+        <span
+          key={`${key}-${index}`}
+          className={`rounded px-0.5 font-medium ${
+            isMe ? 'bg-yellow-400/30 text-yellow-200' : 'bg-blue-500/30 text-blue-200'
+          }`}
+        >
+          {part.text}
+        </span>
+      );
+    });
+
+  /**
+   * Render inline nodes (text, code, emphasis and links)
+   */
+  const renderInline = (nodes, keyPrefix = 'i') =>
+    nodes.map((node, index) => {
+      const key = `${keyPrefix}-${index}`;
+      switch (node.type) {
+        case 'code':
+          return (
+            <code key={key} className="px-1 py-0.5 rounded bg-gray-900/60 font-mono text-[0.85em]">
+              {node.text}
+            </code>
+          );
+        case 'strong':
+          return <strong key={key}>{renderInline(node.children, key)}</strong>;
+        case 'em':
+          return <em key={key}>{renderInline(node.children, key)}</em>;
+        case 'link':
+          return (
+            <a
+              key={key}
+              href={node.href}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="underline text-blue-300 hover:text-blue-200 break-all"
+            >
+              {node.href}
+            </a>
+          );
+        default:
+          return renderText(node.text, key);
+      }
+    });
+
+  /**
+   * Render block nodes (paragraphs, code blocks, quotes and lists)
+   */
+  const renderBlocks = (blocks, keyPrefix = 'b') =>
+    blocks.map((block, index) => {
+      const key = `${keyPrefix}-${index}`;
+      switch (block.type) {
+        case 'code':
+          return (
+            <pre key={key} className="relative rounded-md bg-gray-900/80 p-2 pt-3 text-xs font-mono overflow-x-auto">
+              {block.language && (
+                <span className="absolute top-0.5 right-2 text-[10px] text-gray-500">{block.language}</span>
+              )}
+              <code>
+                {highlightCode(block.code, block.language).map((token, tokenIndex) => (
+                  <span key={tokenIndex} className={TOKEN_CLASSES[token.type]}>
+                    {token.text}
+                  </span>
+                ))}
+              </code>
+            </pre>
+          );
+        case 'quote':
+          return (
+            <blockquote key={key} className="border-l-2 border-gray-400/60 pl-3 opacity-90 space-y-1">
+              {renderBlocks(block.blocks, key)}
+            </blockquote>
+          );
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List
+              key={key}
+              start={block.ordered ? block.start : undefined}
+              className={`pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+            >
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(parseInline(item), `${key}-${itemIndex}`)}</li>
+              ))}
+            </List>
+          );
+        }
+        default:
+          return (
+            <p key={key} className="whitespace-pre-wrap">
+              {renderInline(parseInline(block.text), key)}
+            </p>
+          );
+      }
+    });
+
+  return <div className="text-sm break-words space-y-1">{renderBlocks(parseBlocks(text))}</div>;
+}
+
+export default MarkdownText;
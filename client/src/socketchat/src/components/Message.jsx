@@ -2,7 +2,11 @@
 
 import { useState } from 'react';
 import { formatDistanceToNow } from 'date-fns';
-import { ThumbsUp, Heart, Laugh, FileText, Image as ImageIcon, File, CheckCheck, Check } from 'lucide-react';
+import { ThumbsUp, Heart, Laugh, FileText, Image as ImageIcon, File, CheckCheck, Check, Pencil, Trash2, MessageSquare, Clock, AlertCircle, ShieldAlert, Flag, X } from 'lucide-react';
+import MarkdownText from './MarkdownText';
+import { isMentioned } from '../utils/mentions';
+import { useFileUrl } from '../hooks/useFileUrl';
+import { getDisplaySize, getPlaceholderUrl } from '../utils/images';
 
 /**
  * Message Component
@@ -11,15 +15,67 @@ import { ThumbsUp, Heart, Laugh, FileText, Image as ImageIcon, File, CheckCheck,
  * @param {Object} message - Message data
  * @param {Object} currentUser - Current user information
  * @param {Function} onAddReaction - Callback to add reaction
+ * @param {Function} onEditMessage - Callback to edit message
+ * @param {Function} onDeleteMessage - Callback to delete message
+ * @param {Function} onDeleteAnyMessage - Callback to delete someone else's message (moderators only)
+ * @param {Function} onRemovePreview - Callback to remove a link preview from the user's own message
+ * @param {Function} onOpenThread - Callback to open the message's thread (omit inside threads)
+ * @param {Function} onRetryMessage - Callback to resend a failed message
+ * @param {Function} onOpenImage - Callback to open an image attachment in the gallery (receives the message ID;
+ *   without it images open in a new tab)
+ * @param {Function} onReportMessage - Callback to report someone else's message to the moderators
+ * @param {boolean} isBlocked - Whether the sender is blocked (the message starts collapsed)
+ * @param {string} seenBy - Name of the direct message peer who has read this message, if any
  */
-function Message({ message, currentUser, onAddReaction }) {
+function Message({
+  message,
+  currentUser,
+  onAddReaction,
+  onEditMessage,
+  onDeleteMessage,
+  onDeleteAnyMessage,
+  onRemovePreview,
+  onOpenThread,
+  onRetryMessage,
+  onOpenImage,
+  onReportMessage,
+  isBlocked = false,
+  seenBy = null,
+}) {
   const [showReactions, setShowReactions] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+  const [isReported, setIsReported] = useState(false);
+  const [isRevealed, setIsRevealed] = useState(false); // Blocked sender's message shown anyway
+
+  // Signed links to the attachment and its thumbnail (null while they load); download links
+  // for other files are kept valid, images keep the link they loaded with
+  const fileUrl = useFileUrl(message.fileData?.url, {
+    renew: !message.fileData?.mimetype?.startsWith('image/'),
+  });
+  const thumbnailFileUrl = useFileUrl(message.fileData?.thumbnailUrl);
   
   // Check if message is from current user
   const isOwnMessage = message.senderId === currentUser.id || message.sender === currentUser.username;
+
+  // Optimistic messages are 'pending' until acknowledged; server copies have no status
+  const sendStatus = message.status || 'sent';
+  const isUnsent = sendStatus === 'pending' || sendStatus === 'failed';
+
+  // Only the authenticated sender may edit or delete
+  const canModify = message.senderId === currentUser.id && !message.deleted && !isUnsent;
+
+  // Moderators get a delete action on everyone else's messages
+  const canModerate = Boolean(onDeleteAnyMessage) && !isOwnMessage && !message.deleted && !isUnsent;
+
+  // Anyone can report someone else's message (once)
+  const canReport = Boolean(onReportMessage) && !isOwnMessage && !message.deleted && !isUnsent && !isReported;
   
   // Check if it's a system message
   const isSystemMessage = message.type === 'system';
+
+  // Messages that ping the current user get a highlight
+  const mentionsMe = !isOwnMessage && isMentioned(message, currentUser.id);
   
   // Available reactions
   const availableReactions = [
@@ -38,6 +94,75 @@ function Message({ message, currentUser, onAddReaction }) {
     setShowReactions(false);
   };
 
+  /**
+   * Start editing the message text
+   */
+  const startEditing = () => {
+    setEditText(message.message);
+    setIsEditing(true);
+    setShowReactions(false);
+  };
+
+  /**
+   * Save or cancel an edit
+   */
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = editText.trim();
+
+    if (trimmed && trimmed !== message.message) {
+      onEditMessage(message.id, trimmed);
+    }
+    setIsEditing(false);
+  };
+
+  /**
+   * Handle edit keyboard shortcuts (Enter saves, Escape cancels)
+   */
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsEditing(false);
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      handleEditSubmit(e);
+    }
+  };
+
+  /**
+   * Delete the message after confirmation
+   */
+  const handleDelete = () => {
+    if (window.confirm('Delete this message?')) {
+      onDeleteMessage(message.id);
+    }
+    setShowReactions(false);
+  };
+
+  /**
+   * Delete someone else's message as a moderator after confirmation
+   */
+  const handleModeratorDelete = () => {
+    if (window.confirm(`Delete this message from ${message.sender}? This is logged in the room.`)) {
+      onDeleteAnyMessage(message.id);
+    }
+    setShowReactions(false);
+  };
+
+  /**
+   * Report the message to the moderators, with an optional reason (cancelling the prompt aborts)
+   */
+  const handleReport = async () => {
+    setShowReactions(false);
+    const reason = window.prompt(`Report this message from ${message.sender}? Add a reason for the moderators (optional):`);
+    if (reason === null) return;
+
+    const response = await onReportMessage(message.id, message.room, reason.trim());
+    if (response.status === 'ok') {
+      setIsReported(true);
+    } else {
+      window.alert(response.error);
+    }
+  };
+
   /**
    * Format timestamp
    */
@@ -49,14 +174,71 @@ function Message({ message, currentUser, onAddReaction }) {
     }
   };
 
+  /**
+   * Render link preview cards (the sender can remove them)
+   */
+  const renderLinkPreviews = () => {
+    if (message.deleted || !message.previews?.length) return null;
+
+    return (
+      <div className="mt-2 space-y-2">
+        {message.previews.map((preview) => (
+          <div
+            key={preview.url}
+            className="relative flex max-w-sm overflow-hidden rounded-lg border border-gray-600 bg-gray-800/70 hover:bg-gray-800 transition"
+          >
+            <a
+              href={preview.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex flex-1 min-w-0 gap-3 p-2 pr-7"
+            >
+              {preview.image && (
+                <img
+                  src={preview.image}
+                  alt=""
+                  loading="lazy"
+                  referrerPolicy="no-referrer"
+                  className="w-16 h-16 flex-shrink-0 rounded object-cover"
+                  onError={(e) => { e.currentTarget.style.display = 'none'; }}
+                />
+              )}
+              <div className="min-w-0">
+                <p className="text-xs text-gray-400 truncate">{preview.siteName}</p>
+                <p className="text-sm font-semibold text-gray-100 line-clamp-2">{preview.title}</p>
+                {preview.description && (
+                  <p className="text-xs text-gray-400 line-clamp-2">{preview.description}</p>
+                )}
+              </div>
+            </a>
+            {canModify && onRemovePreview && (
+              <button
+                onClick={() => onRemovePreview(message.id, preview.url)}
+                className="absolute top-1 right-1 p-1 rounded text-gray-400 hover:text-white hover:bg-gray-700 transition"
+                title="Remove preview"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   /**
    * Render file attachment
    */
   const renderFileAttachment = () => {
     if (!message.fileData) return null;
 
-    const { filename, originalName, mimetype, url, size } = message.fileData;
+    const { originalName, mimetype, size, thumbnailUrl, blurhash } = message.fileData;
+    const url = fileUrl || undefined;
     const isImage = mimetype?.startsWith('image/');
+
+    // Known dimensions reserve the image's space (no jump when it loads); the blurhash fills it meanwhile
+    const displaySize = isImage ? getDisplaySize(message.fileData) : null;
+    const placeholderUrl = displaySize && getPlaceholderUrl(blurhash);
     
     // Format file size
     const formatSize = (bytes) => {
@@ -72,11 +254,27 @@ function Message({ message, currentUser, onAddReaction }) {
             href={url}
             target="_blank"
             rel="noopener noreferrer"
-            className="block max-w-sm"
+            onClick={(e) => {
+              if (!onOpenImage) return;
+              e.preventDefault();
+              onOpenImage(message.id);
+            }}
+            className="block max-w-sm w-fit"
           >
             <img
-              src={url}
+              src={(thumbnailUrl ? thumbnailFileUrl : url) || undefined}
               alt={originalName}
+              width={displaySize?.width}
+              height={displaySize?.height}
+              loading="lazy"
+              onLoad={(e) => {
+                e.currentTarget.style.backgroundImage = 'none';
+              }}
+              style={displaySize && {
+                ...displaySize,
+                backgroundImage: placeholderUrl ? `url(${placeholderUrl})` : undefined,
+                backgroundSize: 'cover',
+              }}
               className="rounded-lg max-h-64 object-contain border border-gray-600 hover:opacity-90 transition"
             />
           </a>
@@ -103,6 +301,54 @@ function Message({ message, currentUser, onAddReaction }) {
     );
   };
 
+  /**
+   * Render send state for own messages (pending, failed with retry, sent, read)
+   */
+  const renderSendStatus = () => {
+    if (!isOwnMessage || message.deleted) return null;
+
+    if (sendStatus === 'pending') {
+      return (
+        <div className="flex items-center gap-1 mt-1 text-xs text-gray-500" title="Sending...">
+          <Clock className="w-3 h-3" />
+          <span>Sending...</span>
+        </div>
+      );
+    }
+
+    if (sendStatus === 'failed') {
+      return (
+        <div className="flex items-center gap-1 mt-1 text-xs text-red-400">
+          <AlertCircle className="w-3 h-3" />
+          <span>{message.error || 'Failed to send'}</span>
+          {onRetryMessage && (
+            <button
+              onClick={() => onRetryMessage(message.clientId)}
+              className="ml-1 font-medium underline hover:text-red-300 transition"
+            >
+              Retry
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    const readers = seenBy ? [seenBy] : message.readBy || [];
+    const isRead = readers.length > 0;
+    return (
+      <div
+        className="flex items-center mt-1 text-xs text-gray-500"
+        title={isRead ? `Read by ${readers.join(', ')}` : 'Sent'}
+      >
+        {isRead ? (
+          <CheckCheck className="w-3 h-3 text-purple-400" />
+        ) : (
+          <Check className="w-3 h-3" />
+        )}
+      </div>
+    );
+  };
+
   /**
    * Render reactions
    */
@@ -139,17 +385,37 @@ function Message({ message, currentUser, onAddReaction }) {
     );
   };
 
-  // System message
+  // System message (moderation actions are logged by the server)
   if (isSystemMessage) {
     return (
       <div className="flex justify-center">
-        <div className="px-4 py-2 bg-gray-800 rounded-lg text-sm text-gray-400 border border-gray-700">
-          {message.message}
+        <div
+          className={`flex items-center gap-2 px-4 py-2 bg-gray-800 rounded-lg text-sm border ${
+            message.moderation ? 'text-amber-300 border-amber-800' : 'text-gray-400 border-gray-700'
+          }`}
+        >
+          {message.moderation && <ShieldAlert className="w-4 h-4 flex-shrink-0" />}
+          <span>{message.message}</span>
         </div>
       </div>
     );
   }
 
+  // Blocked sender: collapsed until revealed
+  if (isBlocked && !isRevealed) {
+    return (
+      <div className="flex items-center gap-2 pl-13 text-xs text-gray-500 italic">
+        <span>Message from a blocked user</span>
+        <button
+          onClick={() => setIsRevealed(true)}
+          className="not-italic text-gray-400 hover:text-white transition"
+        >
+          Show
+        </button>
+      </div>
+    );
+  }
+
   // Private message indicator
   const isPrivateMessage = message.isPrivate;
 
@@ -178,38 +444,106 @@ function Message({ message, currentUser, onAddReaction }) {
             {isOwnMessage ? 'You' : message.sender}
           </span>
           <span className="text-xs text-gray-500">{getFormattedTime()}</span>
+          {message.editedAt && !message.deleted && (
+            <span
+              className="text-xs text-gray-500 italic"
+              title={`Edited ${new Date(message.editedAt).toLocaleString()}${
+                message.revisions?.length ? ` • ${message.revisions.length} earlier version(s)` : ''
+              }`}
+            >
+              (edited)
+            </span>
+          )}
           {isPrivateMessage && (
             <span className="text-xs bg-purple-900 text-purple-200 px-2 py-0.5 rounded">
               Private
             </span>
           )}
+          {/* Awaiting review in the moderation queue (only shown to those who can act on it) */}
+          {message.flagged && canModerate && (
+            <span className="text-xs bg-amber-900 text-amber-200 px-2 py-0.5 rounded" title="Flagged by the content filter">
+              Flagged
+            </span>
+          )}
+          {isReported && (
+            <span className="text-xs bg-gray-700 text-gray-300 px-2 py-0.5 rounded" title="Sent to the moderators">
+              Reported
+            </span>
+          )}
+          {isBlocked && (
+            <button
+              onClick={() => setIsRevealed(false)}
+              className="text-xs text-gray-500 hover:text-gray-300 transition"
+            >
+              Hide
+            </button>
+          )}
         </div>
 
         {/* Message bubble */}
         <div
           className={`
             relative group
+            ${isUnsent ? 'opacity-60' : ''}
             ${isOwnMessage 
               ? 'bg-purple-600 text-white' 
               : 'bg-gray-700 text-gray-100'
             }
+            ${mentionsMe ? 'ring-2 ring-yellow-400/60' : ''}
             rounded-2xl px-4 py-2
             ${isOwnMessage ? 'rounded-tr-sm' : 'rounded-tl-sm'}
           `}
-          onMouseEnter={() => setShowReactions(true)}
+          onMouseEnter={() => !message.deleted && !isEditing && !isUnsent && setShowReactions(true)}
           onMouseLeave={() => setShowReactions(false)}
         >
-          {/* Text message */}
-          {message.message && (
-            <p className="text-sm whitespace-pre-wrap break-words">
-              {message.message}
+          {/* Deleted message tombstone */}
+          {message.deleted && (
+            <p className="text-sm italic opacity-70">
+              {message.deletedBy ? `message removed by ${message.deletedBy}` : 'message deleted'}
             </p>
           )}
 
+          {/* Inline editor */}
+          {isEditing ? (
+            <form onSubmit={handleEditSubmit} className="flex flex-col gap-2 min-w-[12rem]">
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                className="w-full px-2 py-1 bg-gray-800 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-400 resize-none"
+                rows="2"
+                autoFocus
+              />
+              <div className="flex justify-end gap-2 text-xs">
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="px-2 py-1 rounded bg-gray-600 hover:bg-gray-500 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!editText.trim()}
+                  className="px-2 py-1 rounded bg-gray-900 hover:bg-gray-800 transition disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          ) : (
+            message.message && (
+              <MarkdownText text={message.message} username={currentUser.username} />
+            )
+          )}
+
           {/* File attachment */}
           {renderFileAttachment()}
 
-          {/* Reaction picker (on hover) */}
+          {/* Link previews */}
+          {renderLinkPreviews()}
+
+          {/* Reaction picker and actions (on hover) */}
           {showReactions && (
             <div
               className={`
@@ -228,12 +562,98 @@ function Message({ message, currentUser, onAddReaction }) {
                   {reaction.emoji}
                 </button>
               ))}
+
+              {/* Reply in thread */}
+              {onOpenThread && (
+                <>
+                  <span className="w-px bg-gray-700 mx-1" />
+                  <button
+                    onClick={() => onOpenThread(message)}
+                    className="p-1 text-gray-400 hover:text-white transition"
+                    title="Reply in thread"
+                  >
+                    <MessageSquare className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+
+              {/* Edit and delete (own messages only) */}
+              {canModify && (
+                <>
+                  <span className="w-px bg-gray-700 mx-1" />
+                  {message.type === 'text' && (
+                    <button
+                      onClick={startEditing}
+                      className="p-1 text-gray-400 hover:text-white transition"
+                      title="Edit message"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={handleDelete}
+                    className="p-1 text-gray-400 hover:text-red-400 transition"
+                    title="Delete message"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+
+              {/* Moderator delete (other people's messages) */}
+              {canModerate && (
+                <>
+                  <span className="w-px bg-gray-700 mx-1" />
+                  <button
+                    onClick={handleModeratorDelete}
+                    className="p-1 text-gray-400 hover:text-red-400 transition"
+                    title="Delete message (moderator)"
+                  >
+                    <ShieldAlert className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+
+              {/* Report to the moderators (other people's messages) */}
+              {canReport && (
+                <>
+                  <span className="w-px bg-gray-700 mx-1" />
+                  <button
+                    onClick={handleReport}
+                    className="p-1 text-gray-400 hover:text-amber-400 transition"
+                    title="Report message"
+                  >
+                    <Flag className="w-4 h-4" />
+                  </button>
+                </>
+              )}
             </div>
           )}
         </div>
 
         {/* Reactions */}
         {renderReactions()}
+
+        {/* Send status */}
+        {renderSendStatus()}
+
+        {/* Thread summary */}
+        {onOpenThread && message.replyCount > 0 && (
+          <button
+            onClick={() => onOpenThread(message)}
+            className="flex items-center gap-1 mt-1 text-xs text-purple-400 hover:text-purple-300 transition"
+          >
+            <MessageSquare className="w-3 h-3" />
+            <span className="font-medium">
+              {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+            </span>
+            {message.lastReplyAt && (
+              <span className="text-gray-500">
+                • last {formatDistanceToNow(new Date(message.lastReplyAt), { addSuffix: true })}
+              </span>
+            )}
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,130 @@
+// ModerationQueuePanel.jsx - Messages the content filter flagged or users reported, for moderators to review
+
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Hash, Loader2, User, X } from 'lucide-react';
+
+/**
+ * ModerationQueuePanel Component
+ * Lists flagged and reported messages in the rooms the user moderates; approving keeps
+ * a message, removing deletes it for everyone
+ *
+ * @param {Function} onLoadQueue - Load the queue (resolves to { items } or { error })
+ * @param {Function} onReview - Review a message (messageId, 'approve' | 'remove')
+ * @param {Function} onJumpToMessage - Open a message in its room
+ * @param {Function} onClose - Close the panel
+ */
+function ModerationQueuePanel({ onLoadQueue, onReview, onJumpToMessage, onClose }) {
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [error, setError] = useState('');
+
+  // Load the queue when the panel opens
+  useEffect(() => {
+    let cancelled = false;
+
+    onLoadQueue().then((response) => {
+      if (cancelled) return;
+      setIsLoading(false);
+      if (response.error) {
+        setError(response.error);
+      } else {
+        setItems(response.items);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [onLoadQueue]);
+
+  /**
+   * Approve or remove a message and take it off the list
+   */
+  const handleReview = async (messageId, action) => {
+    setError('');
+    setReviewingId(messageId);
+    const response = await onReview(messageId, action);
+    setReviewingId(null);
+
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+    setItems((prev) => prev.filter((item) => item.messageId !== messageId));
+  };
+
+  return (
+    <div className="absolute right-0 top-full mt-2 w-96 max-w-[calc(100vw-2rem)] bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50">
+      {/* Header */}
+      <div className="flex items-center justify-between p-3 border-b border-gray-700">
+        <h3 className="font-semibold text-sm">Moderation queue{items.length > 0 && ` • ${items.length}`}</h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded transition" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-3 space-y-3 max-h-96 overflow-y-auto">
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center gap-2 py-4 text-sm text-gray-400">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading...
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-gray-400 text-center py-4">Nothing to review</p>
+        ) : (
+          items.map((item) => (
+            <div key={item.messageId} className="p-2 bg-gray-900 border border-gray-700 rounded-lg">
+              <div className="flex items-center gap-1 text-xs text-gray-400 mb-1">
+                {item.roomName ? <Hash className="w-3 h-3" /> : <User className="w-3 h-3" />}
+                <span className="truncate">{item.roomName || 'Direct message'}</span>
+                <span>•</span>
+                <span className="font-medium text-gray-300">{item.message.sender}</span>
+                <span className="ml-auto flex-shrink-0">
+                  {formatDistanceToNow(new Date(item.flaggedAt), { addSuffix: true })}
+                </span>
+              </div>
+              <button
+                onClick={() => onJumpToMessage(item.message)}
+                className="block w-full text-left text-sm text-gray-100 break-words hover:text-purple-300 transition"
+                title="Show in the room"
+              >
+                {item.message.message || 'Sent a file'}
+              </button>
+              {item.rules.length > 0 && (
+                <p className="text-xs text-amber-300 mt-1">Matched: {item.rules.join(', ')}</p>
+              )}
+              {item.reports.map((report) => (
+                <p key={report.reporterId} className="text-xs text-amber-300 mt-1 break-words">
+                  Reported by {report.reporter || 'Unknown user'}
+                  {report.reason && <span className="text-gray-300">: {report.reason}</span>}
+                </p>
+              ))}
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => handleReview(item.messageId, 'approve')}
+                  disabled={reviewingId === item.messageId}
+                  className="flex-1 px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs font-medium transition disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => handleReview(item.messageId, 'remove')}
+                  disabled={reviewingId === item.messageId}
+                  className="flex-1 px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs font-medium transition disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ModerationQueuePanel;
@@ -0,0 +1,165 @@
+// RoomAccessPanel.jsx - Members, invites and join requests for a private room
+
+import { useState } from 'react';
+import { Copy, Check, UserPlus, X } from 'lucide-react';
+
+/**
+ * RoomAccessPanel Component
+ * Lets members add online users and share the room link, and lets the owner
+ * share the invite link and answer join requests
+ *
+ * @param {Object} room - Private room (owners also get inviteCode and joinRequests)
+ * @param {Array} users - Online users
+ * @param {Object} currentUser - Current user information
+ * @param {Function} onInviteToRoom - Add a user to the room (roomId, userId)
+ * @param {Function} onRespondToJoinRequest - Answer a join request (roomId, userId, approve)
+ * @param {Function} onClose - Close the panel
+ */
+function RoomAccessPanel({ room, users, currentUser, onInviteToRoom, onRespondToJoinRequest, onClose }) {
+  const [copiedLink, setCopiedLink] = useState(null);
+  const [error, setError] = useState('');
+
+  const isOwner = room.ownerId === currentUser.id;
+  const members = room.members || [];
+
+  // Online users who aren't members yet (a user may have several sockets)
+  const invitableUsers = users.filter(
+    (user, index) =>
+      !members.includes(user.userId) &&
+      users.findIndex((other) => other.userId === user.userId) === index
+  );
+
+  const links = [
+    isOwner && room.inviteCode && {
+      id: 'invite',
+      label: 'Invite link',
+      hint: 'Anyone with this link joins straight away',
+      url: `${window.location.origin}/?invite=${room.inviteCode}`,
+    },
+    {
+      id: 'room',
+      label: 'Room link',
+      hint: 'Others can ask the owner to let them in',
+      url: `${window.location.origin}/?room=${room.id}`,
+    },
+  ].filter(Boolean);
+
+  /**
+   * Copy a link to the clipboard
+   */
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopiedLink(link.id);
+      setTimeout(() => setCopiedLink(null), 2000);
+    } catch {
+      setError('Could not copy the link');
+    }
+  };
+
+  /**
+   * Run a room action and show its error, if any
+   */
+  const runAction = async (action) => {
+    setError('');
+    const response = await action();
+    if (response?.status === 'error') {
+      setError(response.error);
+    }
+  };
+
+  return (
+    <div className="absolute right-0 top-full mt-2 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50">
+      {/* Header */}
+      <div className="flex items-center justify-between p-3 border-b border-gray-700">
+        <h3 className="font-semibold text-sm">
+          {room.name} • {members.length} {members.length === 1 ? 'member' : 'members'}
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded transition" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-3 space-y-4 max-h-96 overflow-y-auto">
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        {/* Share links */}
+        {links.map((link) => (
+          <div key={link.id}>
+            <p className="text-xs font-semibold text-gray-400 uppercase mb-1">{link.label}</p>
+            <div className="flex items-center gap-2">
+              <input
+                readOnly
+                value={link.url}
+                className="flex-1 min-w-0 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-xs text-gray-300"
+              />
+              <button
+                onClick={() => handleCopy(link)}
+                className="p-1.5 hover:bg-gray-700 rounded transition"
+                title="Copy link"
+              >
+                {copiedLink === link.id ? (
+                  <Check className="w-4 h-4 text-green-400" />
+                ) : (
+                  <Copy className="w-4 h-4" />
+                )}
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{link.hint}</p>
+          </div>
+        ))}
+
+        {/* Join requests (owner only) */}
+        {isOwner && room.joinRequests?.length > 0 && (
+          <div>
+            <p className="text-xs font-semibold text-gray-400 uppercase mb-2">Join requests</p>
+            <div className="space-y-2">
+              {room.joinRequests.map((request) => (
+                <div key={request.userId} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate">{request.username}</span>
+                  <button
+                    onClick={() => runAction(() => onRespondToJoinRequest(room.id, request.userId, true))}
+                    className="px-2 py-1 bg-purple-600 hover:bg-purple-700 rounded text-xs font-medium transition"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => runAction(() => onRespondToJoinRequest(room.id, request.userId, false))}
+                    className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs font-medium transition"
+                  >
+                    Decline
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Add online users */}
+        <div>
+          <p className="text-xs font-semibold text-gray-400 uppercase mb-2">Add online users</p>
+          {invitableUsers.length === 0 ? (
+            <p className="text-xs text-gray-500">Everyone online is already a member</p>
+          ) : (
+            <div className="space-y-1">
+              {invitableUsers.map((user) => (
+                <div key={user.userId} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate">{user.username}</span>
+                  <button
+                    onClick={() => runAction(() => onInviteToRoom(room.id, user.userId))}
+                    className="p-1.5 hover:bg-gray-700 rounded transition"
+                    title={`Add ${user.username}`}
+                  >
+                    <UserPlus className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RoomAccessPanel;
@@ -0,0 +1,100 @@
+// RoomSettingsPanel.jsx - Posting rules for a room the current user owns
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { SLOW_MODE_OPTIONS, formatSlowMode } from '../utils/roles';
+
+/**
+ * RoomSettingsPanel Component
+ * Lets the owner turn on slow mode and announcement mode (only moderators post)
+ *
+ * @param {Object} room - Room summary
+ * @param {Function} onUpdateRoom - Save the room's settings (roomId, { slowModeSeconds, readOnly })
+ * @param {Function} onClose - Close the panel
+ */
+function RoomSettingsPanel({ room, onUpdateRoom, onClose }) {
+  const [slowModeSeconds, setSlowModeSeconds] = useState(room.slowModeSeconds || 0);
+  const [readOnly, setReadOnly] = useState(Boolean(room.readOnly));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Keep a custom interval set elsewhere (e.g. through the API) selectable
+  const slowModeOptions = SLOW_MODE_OPTIONS.includes(slowModeSeconds)
+    ? SLOW_MODE_OPTIONS
+    : [...SLOW_MODE_OPTIONS, slowModeSeconds].sort((a, b) => a - b);
+
+  /**
+   * Save the settings and close the panel
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+
+    const response = await onUpdateRoom(room.id, { slowModeSeconds, readOnly });
+    setIsSaving(false);
+
+    if (response?.status === 'error') {
+      setError(response.error);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <div className="absolute right-0 top-full mt-2 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-50">
+      {/* Header */}
+      <div className="flex items-center justify-between p-3 border-b border-gray-700">
+        <h3 className="font-semibold text-sm">{room.name} • Settings</h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded transition" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <form onSubmit={handleSave} className="p-3 space-y-4">
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        {/* Slow mode */}
+        <label className="block">
+          <span className="text-xs font-semibold text-gray-400 uppercase">Slow mode</span>
+          <select
+            value={slowModeSeconds}
+            onChange={(e) => setSlowModeSeconds(Number(e.target.value))}
+            className="mt-1 w-full px-2 py-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {slowModeOptions.map((seconds) => (
+              <option key={seconds} value={seconds}>
+                {seconds ? `One message every ${formatSlowMode(seconds)}` : 'Off'}
+              </option>
+            ))}
+          </select>
+          <span className="block text-xs text-gray-500 mt-1">Moderators are not slowed down</span>
+        </label>
+
+        {/* Announcement mode */}
+        <label className="flex items-start gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={readOnly}
+            onChange={(e) => setReadOnly(e.target.checked)}
+            className="rounded mt-0.5"
+          />
+          <span>
+            Announcements only
+            <span className="block text-xs text-gray-500">Members can read, only moderators can post</span>
+          </span>
+        </label>
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full px-3 py-1.5 bg-purple-600 hover:bg-purple-700 rounded text-sm font-medium transition disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default RoomSettingsPanel;
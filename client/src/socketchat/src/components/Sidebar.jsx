@@ -1,32 +1,56 @@
 // Sidebar.jsx - Navigation sidebar with rooms and channels
 
 import { useState } from 'react';
-import { Hash, Plus, LogOut, MessageCircle, X } from 'lucide-react';
+import { Hash, Plus, LogOut, MessageCircle, X, User, Lock, KeyRound, AtSign, DoorOpen } from 'lucide-react';
+import { getConversationPeer } from '../utils/conversations';
+import { SLOW_MODE_OPTIONS, formatSlowMode } from '../utils/roles';
 
 /**
  * Sidebar Component
- * Displays available chat rooms and allows room creation
+ * Displays available chat rooms and direct message conversations, and allows room creation
  * 
  * @param {Object} currentUser - Current user information
- * @param {Array} rooms - List of available rooms
- * @param {string} currentRoom - Currently active room ID
- * @param {Function} onJoinRoom - Callback to join a room
- * @param {Function} onCreateRoom - Callback to create a new room
+ * @param {Array} rooms - List of available rooms (joined: whether the user is a member; unreadCount, mentionCount)
+ * @param {Array} conversations - Direct message conversations
+ * @param {string} currentRoom - Currently active room or conversation ID
+ * @param {Function} onJoinRoom - Callback to join a room (or open a conversation)
+ * @param {Function} onLeaveRoom - Callback to leave a room and stop receiving its messages
+ * @param {Function} onCreateRoom - Callback to create a new room (name, { isPrivate, slowModeSeconds, readOnly })
+ * @param {Function} onJoinWithInvite - Callback to join a private room with an invite code
  * @param {Function} onLogout - Callback to logout
  * @param {Function} onClose - Callback to close sidebar (mobile)
  */
 function Sidebar({
   currentUser,
   rooms,
+  conversations,
   currentRoom,
   onJoinRoom,
+  onLeaveRoom,
   onCreateRoom,
+  onJoinWithInvite,
   onLogout,
   onClose,
 }) {
   const [showCreateRoom, setShowCreateRoom] = useState(false);
   const [newRoomName, setNewRoomName] = useState('');
   const [isPrivate, setIsPrivate] = useState(false);
+  const [slowModeSeconds, setSlowModeSeconds] = useState(0);
+  const [readOnly, setReadOnly] = useState(false);
+  const [showJoinInvite, setShowJoinInvite] = useState(false);
+  const [inviteInput, setInviteInput] = useState('');
+  const [inviteError, setInviteError] = useState('');
+
+  /**
+   * Close the create room form and clear it
+   */
+  const resetCreateRoom = () => {
+    setShowCreateRoom(false);
+    setNewRoomName('');
+    setIsPrivate(false);
+    setSlowModeSeconds(0);
+    setReadOnly(false);
+  };
 
   /**
    * Handle room creation
@@ -35,10 +59,44 @@ function Sidebar({
     e.preventDefault();
     
     if (newRoomName.trim()) {
-      onCreateRoom(newRoomName.trim(), isPrivate);
-      setNewRoomName('');
-      setIsPrivate(false);
-      setShowCreateRoom(false);
+      onCreateRoom(newRoomName.trim(), { isPrivate, slowModeSeconds, readOnly });
+      resetCreateRoom();
+    }
+  };
+
+  /**
+   * Handle joining a private room with an invite code or link
+   */
+  const handleJoinWithInvite = async (e) => {
+    e.preventDefault();
+
+    // Accept a pasted invite link as well as the bare code
+    const input = inviteInput.trim();
+    const code = input.includes('invite=')
+      ? new URL(input, window.location.origin).searchParams.get('invite')
+      : input;
+    if (!code) return;
+
+    setInviteError('');
+    const response = await onJoinWithInvite(code);
+    if (response.status === 'ok') {
+      setInviteInput('');
+      setShowJoinInvite(false);
+      onClose();
+    } else {
+      setInviteError(response.error);
+    }
+  };
+
+  /**
+   * Handle leaving a room
+   */
+  const handleLeaveRoom = async (room) => {
+    if (!window.confirm(`Leave ${room.name}? You'll stop receiving its messages.`)) return;
+
+    const response = await onLeaveRoom(room.id);
+    if (response.status === 'error') {
+      window.alert(response.error);
     }
   };
 
@@ -84,15 +142,58 @@ function Sidebar({
         <div className="p-4">
           <div className="flex items-center justify-between mb-3">
             <h3 className="text-sm font-semibold text-gray-400 uppercase">Rooms</h3>
-            <button
-              onClick={() => setShowCreateRoom(!showCreateRoom)}
-              className="p-1 hover:bg-gray-700 rounded transition"
-              title="Create room"
-            >
-              <Plus className="w-4 h-4" />
-            </button>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => setShowJoinInvite(!showJoinInvite)}
+                className="p-1 hover:bg-gray-700 rounded transition"
+                title="Join with invite code"
+              >
+                <KeyRound className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setShowCreateRoom(!showCreateRoom)}
+                className="p-1 hover:bg-gray-700 rounded transition"
+                title="Create room"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
           </div>
 
+          {/* Join with invite form */}
+          {showJoinInvite && (
+            <form onSubmit={handleJoinWithInvite} className="mb-4 p-3 bg-gray-700 rounded-lg">
+              <input
+                type="text"
+                value={inviteInput}
+                onChange={(e) => setInviteInput(e.target.value)}
+                placeholder="Invite code or link"
+                className="w-full px-3 py-2 bg-gray-600 rounded border border-gray-500 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 mb-2"
+                autoFocus
+              />
+              {inviteError && <p className="text-xs text-red-400 mb-2">{inviteError}</p>}
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  className="flex-1 px-3 py-1.5 bg-purple-600 rounded text-sm font-medium hover:bg-purple-700 transition"
+                >
+                  Join
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowJoinInvite(false);
+                    setInviteInput('');
+                    setInviteError('');
+                  }}
+                  className="flex-1 px-3 py-1.5 bg-gray-600 rounded text-sm font-medium hover:bg-gray-500 transition"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
           {/* Create room form */}
           {showCreateRoom && (
             <form onSubmit={handleCreateRoom} className="mb-4 p-3 bg-gray-700 rounded-lg">
@@ -101,6 +202,7 @@ function Sidebar({
                 value={newRoomName}
                 onChange={(e) => setNewRoomName(e.target.value)}
                 placeholder="Room name"
+                maxLength={50}
                 className="w-full px-3 py-2 bg-gray-600 rounded border border-gray-500 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 mb-2"
                 autoFocus
               />
@@ -113,6 +215,29 @@ function Sidebar({
                 />
                 <span>Private room</span>
               </label>
+              <label className="flex items-center gap-2 mb-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={readOnly}
+                  onChange={(e) => setReadOnly(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Announcements only</span>
+              </label>
+              <label className="flex items-center justify-between gap-2 mb-2 text-sm">
+                <span>Slow mode</span>
+                <select
+                  value={slowModeSeconds}
+                  onChange={(e) => setSlowModeSeconds(Number(e.target.value))}
+                  className="px-2 py-1 bg-gray-600 rounded border border-gray-500 text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {SLOW_MODE_OPTIONS.map((seconds) => (
+                    <option key={seconds} value={seconds}>
+                      {formatSlowMode(seconds)}
+                    </option>
+                  ))}
+                </select>
+              </label>
               <div className="flex gap-2">
                 <button
                   type="submit"
@@ -122,11 +247,7 @@ function Sidebar({
                 </button>
                 <button
                   type="button"
-                  onClick={() => {
-                    setShowCreateRoom(false);
-                    setNewRoomName('');
-                    setIsPrivate(false);
-                  }}
+                  onClick={resetCreateRoom}
                   className="flex-1 px-3 py-1.5 bg-gray-600 rounded text-sm font-medium hover:bg-gray-500 transition"
                 >
                   Cancel
@@ -137,28 +258,78 @@ function Sidebar({
 
           {/* Room list */}
           <div className="space-y-1">
-            {rooms.map((room) => (
-              <button
-                key={room.id}
-                onClick={() => handleJoinRoom(room.id)}
-                className={`
-                  w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition
-                  ${
-                    currentRoom === room.id
-                      ? 'bg-purple-600 text-white'
-                      : 'hover:bg-gray-700 text-gray-300'
-                  }
-                `}
-              >
-                <Hash className="w-4 h-4 flex-shrink-0" />
-                <span className="flex-1 truncate text-sm">{room.name}</span>
-                {room.isPrivate && (
-                  <span className="text-xs bg-gray-900 px-2 py-0.5 rounded">
-                    Private
-                  </span>
-                )}
-              </button>
-            ))}
+            {rooms.map((room) => {
+              const isCurrent = currentRoom === room.id;
+              const unread = isCurrent ? 0 : room.unreadCount || 0;
+              const mentions = isCurrent ? 0 : room.mentionCount || 0;
+              const canLeave = room.joined && room.id !== 'global';
+
+              return (
+                <div key={room.id} className="relative group">
+                  <button
+                    onClick={() => handleJoinRoom(room.id)}
+                    className={`
+                      w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition
+                      ${
+                        isCurrent
+                          ? 'bg-purple-600 text-white'
+                          : room.joined
+                            ? 'hover:bg-gray-700 text-gray-300'
+                            : 'hover:bg-gray-700 text-gray-500'
+                      }
+                    `}
+                    title={room.joined ? room.name : `Join ${room.name}`}
+                  >
+                    {room.isPrivate ? (
+                      <Lock className="w-4 h-4 flex-shrink-0" />
+                    ) : (
+                      <Hash className="w-4 h-4 flex-shrink-0" />
+                    )}
+                    <span className={`flex-1 truncate text-sm ${unread > 0 ? 'font-semibold text-white' : ''}`}>
+                      {room.name}
+                    </span>
+                    {mentions > 0 && (
+                      <span
+                        className="flex items-center gap-0.5 text-xs bg-red-600 text-white px-1.5 py-0.5 rounded-full"
+                        title="Mentions"
+                      >
+                        <AtSign className="w-3 h-3" />
+                        {mentions}
+                      </span>
+                    )}
+                    {unread > 0 && (
+                      <span className="text-xs bg-gray-600 text-white px-2 py-0.5 rounded-full" title="Unread messages">
+                        {unread}
+                      </span>
+                    )}
+                    {room.joinRequests?.length > 0 && (
+                      <span
+                        className="text-xs bg-red-600 text-white px-2 py-0.5 rounded-full"
+                        title="Pending join requests"
+                      >
+                        {room.joinRequests.length}
+                      </span>
+                    )}
+                    {room.isPrivate && (
+                      <span className="text-xs bg-gray-900 px-2 py-0.5 rounded">
+                        Private
+                      </span>
+                    )}
+                  </button>
+
+                  {/* Leave room (shown on hover) */}
+                  {canLeave && (
+                    <button
+                      onClick={() => handleLeaveRoom(room)}
+                      className="absolute right-1 top-1/2 -translate-y-1/2 p-1.5 rounded bg-gray-800 text-gray-400 hover:text-red-400 opacity-0 group-hover:opacity-100 focus:opacity-100 transition"
+                      title="Leave room"
+                    >
+                      <DoorOpen className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
           </div>
 
           {rooms.length === 0 && !showCreateRoom && (
@@ -167,6 +338,49 @@ function Sidebar({
             </p>
           )}
         </div>
+
+        {/* Direct messages */}
+        <div className="p-4 pt-0">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase mb-3">Direct Messages</h3>
+
+          <div className="space-y-1">
+            {conversations.map((conversation) => {
+              const peer = getConversationPeer(conversation, currentUser.id);
+              const hasUnread = conversation.unreadCount > 0 && currentRoom !== conversation.id;
+
+              return (
+                <button
+                  key={conversation.id}
+                  onClick={() => handleJoinRoom(conversation.id)}
+                  className={`
+                    w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition
+                    ${
+                      currentRoom === conversation.id
+                        ? 'bg-purple-600 text-white'
+                        : 'hover:bg-gray-700 text-gray-300'
+                    }
+                  `}
+                >
+                  <User className="w-4 h-4 flex-shrink-0" />
+                  <span className={`flex-1 truncate text-sm ${hasUnread ? 'font-semibold text-white' : ''}`}>
+                    {peer?.username || 'Unknown user'}
+                  </span>
+                  {hasUnread && (
+                    <span className="text-xs bg-red-600 text-white px-2 py-0.5 rounded-full">
+                      {conversation.unreadCount}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          {conversations.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">
+              No conversations yet. Message someone from the user list!
+            </p>
+          )}
+        </div>
       </div>
 
       {/* Footer - Logout button */}
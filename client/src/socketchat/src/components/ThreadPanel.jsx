@@ -0,0 +1,191 @@
+// ThreadPanel.jsx - Replies to a single message
+
+import { useState, useEffect, useRef } from 'react';
+import { MessageSquare, Send, X } from 'lucide-react';
+import Message from './Message';
+
+/**
+ * ThreadPanel Component
+ * Shows a parent message with its replies, a reply composer and typing indicator
+ *
+ * @param {Object} currentUser - Current user information
+ * @param {Object} threadHook - Thread state and actions from useThread
+ * @param {boolean} isConnected - Socket connection status
+ * @param {Function} onAddReaction - Add reaction callback
+ * @param {Function} onEditMessage - Edit message callback
+ * @param {Function} onDeleteMessage - Delete message callback
+ * @param {Function} onRemovePreview - Remove a link preview from your message
+ * @param {Function} onReportMessage - Report someone else's message to the moderators
+ * @param {Array} blockedUserIds - Accounts the user has blocked (their messages start collapsed)
+ */
+function ThreadPanel({
+  currentUser,
+  threadHook,
+  isConnected,
+  onAddReaction,
+  onEditMessage,
+  onDeleteMessage,
+  onRemovePreview,
+  onReportMessage,
+  blockedUserIds,
+}) {
+  const {
+    parentMessage,
+    replies,
+    hasMoreReplies,
+    isLoadingReplies,
+    threadTypingUsers,
+    closeThread,
+    loadOlderReplies,
+    sendReply,
+    setThreadTyping,
+  } = threadHook;
+
+  const [reply, setReply] = useState('');
+  const repliesEndRef = useRef(null);
+  const lastReplyIdRef = useRef(null);
+
+  // Scroll to the newest reply when one arrives (not when older ones are prepended)
+  useEffect(() => {
+    const lastReplyId = replies[replies.length - 1]?.id;
+    if (lastReplyId && lastReplyId !== lastReplyIdRef.current) {
+      repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+    lastReplyIdRef.current = lastReplyId;
+  }, [replies]);
+
+  /**
+   * Handle reply input change with typing indicator
+   */
+  const handleReplyChange = (e) => {
+    setReply(e.target.value);
+    setThreadTyping(Boolean(e.target.value.trim()));
+  };
+
+  /**
+   * Handle sending a reply
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (reply.trim() && isConnected) {
+      sendReply(reply.trim());
+      setReply('');
+    }
+  };
+
+  /**
+   * Handle key press (Enter to send, Shift+Enter for a new line)
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  };
+
+  if (!parentMessage) return null;
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 border-l border-gray-700">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-700 bg-gray-800">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-purple-500" />
+          <h3 className="font-semibold">Thread</h3>
+          <span className="text-xs text-gray-400">
+            {parentMessage.replyCount || 0} {parentMessage.replyCount === 1 ? 'reply' : 'replies'}
+          </span>
+        </div>
+        <button
+          onClick={closeThread}
+          className="p-1 hover:bg-gray-700 rounded transition"
+          title="Close thread"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Parent message and replies */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <Message
+          message={parentMessage}
+          currentUser={currentUser}
+          onAddReaction={onAddReaction}
+          onEditMessage={onEditMessage}
+          onDeleteMessage={onDeleteMessage}
+          onRemovePreview={onRemovePreview}
+          onReportMessage={onReportMessage}
+          isBlocked={blockedUserIds.includes(parentMessage.senderId)}
+        />
+
+        <div className="border-t border-gray-700" />
+
+        {/* Older replies */}
+        {hasMoreReplies && (
+          <div className="flex justify-center">
+            <button
+              onClick={loadOlderReplies}
+              disabled={isLoadingReplies}
+              className="text-xs text-purple-400 hover:text-purple-300 transition disabled:opacity-50"
+            >
+              {isLoadingReplies ? 'Loading...' : 'Load earlier replies'}
+            </button>
+          </div>
+        )}
+
+        {replies.map((msg) => (
+          <div key={msg.id} id={`message-${msg.id}`}>
+            <Message
+              message={msg}
+              currentUser={currentUser}
+              onAddReaction={onAddReaction}
+              onEditMessage={onEditMessage}
+              onDeleteMessage={onDeleteMessage}
+              onRemovePreview={onRemovePreview}
+              onReportMessage={onReportMessage}
+              isBlocked={blockedUserIds.includes(msg.senderId)}
+            />
+          </div>
+        ))}
+
+        {replies.length === 0 && !isLoadingReplies && (
+          <p className="text-sm text-gray-500 text-center">No replies yet. Start the thread!</p>
+        )}
+
+        {/* Typing indicator */}
+        {threadTypingUsers.length > 0 && (
+          <div className="text-sm text-gray-400 animate-pulse">
+            {threadTypingUsers.length === 1
+              ? `${threadTypingUsers[0]} is typing`
+              : `${threadTypingUsers.length} people are typing`}
+          </div>
+        )}
+
+        <div ref={repliesEndRef} />
+      </div>
+
+      {/* Reply composer */}
+      <form onSubmit={handleSubmit} className="p-4 border-t border-gray-700 bg-gray-800 flex items-end gap-2">
+        <textarea
+          value={reply}
+          onChange={handleReplyChange}
+          onKeyDown={handleKeyDown}
+          placeholder={isConnected ? 'Reply in thread...' : 'Connecting...'}
+          disabled={!isConnected}
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none disabled:opacity-50 disabled:cursor-not-allowed"
+          rows="1"
+        />
+        <button
+          type="submit"
+          disabled={!isConnected || !reply.trim()}
+          className="p-2 bg-purple-600 hover:bg-purple-700 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed text-white"
+          title="Send reply"
+        >
+          <Send className="w-5 h-5" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ThreadPanel;
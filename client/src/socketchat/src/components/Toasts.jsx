@@ -0,0 +1,37 @@
+// Toasts.jsx - Stack of error toasts for requests the server rejected
+
+import { AlertCircle, X } from 'lucide-react';
+
+/**
+ * Toasts Component
+ * Shows each error in the bottom-right corner until it times out or is dismissed
+ *
+ * @param {Array} notifications - Toasts to show ({ id, message }), oldest first
+ * @param {Function} onDismiss - Hide a toast (receives its ID)
+ */
+function Toasts({ notifications, onDismiss }) {
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-20 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" role="status">
+      {notifications.map((notification) => (
+        <div
+          key={notification.id}
+          className="bg-red-600 text-white px-4 py-3 rounded-lg shadow-lg flex items-start gap-2"
+        >
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p className="flex-1 text-sm break-words">{notification.message}</p>
+          <button
+            onClick={() => onDismiss(notification.id)}
+            className="p-0.5 rounded hover:bg-white/20 transition"
+            title="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toasts;
@@ -1,20 +1,51 @@
 // UserList.jsx - Online users sidebar
 
 import { useState } from 'react';
-import { Users, X, MessageCircle, Circle } from 'lucide-react';
+import { Users, X, MessageCircle, Circle, Crown, Shield, ShieldCheck, MoreVertical, VolumeX, Ban, UserX, UserCheck } from 'lucide-react';
+import { getMemberRole, isRoomModerator, canModerateUser, getMutedUntil } from '../utils/roles';
+
+// Mute lengths offered in the moderation menu (seconds)
+const MUTE_DURATIONS = [
+  { label: '10 minutes', seconds: 10 * 60 },
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+];
 
 /**
  * UserList Component
- * Displays online users and allows private messaging
+ * Displays online users with their role in the current room, opens direct
+ * message conversations with them, blocks them and gives moderators kick/ban/mute actions
  * 
  * @param {Array} users - List of online users
  * @param {Object} currentUser - Current user information
- * @param {Function} onSendPrivateMessage - Send private message callback
+ * @param {Object} room - Room being viewed (null in direct messages); role is the current user's role
+ * @param {Function} onOpenDirectMessage - Open the conversation with a user (by account ID)
+ * @param {Function} onKickUser - Kick a user from the room (roomId, userId)
+ * @param {Function} onBanUser - Ban a user from the room (roomId, userId)
+ * @param {Function} onUnbanUser - Lift a ban (roomId, userId)
+ * @param {Function} onMuteUser - Mute a user (roomId, userId, seconds; 0 unmutes)
+ * @param {Function} onSetRoomRole - Make a user a moderator or member (roomId, userId, role)
+ * @param {Array} blockedUserIds - Accounts the current user has blocked
+ * @param {Function} onBlockUser - Block or unblock a user (userId, blocked)
  * @param {Function} onClose - Close sidebar callback (mobile)
  */
-function UserList({ users, currentUser, onSendPrivateMessage, onClose }) {
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [privateMessage, setPrivateMessage] = useState('');
+function UserList({
+  users,
+  currentUser,
+  room,
+  onOpenDirectMessage,
+  onKickUser,
+  onBanUser,
+  onUnbanUser,
+  onMuteUser,
+  onSetRoomRole,
+  blockedUserIds,
+  onBlockUser,
+  onClose,
+}) {
+  // Account whose moderation menu is open
+  const [menuUserId, setMenuUserId] = useState(null);
+  const [error, setError] = useState('');
 
   /**
    * Get status color
@@ -40,18 +71,121 @@ function UserList({ users, currentUser, onSendPrivateMessage, onClose }) {
   };
 
   /**
-   * Handle sending private message
+   * Handle opening a direct message conversation
+   */
+  const handleOpenDirectMessage = (user) => {
+    onOpenDirectMessage(user.userId);
+    onClose(); // Close sidebar on mobile
+  };
+
+  /**
+   * Run a moderation action, closing the menu and showing its error, if any
+   */
+  const runAction = async (action) => {
+    setError('');
+    setMenuUserId(null);
+    const response = await action();
+    if (response?.status === 'error') {
+      setError(response.error);
+    }
+  };
+
+  /**
+   * Kick or ban after confirmation
+   */
+  const handleRemove = (user, ban) => {
+    const verb = ban ? 'Ban' : 'Kick';
+    if (window.confirm(`${verb} ${user.username} from ${room.name}?`)) {
+      runAction(() => (ban ? onBanUser : onKickUser)(room.id, user.userId));
+    } else {
+      setMenuUserId(null);
+    }
+  };
+
+  /**
+   * Block after confirmation (unblocking needs none)
    */
-  const handleSendPrivateMessage = (e) => {
-    e.preventDefault();
-    
-    if (privateMessage.trim() && selectedUser) {
-      onSendPrivateMessage(selectedUser.id, privateMessage.trim());
-      setPrivateMessage('');
-      setSelectedUser(null);
+  const handleToggleBlock = (user, isBlocked) => {
+    if (
+      isBlocked ||
+      window.confirm(`Block ${user.username}? Their messages will be hidden and they won't be able to message you.`)
+    ) {
+      runAction(() => onBlockUser(user.userId, !isBlocked));
     }
   };
 
+  /**
+   * Render the role badge for a user in the current room
+   */
+  const renderRoleBadge = (user) => {
+    const role = getMemberRole(room, user.userId);
+    if (role === 'owner') {
+      return (
+        <span title="Room owner">
+          <Crown className="w-3.5 h-3.5 text-yellow-400 flex-shrink-0" />
+        </span>
+      );
+    }
+    if (role === 'moderator') {
+      return (
+        <span title="Moderator">
+          <Shield className="w-3.5 h-3.5 text-blue-400 flex-shrink-0" />
+        </span>
+      );
+    }
+    return null;
+  };
+
+  /**
+   * Render the moderation menu for a user
+   */
+  const renderModerationMenu = (user) => {
+    const mutedUntil = getMutedUntil(room, user.userId);
+    const role = getMemberRole(room, user.userId);
+    const itemClass = 'w-full text-left px-3 py-1.5 text-xs hover:bg-gray-700 transition';
+
+    return (
+      <div className="mt-2 py-1 bg-gray-800 border border-gray-600 rounded-lg">
+        {mutedUntil ? (
+          <button onClick={() => runAction(() => onMuteUser(room.id, user.userId, 0))} className={itemClass}>
+            Unmute
+          </button>
+        ) : (
+          MUTE_DURATIONS.map(({ label, seconds }) => (
+            <button
+              key={seconds}
+              onClick={() => runAction(() => onMuteUser(room.id, user.userId, seconds))}
+              className={itemClass}
+            >
+              Mute for {label}
+            </button>
+          ))
+        )}
+        {room.role !== 'moderator' && (
+          <button
+            onClick={() =>
+              runAction(() =>
+                onSetRoomRole(room.id, user.userId, role === 'moderator' ? 'member' : 'moderator')
+              )
+            }
+            className={itemClass}
+          >
+            {role === 'moderator' ? 'Remove moderator' : 'Make moderator'}
+          </button>
+        )}
+        <div className="my-1 border-t border-gray-700" />
+        <button onClick={() => handleRemove(user, false)} className={`${itemClass} text-red-400`}>
+          Kick from room
+        </button>
+        {room.id !== 'global' && (
+          <button onClick={() => handleRemove(user, true)} className={`${itemClass} text-red-400`}>
+            Ban from room
+          </button>
+        )}
+      </div>
+    );
+  };
+
   /**
    * Sort users: current user first, then alphabetically
    */
@@ -83,6 +217,8 @@ function UserList({ users, currentUser, onSendPrivateMessage, onClose }) {
 
       {/* User list */}
       <div className="flex-1 overflow-y-auto p-4">
+        {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
         {sortedUsers.length === 0 ? (
           <div className="text-center text-gray-500 py-8">
             <Users className="w-12 h-12 mx-auto mb-3 opacity-50" />
@@ -92,6 +228,9 @@ function UserList({ users, currentUser, onSendPrivateMessage, onClose }) {
           <div className="space-y-2">
             {sortedUsers.map((user) => {
               const isCurrentUser = user.username === currentUser.username;
+              const canModerate = !isCurrentUser && canModerateUser(room, user.userId);
+              const isMuted = Boolean(getMutedUntil(room, user.userId));
+              const isBlocked = blockedUserIds.includes(user.userId);
               
               return (
                 <div
@@ -132,84 +271,89 @@ function UserList({ users, currentUser, onSendPrivateMessage, onClose }) {
                             <span className="text-xs text-purple-400 ml-1">(You)</span>
                           )}
                         </p>
+                        {renderRoleBadge(user)}
+                        {isMuted && (
+                          <span title="Muted in this room">
+                            <VolumeX className="w-3.5 h-3.5 text-red-400 flex-shrink-0" />
+                          </span>
+                        )}
+                        {isBlocked && (
+                          <span title="Blocked">
+                            <UserX className="w-3.5 h-3.5 text-gray-400 flex-shrink-0" />
+                          </span>
+                        )}
                       </div>
                       <p className="text-xs text-gray-400 capitalize">
                         {getStatusText(user.status)}
                       </p>
                     </div>
 
-                    {/* Private message button */}
+                    {/* Direct message button */}
                     {!isCurrentUser && (
                       <button
-                        onClick={() => setSelectedUser(user)}
+                        onClick={() => handleOpenDirectMessage(user)}
                         className="p-2 hover:bg-gray-800 rounded transition"
-                        title="Send private message"
+                        title="Send direct message"
                       >
                         <MessageCircle className="w-4 h-4" />
                       </button>
                     )}
+
+                    {/* Block toggle */}
+                    {!isCurrentUser && (
+                      <button
+                        onClick={() => handleToggleBlock(user, isBlocked)}
+                        className="p-2 hover:bg-gray-800 rounded transition"
+                        title={isBlocked ? 'Unblock' : 'Block'}
+                      >
+                        {isBlocked ? <UserCheck className="w-4 h-4" /> : <UserX className="w-4 h-4" />}
+                      </button>
+                    )}
+
+                    {/* Moderation menu toggle */}
+                    {canModerate && (
+                      <button
+                        onClick={() => setMenuUserId(menuUserId === user.userId ? null : user.userId)}
+                        className="p-2 hover:bg-gray-800 rounded transition"
+                        title="Moderate"
+                      >
+                        <MoreVertical className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
+
+                  {canModerate && menuUserId === user.userId && renderModerationMenu(user)}
                 </div>
               );
             })}
           </div>
         )}
-      </div>
 
-      {/* Private message modal */}
-      {selectedUser && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md border border-gray-700">
-            {/* Modal header */}
-            <div className="flex items-center justify-between p-4 border-b border-gray-700">
-              <h3 className="font-semibold">
-                Send private message to {selectedUser.username}
-              </h3>
-              <button
-                onClick={() => {
-                  setSelectedUser(null);
-                  setPrivateMessage('');
-                }}
-                className="p-1 hover:bg-gray-700 rounded transition"
-              >
-                <X className="w-5 h-5" />
-              </button>
+        {/* Banned users (moderators only) */}
+        {isRoomModerator(room) && room.bans?.length > 0 && (
+          <div className="mt-6">
+            <div className="flex items-center gap-2 mb-2 text-xs font-semibold text-gray-400 uppercase">
+              <Ban className="w-3.5 h-3.5" />
+              <span>Banned from {room.name}</span>
+            </div>
+            <div className="space-y-1">
+              {room.bans.map((ban) => (
+                <div key={ban.id} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate text-gray-300">{ban.username || 'Unknown user'}</span>
+                  <button
+                    onClick={() => runAction(() => onUnbanUser(room.id, ban.id))}
+                    className="flex items-center gap-1 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition"
+                    title={`Unban ${ban.username}`}
+                  >
+                    <ShieldCheck className="w-3.5 h-3.5" />
+                    Unban
+                  </button>
+                </div>
+              ))}
             </div>
-
-            {/* Modal body */}
-            <form onSubmit={handleSendPrivateMessage} className="p-4">
-              <textarea
-                value={privateMessage}
-                onChange={(e) => setPrivateMessage(e.target.value)}
-                placeholder="Type your private message..."
-                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"
-                rows="4"
-                autoFocus
-              />
-              
-              <div className="flex gap-2 mt-4">
-                <button
-                  type="submit"
-                  disabled={!privateMessage.trim()}
-                  className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-medium transition disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  Send
-                </button>
-                <button
-                  type="button"
-                  onClick={() => {
-                    setSelectedUser(null);
-                    setPrivateMessage('');
-                  }}
-                  className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-lg font-medium transition"
-                >
-                  Cancel
-                </button>
-              </div>
-            </form>
           </div>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,48 @@
+// useFileUrl.js - Signed links to uploaded files for <img> and <a> tags
+
+import { useEffect, useState } from 'react';
+import { getFileLink, FILE_LINK_MARGIN_MS } from '../utils/auth';
+
+/**
+ * Custom hook that turns an uploaded file's path into a link the browser can open
+ * Links to the same file are shared until their token expires, so the browser cache serves
+ * repeats. A link is only swapped for a fresh one when renew is set (for download links that
+ * must still work when clicked): an image that has loaded doesn't need a valid token, and a
+ * new URL would load it all over again.
+ *
+ * @param {string} path - fileData.url or fileData.thumbnailUrl (nothing to load if empty)
+ * @param {Object} options - { renew (keep the link valid while mounted) }
+ * @returns {string|null} Link, or null until it has loaded
+ */
+export const useFileUrl = (path, { renew = false } = {}) => {
+  const [link, setLink] = useState({ path: null, url: null });
+
+  useEffect(() => {
+    if (!path) return undefined;
+
+    let cancelled = false;
+    let renewTimeout = null;
+
+    const load = () => {
+      getFileLink(path)
+        .then(({ url, expiresAt }) => {
+          if (cancelled) return;
+          setLink({ path, url });
+          if (renew) {
+            renewTimeout = setTimeout(load, Math.max(expiresAt - Date.now() - FILE_LINK_MARGIN_MS, 1000));
+          }
+        })
+        .catch((error) => console.error('File link error:', error));
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(renewTimeout);
+    };
+  }, [path, renew]);
+
+  return link.path === path ? link.url : null;
+};
+
+export default useFileUrl;
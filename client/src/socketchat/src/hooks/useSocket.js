@@ -2,6 +2,54 @@
 
 import { useEffect, useState, useCallback, useRef } from 'react';
 import { socket } from '../socket/socket';
+import { ACK_TIMEOUT_MS, enqueue, flushOutbox, getOutbox } from '../socket/outbox';
+import { isConversationId } from '../utils/conversations';
+import { isMentioned } from '../utils/mentions';
+import { API_URL, getToken } from '../utils/auth';
+import { uploadFileInChunks } from '../utils/uploads';
+import { isRoomModerator } from '../utils/roles';
+
+// Shared empty list so rooms without cached messages keep a stable reference
+const NO_MESSAGES = [];
+
+// Error toasts: how long each stays up and how many show at once
+const NOTIFICATION_TIMEOUT_MS = 6000;
+const MAX_NOTIFICATIONS = 3;
+
+/**
+ * Generate an ID for an optimistic message
+ * @returns {string} Client-side unique ID
+ */
+const createClientId = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Check for a join/leave notice generated in the browser (server system messages have a room)
+ * @param {Object} msg - Message
+ * @returns {boolean} true if the server never stored the message
+ */
+const isLocalSystemMessage = (msg) => msg.type === 'system' && !msg.room;
+
+/**
+ * Check for an optimistic message the server hasn't stored yet
+ * @param {Object} msg - Message
+ * @returns {boolean} true while pending or failed
+ */
+const isUnsent = (msg) => msg.status === 'pending' || msg.status === 'failed';
+
+/**
+ * Send an event and wait for the server's acknowledgement
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} Server ack (a timeout resolves as an error ack)
+ */
+const request = async (event, payload) => {
+  try {
+    return await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, payload);
+  } catch {
+    return { status: 'error', error: 'The server did not respond' };
+  }
+};
 
 /**
  * Custom hook for managing Socket.io connection and events
@@ -11,32 +59,157 @@ import { socket } from '../socket/socket';
 export const useSocket = () => {
   // Connection state
   const [isConnected, setIsConnected] = useState(socket.connected);
+  const [authError, setAuthError] = useState(null);
   
   // Chat data
-  const [messages, setMessages] = useState([]);
+  // Messages are cached per room so switching back is instant: { [roomId]: { messages, hasMore } }
+  const [roomMessages, setRoomMessages] = useState({});
   const [users, setUsers] = useState([]);
   const [rooms, setRooms] = useState([]);
+  const [conversations, setConversations] = useState([]);
   const [currentRoom, setCurrentRoom] = useState('global');
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+
+  // Room being viewed
+  const messages = roomMessages[currentRoom]?.messages || NO_MESSAGES;
+  const hasMoreMessages = roomMessages[currentRoom]?.hasMore || false;
+
+  // Unread messages across rooms and conversations (the server keeps the counts per room)
+  const unreadCount =
+    rooms.reduce((total, room) => total + (room.unreadCount || 0), 0) +
+    conversations.reduce((total, conversation) => total + (conversation.unreadCount || 0), 0);
   
   // UI state
   const [typingUsers, setTypingUsers] = useState([]);
-  const [unreadCount, setUnreadCount] = useState(0);
-  const [notifications, setNotifications] = useState([]);
+  const [readMarker, setReadMarker] = useState({ room: null, messageId: null }); // Read position when the room was opened
+  const lastReadId = readMarker.room === currentRoom ? readMarker.messageId : null;
+  const [isVisible, setIsVisible] = useState(!document.hidden);
+  const [jumpTarget, setJumpTarget] = useState(null); // { room, messageId, openThread } while jumping to a search hit
+  const [notifications, setNotifications] = useState([]); // Error toasts: { id, message }
+  const [slowModeUntil, setSlowModeUntil] = useState(null); // When the server will accept messages again (ms)
+  const [roomCooldowns, setRoomCooldowns] = useState({}); // roomId -> when the room's slow mode lets us post (ms)
+  const [blockedUserIds, setBlockedUserIds] = useState([]); // Accounts whose messages we've hidden
   
   // Refs for typing timeout
   const typingTimeoutRef = useRef(null);
   const lastTypingTimeRef = useRef(0);
+
+  // Logged-in user (for optimistic messages)
+  const userRef = useRef(null);
+
+  // Latest message cache and whether this session has joined before (for reconnect catch-up)
+  const roomMessagesRef = useRef({});
+  const hasJoinedRef = useRef(false);
+
+  // Latest rooms and conversations (for read positions when switching rooms)
+  const roomsRef = useRef([]);
+  const conversationsRef = useRef([]);
+
+  // Latest block list (blocked senders don't count as unread or notify)
+  const blockedUserIdsRef = useRef([]);
+
+  useEffect(() => {
+    roomMessagesRef.current = roomMessages;
+  }, [roomMessages]);
+
+  useEffect(() => {
+    roomsRef.current = rooms;
+    conversationsRef.current = conversations;
+  }, [rooms, conversations]);
+
+  useEffect(() => {
+    blockedUserIdsRef.current = blockedUserIds;
+  }, [blockedUserIds]);
+
+  /**
+   * Hide an error toast
+   * @param {string} id - Toast ID
+   */
+  const dismissNotification = useCallback((id) => {
+    setNotifications((prev) => prev.filter((notification) => notification.id !== id));
+  }, []);
+
+  /**
+   * Show an error as a toast (e.g. a request the server rejected); it hides itself after a while
+   * @param {string} message - Error message
+   */
+  const notifyError = useCallback((message) => {
+    const id = createClientId();
+    setNotifications((prev) => [...prev, { id, message }].slice(-MAX_NOTIFICATIONS));
+    setTimeout(() => dismissNotification(id), NOTIFICATION_TIMEOUT_MS);
+  }, [dismissNotification]);
+
+  /**
+   * Hold back sending after the server rate-limited a message
+   * @param {number} retryAfter - Seconds until the server accepts messages again
+   */
+  const startSlowMode = useCallback((retryAfter) => {
+    const until = Date.now() + retryAfter * 1000;
+    setSlowModeUntil((prev) => Math.max(prev || 0, until));
+  }, []);
+
+  /**
+   * Wait out a room's slow mode before posting there again
+   * @param {string} roomId - Room ID
+   * @param {number} seconds - Seconds until the room accepts our next post
+   */
+  const startRoomCooldown = useCallback((roomId, seconds) => {
+    setRoomCooldowns((prev) => ({ ...prev, [roomId]: Date.now() + seconds * 1000 }));
+  }, []);
+
+  /**
+   * Start the slow-mode wait after posting in a room (moderators aren't slowed down)
+   * @param {string} roomId - Room the post went to
+   */
+  const trackRoomPost = useCallback((roomId) => {
+    const room = roomsRef.current.find((item) => item.id === roomId);
+    if (room?.slowModeSeconds && !isRoomModerator(room)) {
+      startRoomCooldown(roomId, room.slowModeSeconds);
+    }
+  }, [startRoomCooldown]);
+
+  /**
+   * Update a room's cached messages
+   * Rooms that haven't been loaded are skipped - their history is fetched when they're opened.
+   * @param {string} roomId - Room or conversation ID
+   * @param {Function} update - Receives the cached messages and returns the new list
+   * @param {Object} changes - Other cache fields to set (e.g. hasMore)
+   */
+  const updateRoomMessages = useCallback((roomId, update, changes = {}) => {
+    setRoomMessages((prev) => {
+      const cached = prev[roomId];
+      if (!cached) return prev;
+      return { ...prev, [roomId]: { ...cached, ...changes, messages: update(cached.messages) } };
+    });
+  }, []);
+
+  /**
+   * Forget a room's cached messages (after leaving it, they would go stale)
+   * @param {string} roomId - Room ID
+   */
+  const dropRoomMessages = useCallback((roomId) => {
+    setRoomMessages((prev) => {
+      const { [roomId]: _dropped, ...rest } = prev;
+      return rest;
+    });
+  }, []);
   
   /**
-   * Connect to socket server with username
-   * @param {string} username - User's display name
-   * @param {string} avatar - Optional avatar URL
+   * Connect to socket server (identity comes from the saved token)
+   * @param {Object} user - Logged-in user ({ id, username, avatar })
    */
-  const connect = useCallback((username, avatar = null) => {
-    if (!socket.connected) {
+  const connect = useCallback((user) => {
+    userRef.current = user;
+    hasJoinedRef.current = false;
+    setAuthError(null);
+
+    // Joining happens in the connect handler so it repeats after every reconnect
+    if (socket.connected) {
+      socket.emit('user_join', { avatar: user?.avatar || null });
+      hasJoinedRef.current = true;
+    } else {
       socket.connect();
     }
-    socket.emit('user_join', { username, avatar });
   }, []);
 
   /**
@@ -46,30 +219,114 @@ export const useSocket = () => {
     socket.disconnect();
   }, []);
 
+  /**
+   * Build the optimistic copy of a message shown while it's being sent
+   * @param {Object} payload - { message, room, clientId }
+   * @returns {Object} Message marked as pending
+   */
+  const createOptimisticMessage = useCallback(({ message, room, clientId }) => ({
+    id: clientId,
+    clientId,
+    sender: userRef.current?.username,
+    senderId: userRef.current?.id,
+    message,
+    room,
+    timestamp: new Date().toISOString(),
+    type: 'text',
+    reactions: {},
+    readBy: [],
+    status: 'pending',
+  }), []);
+
+  /**
+   * Update message send state when the server acknowledges an outbox event
+   * @param {Object} entry - Outbox entry
+   * @param {Object} response - Server ack
+   */
+  const handleOutboxResult = useCallback((entry, response) => {
+    if (response?.code === 'rate_limited') {
+      startSlowMode(response.retryAfter);
+    } else if (response?.code === 'slow_mode') {
+      startRoomCooldown(entry.payload.room, response.retryAfter);
+    }
+
+    // No optimistic copy to update for these
+    if (entry.event === 'add_reaction' || entry.event === 'private_message' || entry.event === 'file_uploaded') {
+      if (response?.status === 'error') {
+        notifyError(response.error);
+      }
+      return;
+    }
+
+    const delivered = response?.status === 'delivered';
+    updateRoomMessages(entry.payload.room, (prev) =>
+      prev.map((msg) => {
+        if (msg.clientId !== entry.payload.clientId) return msg;
+        return delivered
+          ? { ...msg, id: response.id, timestamp: response.timestamp, status: 'sent' }
+          : { ...msg, status: 'failed', error: response?.error };
+      })
+    );
+  }, [notifyError, startSlowMode, startRoomCooldown, updateRoomMessages]);
+
+  /**
+   * Save an event to the outbox and send it if connected
+   * (otherwise it's replayed in order after reconnecting)
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload including clientId
+   */
+  const queueEvent = useCallback((event, payload) => {
+    const userId = userRef.current?.id;
+    if (!userId) return;
+
+    enqueue(userId, event, payload);
+    flushOutbox(socket, userId, handleOutboxResult);
+  }, [handleOutboxResult]);
+
   /**
    * Send a text message to a room
+   * Shows it immediately as pending, then marks it sent or failed.
+   * Works offline: the message waits in the outbox until the socket reconnects.
    * @param {string} message - Message content
    * @param {string} room - Room ID (defaults to current room)
    */
   const sendMessage = useCallback((message, room = null) => {
     const targetRoom = room || currentRoom;
-    socket.emit('send_message', { message, room: targetRoom });
+    const payload = { message, room: targetRoom, clientId: createClientId() };
+
+    updateRoomMessages(targetRoom, (prev) => [...prev, createOptimisticMessage(payload)]);
+    queueEvent('send_message', payload);
+    trackRoomPost(targetRoom);
     
     // Stop typing indicator
     socket.emit('typing', { isTyping: false, room: targetRoom });
     if (typingTimeoutRef.current) {
       clearTimeout(typingTimeoutRef.current);
     }
-  }, [currentRoom]);
+  }, [currentRoom, createOptimisticMessage, queueEvent, trackRoomPost, updateRoomMessages]);
+
+  /**
+   * Retry a message that failed to send
+   * @param {string} clientId - Client ID of the failed message
+   */
+  const retryMessage = useCallback((clientId) => {
+    const failed = messages.find((msg) => msg.clientId === clientId && msg.status === 'failed');
+    if (!failed) return;
+
+    updateRoomMessages(failed.room, (prev) =>
+      prev.map((msg) => (msg.clientId === clientId ? { ...msg, status: 'pending', error: null } : msg))
+    );
+    queueEvent('send_message', { message: failed.message, room: failed.room, clientId });
+  }, [messages, queueEvent, updateRoomMessages]);
 
   /**
-   * Send a private message to a specific user
-   * @param {string} to - Recipient's socket ID
+   * Send a private message to a specific user (adds it to your conversation with them)
+   * @param {string} to - Recipient's account ID
    * @param {string} message - Message content
    */
   const sendPrivateMessage = useCallback((to, message) => {
-    socket.emit('private_message', { to, message });
-  }, []);
+    queueEvent('private_message', { to, message, clientId: createClientId() });
+  }, [queueEvent]);
 
   /**
    * Set typing status with throttling (max once per 2 seconds)
@@ -107,67 +364,359 @@ export const useSocket = () => {
    */
   const addReaction = useCallback((messageId, reaction, room = null) => {
     const targetRoom = room || currentRoom;
-    socket.emit('add_reaction', { messageId, reaction, room: targetRoom });
+    queueEvent('add_reaction', { messageId, reaction, room: targetRoom, clientId: createClientId() });
+  }, [currentRoom, queueEvent]);
+
+  /**
+   * Edit one of the current user's messages
+   * @param {string} messageId - Message ID
+   * @param {string} message - New message content
+   * @param {string} room - Room ID
+   */
+  const editMessage = useCallback((messageId, message, room = null) => {
+    const targetRoom = room || currentRoom;
+    socket.emit('edit_message', { messageId, message, room: targetRoom });
   }, [currentRoom]);
 
   /**
-   * Mark message as read
+   * Delete one of the current user's messages
    * @param {string} messageId - Message ID
    * @param {string} room - Room ID
    */
-  const markAsRead = useCallback((messageId, room = null) => {
+  const deleteMessage = useCallback((messageId, room = null) => {
     const targetRoom = room || currentRoom;
-    socket.emit('mark_as_read', { messageId, room: targetRoom });
+    socket.emit('delete_message', { messageId, room: targetRoom });
   }, [currentRoom]);
 
   /**
-   * Join a chat room
+   * Remove a link preview from one of the current user's messages
+   * @param {string} messageId - Message ID
+   * @param {string} url - Link whose preview to remove
+   * @returns {Promise<Object>} Server ack
+   */
+  const removeLinkPreview = useCallback(
+    (messageId, url) => request('remove_link_preview', { messageId, room: currentRoom, url }),
+    [currentRoom]
+  );
+
+  /**
+   * Join a chat room (or switch to one already joined)
+   * Joined rooms keep receiving messages in the background, so history is
+   * only fetched the first time a room is opened.
    * @param {string} roomId - Room ID to join
    */
   const joinRoom = useCallback((roomId) => {
-    socket.emit('join_room', { roomId });
+    socket.emit('join_room', { roomId, history: !roomMessagesRef.current[roomId] });
     setCurrentRoom(roomId);
-    setMessages([]); // Clear messages for new room
+    setIsLoadingOlder(false);
+    setTypingUsers([]);
+
+    // Remember where we'd read up to for the "New messages" divider
+    const messageId = isConversationId(roomId)
+      ? conversationsRef.current.find((item) => item.id === roomId)?.lastRead?.[userRef.current?.id]
+      : roomsRef.current.find((item) => item.id === roomId)?.lastReadId;
+    setReadMarker({ room: roomId, messageId: messageId || null });
   }, []);
 
   /**
-   * Create a new chat room
-   * @param {string} name - Room name
-   * @param {boolean} isPrivate - Whether room is private
+   * Leave a room and stop receiving its messages
+   * @param {string} roomId - Room ID
+   * @returns {Promise<Object>} Server ack
+   */
+  const leaveRoom = useCallback(async (roomId) => {
+    const response = await request('leave_room', { roomId });
+    if (response.status === 'ok') {
+      dropRoomMessages(roomId);
+      if (roomId === currentRoom) {
+        joinRoom('global');
+      }
+    }
+    return response;
+  }, [currentRoom, joinRoom, dropRoomMessages]);
+
+  /**
+   * Open the direct message conversation with a user (starting it if needed)
+   * @param {string} userId - Other user's account ID
+   */
+  const openDirectMessage = useCallback((userId) => {
+    socket.emit('open_dm', { userId }, (response) => {
+      if (response?.status !== 'ok') {
+        notifyError(response?.error || 'Could not open the conversation');
+        return;
+      }
+
+      const { conversation } = response;
+      setConversations((prev) =>
+        prev.some((item) => item.id === conversation.id) ? prev : [conversation, ...prev]
+      );
+      joinRoom(conversation.id);
+    });
+  }, [joinRoom, notifyError]);
+
+  /**
+   * Request the page of messages before the oldest one loaded
+   * @param {number} limit - Page size
    */
-  const createRoom = useCallback((name, isPrivate = false) => {
-    socket.emit('create_room', { name, isPrivate });
+  const loadOlderMessages = useCallback((limit = 50) => {
+    if (!hasMoreMessages || isLoadingOlder) return;
+
+    // Locally generated system messages aren't stored on the server
+    const oldest = messages.find((msg) => !isLocalSystemMessage(msg));
+    if (!oldest) return;
+
+    setIsLoadingOlder(true);
+    socket.emit('load_older_messages', { room: currentRoom, before: oldest.id, limit });
+  }, [messages, currentRoom, hasMoreMessages, isLoadingOlder]);
+
+  /**
+   * Search the messages the user can read on the server (covers history that isn't loaded)
+   * @param {Object} filters - { q, room, from, after, before, has, offset }
+   * @returns {Promise<Object>} { results, total, hasMore }, or { error }
+   */
+  const searchMessages = useCallback(async (filters) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+
+    try {
+      const response = await fetch(`${API_URL}/api/search?${params}`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const data = await response.json();
+      return response.ok ? data : { error: data.error || 'Search failed' };
+    } catch {
+      return { error: 'Search failed' };
+    }
   }, []);
 
   /**
-   * Upload a file
-   * @param {File} file - File to upload
-   * @param {string} room - Room ID
+   * Load the flagged and reported messages the user can review
+   * @returns {Promise<Object>} { items } (each { messageId, room, roomName, rules, reports, flaggedAt, message }), or { error }
    */
-  const uploadFile = useCallback(async (file, room = null) => {
-    const targetRoom = room || currentRoom;
-    const formData = new FormData();
-    formData.append('file', file);
+  const getModerationQueue = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/moderation/queue`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const data = await response.json();
+      return response.ok ? data : { error: data.error || 'Could not load the moderation queue' };
+    } catch {
+      return { error: 'Could not load the moderation queue' };
+    }
+  }, []);
 
+  /**
+   * Approve (keep) or remove a flagged or reported message; the room sees the result through message_updated
+   * @param {string} messageId - Flagged message ID
+   * @param {string} action - 'approve' or 'remove'
+   * @returns {Promise<Object>} { status: 'ok', message }, or { error }
+   */
+  const reviewFlaggedMessage = useCallback(async (messageId, action) => {
     try {
-      const response = await fetch('/api/upload', {
+      const response = await fetch(`${API_URL}/api/moderation/queue/${messageId}`, {
         method: 'POST',
-        body: formData,
+        headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
       });
+      const data = await response.json();
+      return response.ok ? data : { error: data.error || 'Could not review the message' };
+    } catch {
+      return { error: 'Could not review the message' };
+    }
+  }, []);
 
-      if (!response.ok) throw new Error('Upload failed');
+  /**
+   * Report someone else's message to the moderators (it joins the moderation queue)
+   * @param {string} messageId - Message ID
+   * @param {string} room - Room or conversation the message is in
+   * @param {string} reason - Optional note for the moderators
+   * @returns {Promise<Object>} Server ack
+   */
+  const reportMessage = useCallback(
+    (messageId, room, reason) => request('report_message', { messageId, room, ...(reason && { reason }) }),
+    []
+  );
 
-      const fileData = await response.json();
+  /**
+   * Block or unblock a user: their room messages are collapsed and they can't message you
+   * @param {string} userId - Account ID
+   * @param {boolean} blocked - Whether to block them
+   * @returns {Promise<Object>} Server ack ({ status, blockedUserIds })
+   */
+  const blockUser = useCallback(
+    (userId, blocked) => request('block_user', { userId, blocked }),
+    []
+  );
+
+  /**
+   * Open a message's room and load history back to it; the chat area scrolls to it once loaded
+   * (thread replies jump to their parent and open the thread)
+   * @param {Object} message - Message to show (e.g. a search hit)
+   */
+  const jumpToMessage = useCallback((message) => {
+    if (message.room !== currentRoom) {
+      joinRoom(message.room);
+    }
+    setJumpTarget({
+      room: message.room,
+      messageId: message.parentId || message.id,
+      openThread: Boolean(message.parentId),
+    });
+  }, [currentRoom, joinRoom]);
+
+  /**
+   * Forget the jump target once the chat area has scrolled to it
+   */
+  const clearJumpTarget = useCallback(() => {
+    setJumpTarget(null);
+  }, []);
+
+  /**
+   * Create a new chat room
+   * @param {string} name - Room name
+   * @param {Object} settings - { isPrivate, slowModeSeconds, readOnly (only moderators post) }
+   */
+  const createRoom = useCallback((name, { isPrivate = false, slowModeSeconds = 0, readOnly = false } = {}) => {
+    socket.emit('create_room', { name, isPrivate, slowModeSeconds, readOnly });
+  }, []);
+
+  /**
+   * Change a room's posting rules (owner only)
+   * @param {string} roomId - Room ID
+   * @param {Object} settings - { slowModeSeconds, readOnly }
+   * @returns {Promise<Object>} Server ack
+   */
+  const updateRoom = useCallback(
+    (roomId, { slowModeSeconds, readOnly }) => request('update_room', { roomId, slowModeSeconds, readOnly }),
+    []
+  );
+
+  /**
+   * Add a user to a private room you belong to
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID to add
+   * @returns {Promise<Object>} Server ack
+   */
+  const inviteToRoom = useCallback((roomId, userId) => request('invite_to_room', { roomId, userId }), []);
+
+  /**
+   * Remove a user from a room you moderate (private rooms also drop their membership)
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID
+   * @returns {Promise<Object>} Server ack
+   */
+  const kickUser = useCallback((roomId, userId) => request('kick_user', { roomId, userId }), []);
+
+  /**
+   * Ban a user from a room you moderate
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID
+   * @returns {Promise<Object>} Server ack
+   */
+  const banUser = useCallback((roomId, userId) => request('ban_user', { roomId, userId }), []);
+
+  /**
+   * Lift a ban
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID
+   * @returns {Promise<Object>} Server ack
+   */
+  const unbanUser = useCallback((roomId, userId) => request('unban_user', { roomId, userId }), []);
+
+  /**
+   * Stop a user posting in a room for a while
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID
+   * @param {number} duration - Mute length in seconds (0 unmutes)
+   * @returns {Promise<Object>} Server ack ({ status, until })
+   */
+  const muteUser = useCallback(
+    (roomId, userId, duration) => request('mute_user', { roomId, userId, duration }),
+    []
+  );
+
+  /**
+   * Make a member a moderator or demote them (room owners only)
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Account ID
+   * @param {string} role - 'moderator' or 'member'
+   * @returns {Promise<Object>} Server ack
+   */
+  const setRoomRole = useCallback(
+    (roomId, userId, role) => request('set_room_role', { roomId, userId, role }),
+    []
+  );
+
+  /**
+   * Delete someone else's message in the current room as a moderator
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Server ack
+   */
+  const deleteAnyMessage = useCallback(
+    (messageId) => request('delete_any_message', { messageId, room: currentRoom }),
+    [currentRoom]
+  );
+
+  /**
+   * Join a private room with an invite code, then open it
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} Server ack ({ status, room })
+   */
+  const joinWithInvite = useCallback(async (code) => {
+    const response = await request('join_with_invite', { code });
+    if (response.status === 'ok') {
+      joinRoom(response.room.id);
+    }
+    return response;
+  }, [joinRoom]);
+
+  /**
+   * Ask a private room's owner to let you in (opens the room if you're already a member)
+   * @param {string} roomId - Room ID
+   * @returns {Promise<Object>} Server ack ({ status: 'pending' } until the owner answers)
+   */
+  const requestToJoin = useCallback(async (roomId) => {
+    const response = await request('request_to_join', { roomId });
+    if (response.status === 'ok') {
+      joinRoom(response.room.id);
+    }
+    return response;
+  }, [joinRoom]);
+
+  /**
+   * Approve or decline a request to join a room you own
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Requesting account ID
+   * @param {boolean} approve - Whether to let them in
+   * @returns {Promise<Object>} Server ack
+   */
+  const respondToJoinRequest = useCallback(
+    (roomId, userId, approve) => request('respond_to_join_request', { roomId, userId, approve }),
+    []
+  );
+
+  /**
+   * Upload a file (in resumable chunks) and post it to a room
+   * @param {File} file - File to upload
+   * @param {Object} options - { room (defaults to the current room), onProgress (0-100), signal (cancels it) }
+   * @returns {Promise<Object>} fileData of the upload
+   */
+  const uploadFile = useCallback(async (file, { room = null, onProgress, signal } = {}) => {
+    const targetRoom = room || currentRoom;
+
+    try {
+      const fileData = await uploadFileInChunks(file, { onProgress, signal });
       
-      // Emit file upload event
-      socket.emit('file_uploaded', { fileData, room: targetRoom });
+      // Announce the file by its upload ID (queued if the socket dropped during the upload)
+      queueEvent('file_uploaded', { uploadId: fileData.id, room: targetRoom, clientId: createClientId() });
+      trackRoomPost(targetRoom);
       
       return fileData;
     } catch (error) {
-      console.error('File upload error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('File upload error:', error);
+      }
       throw error;
     }
-  }, [currentRoom]);
+  }, [currentRoom, queueEvent, trackRoomPost]);
 
   /**
    * Update user status (online, away, busy)
@@ -231,6 +780,34 @@ export const useSocket = () => {
     const onConnect = () => {
       console.log('✅ Connected to server');
       setIsConnected(true);
+
+      const user = userRef.current;
+      if (!user) return;
+
+      // Session recovered by the server: rooms are intact and missed events were replayed
+      if (socket.recovered) {
+        flushOutbox(socket, user.id, handleOutboxResult);
+        return;
+      }
+
+      // Other rooms' caches missed messages while we were away - reload them when opened
+      setRoomMessages((prev) => (prev[currentRoom] ? { [currentRoom]: prev[currentRoom] } : {}));
+
+      // Rejoin the room we were viewing (a reconnect gets a new socket)
+      const resume = hasJoinedRef.current;
+      socket.emit('user_join', { avatar: user.avatar || null, room: currentRoom, resume });
+      hasJoinedRef.current = true;
+
+      // Catch up on messages sent while we were away instead of reloading history
+      if (resume) {
+        const lastMessage = (roomMessagesRef.current[currentRoom]?.messages || []).findLast(
+          (msg) => !isLocalSystemMessage(msg) && !isUnsent(msg)
+        );
+        socket.emit('sync', { room: currentRoom, sinceMessageId: lastMessage?.id });
+      }
+
+      // Replay anything queued while offline
+      flushOutbox(socket, user.id, handleOutboxResult);
     };
 
     const onDisconnect = () => {
@@ -240,40 +817,149 @@ export const useSocket = () => {
 
     const onConnectError = (error) => {
       console.error('Connection error:', error);
+
+      // Token missing, expired or revoked - stop retrying
+      if (error.message === 'Unauthorized') {
+        socket.disconnect();
+        setAuthError(error.message);
+      }
     };
 
     /**
      * Message events
      */
     const onReceiveMessage = (message) => {
-      setMessages((prev) => [...prev, message]);
-      
-      // Increment unread count if not focused
-      if (document.hidden && message.type !== 'system') {
-        setUnreadCount((prev) => prev + 1);
-        showNotification('New Message', `${message.sender}: ${message.message || 'Sent a file'}`);
+      const isOwnMessage = message.senderId === userRef.current?.id;
+      // Blocked senders' messages are hidden, so they never count as unread or notify
+      const isQuiet = isOwnMessage || blockedUserIdsRef.current.includes(message.senderId);
+
+      // Direct messages arrive whichever room is open - keep the conversation list current
+      if (isConversationId(message.room)) {
+        setConversations((prev) =>
+          prev.map((conversation) =>
+            conversation.id === message.room
+              ? {
+                  ...conversation,
+                  lastMessage: message,
+                  unreadCount:
+                    (message.room === currentRoom && !document.hidden) || isQuiet
+                      ? conversation.unreadCount
+                      : conversation.unreadCount + 1,
+                }
+              : conversation
+          )
+        );
+
+        if (message.room !== currentRoom && !isQuiet) {
+          showNotification('Direct Message', `${message.sender}: ${message.message || 'Sent a file'}`);
+          playNotificationSound();
+        }
+      }
+
+      // Replace our own optimistic copy instead of adding a duplicate
+      updateRoomMessages(message.room, (prev) => {
+        if (message.clientId && prev.some((msg) => msg.clientId === message.clientId)) {
+          return prev.map((msg) =>
+            msg.clientId === message.clientId ? { ...message, status: 'sent' } : msg
+          );
+        }
+        return [...prev, message];
+      });
+
+      if (isQuiet || message.type === 'system') return;
+
+      // Count unread messages (and mentions) in other rooms, and in this one while the tab
+      // is hidden, until the read position catches up (conversations keep their own counts)
+      const isUnseen = message.room !== currentRoom || document.hidden;
+      const mentioned = !isConversationId(message.room) && isMentioned(message, userRef.current?.id);
+      if (isUnseen && !isConversationId(message.room)) {
+        setRooms((prev) =>
+          prev.map((room) =>
+            room.id === message.room
+              ? {
+                  ...room,
+                  unreadCount: (room.unreadCount || 0) + 1,
+                  mentionCount: (room.mentionCount || 0) + (mentioned ? 1 : 0),
+                }
+              : room
+          )
+        );
+      }
+
+      // Mentions notify from any room we belong to
+      if (isUnseen && mentioned) {
+        const roomName = roomsRef.current.find((room) => room.id === message.room)?.name || message.room;
+        showNotification(`Mention in ${roomName}`, `${message.sender}: ${message.message}`);
         playNotificationSound();
+        return;
       }
-    };
+      if (message.room !== currentRoom) return;
 
-    const onPrivateMessage = (message) => {
-      setMessages((prev) => [...prev, message]);
-      
-      if (!message.isSent) {
-        showNotification('Private Message', `${message.sender}: ${message.message}`);
+      // Notify if not focused
+      if (document.hidden) {
+        showNotification('New Message', `${message.sender}: ${message.message || 'Sent a file'}`);
         playNotificationSound();
       }
     };
 
+    // Thread replies only reach the hook for mentions (useThread renders them)
+    const onThreadMessage = ({ message }) => {
+      if (message.senderId === userRef.current?.id || !isMentioned(message, userRef.current?.id)) return;
+      if (blockedUserIdsRef.current.includes(message.senderId)) return;
+      if (message.room === currentRoom && !document.hidden) return;
+
+      const roomName = roomsRef.current.find((room) => room.id === message.room)?.name || 'a thread';
+      showNotification(`Mention in ${roomName}`, `${message.sender}: ${message.message}`);
+      playNotificationSound();
+    };
+
     const onMessageUpdated = (updatedMessage) => {
-      setMessages((prev) =>
+      updateRoomMessages(updatedMessage.room, (prev) =>
         prev.map((msg) => (msg.id === updatedMessage.id ? updatedMessage : msg))
       );
     };
 
-    const onMessageHistory = ({ room, messages: historyMessages }) => {
+    const onMessageHistory = ({ room, messages: historyMessages, hasMore }) => {
+      // Keep showing messages still waiting in the outbox (e.g. after a reload)
+      const loadedClientIds = new Set(historyMessages.map((msg) => msg.clientId));
+      const queuedMessages = getOutbox(userRef.current?.id)
+        .filter(({ event, payload }) =>
+          event === 'send_message' && payload.room === room && !loadedClientIds.has(payload.clientId)
+        )
+        .map(({ payload }) => createOptimisticMessage(payload));
+
+      setRoomMessages((prev) => ({
+        ...prev,
+        [room]: { messages: [...historyMessages, ...queuedMessages], hasMore },
+      }));
+    };
+
+    const onSyncMessages = ({ room, messages: missedMessages, hasMore }) => {
+      // Append, replacing optimistic copies and skipping anything already loaded
+      updateRoomMessages(room, (prev) => {
+        const missedClientIds = new Set(missedMessages.map((msg) => msg.clientId).filter(Boolean));
+        const kept = prev.filter((msg) => !(msg.clientId && missedClientIds.has(msg.clientId)));
+        const loadedIds = new Set(kept.map((msg) => msg.id));
+        const unsent = kept.filter(isUnsent);
+        const settled = kept.filter((msg) => !isUnsent(msg));
+        return [...settled, ...missedMessages.filter((msg) => !loadedIds.has(msg.id)), ...unsent];
+      });
+
+      // More missed than fit in one page - keep going from the newest one received
+      if (hasMore && missedMessages.length > 0) {
+        socket.emit('sync', { room, sinceMessageId: missedMessages[missedMessages.length - 1].id });
+      }
+    };
+
+    const onOlderMessages = ({ room, messages: olderMessages, hasMore }) => {
+      // Prepend, skipping anything already loaded
+      updateRoomMessages(room, (prev) => {
+        const loadedIds = new Set(prev.map((msg) => msg.id));
+        return [...olderMessages.filter((msg) => !loadedIds.has(msg.id)), ...prev];
+      }, { hasMore });
+
       if (room === currentRoom) {
-        setMessages(historyMessages);
+        setIsLoadingOlder(false);
       }
     };
 
@@ -284,7 +970,7 @@ export const useSocket = () => {
       setUsers(userList);
     };
 
-    const onUserJoined = ({ user }) => {
+    const onUserJoined = ({ user, room }) => {
       // Add system message
       const systemMessage = {
         id: Date.now(),
@@ -292,12 +978,14 @@ export const useSocket = () => {
         message: `${user.username} joined the chat`,
         timestamp: new Date().toISOString(),
       };
-      setMessages((prev) => [...prev, systemMessage]);
+      updateRoomMessages(room, (prev) => [...prev, systemMessage]);
       
-      showNotification('User Joined', `${user.username} joined the chat`);
+      if (room === currentRoom) {
+        showNotification('User Joined', `${user.username} joined the chat`);
+      }
     };
 
-    const onUserLeft = ({ user }) => {
+    const onUserLeft = ({ user, room }) => {
       // Add system message
       const systemMessage = {
         id: Date.now(),
@@ -305,7 +993,7 @@ export const useSocket = () => {
         message: `${user.username} left the chat`,
         timestamp: new Date().toISOString(),
       };
-      setMessages((prev) => [...prev, systemMessage]);
+      updateRoomMessages(room, (prev) => [...prev, systemMessage]);
     };
 
     const onUserStatusChanged = ({ username, status }) => {
@@ -319,8 +1007,10 @@ export const useSocket = () => {
     /**
      * Typing events
      */
-    const onTypingUsers = ({ users: typingUsersList }) => {
-      setTypingUsers(typingUsersList);
+    const onTypingUsers = ({ users: typingUsersList, room }) => {
+      if (room === currentRoom) {
+        setTypingUsers(typingUsersList);
+      }
     };
 
     /**
@@ -328,21 +1018,109 @@ export const useSocket = () => {
      */
     const onRoomList = (roomList) => {
       setRooms(roomList);
+
+      // First room list after logging in: remember the read position of the room we're in
+      setReadMarker((prev) =>
+        prev.room === currentRoom
+          ? prev
+          : { room: currentRoom, messageId: roomList.find((room) => room.id === currentRoom)?.lastReadId || null }
+      );
+    };
+
+    // Read on another tab or device
+    const onRoomRead = ({ room, messageId }) => {
+      setRooms((prev) =>
+        prev.map((item) =>
+          item.id === room ? { ...item, lastReadId: messageId, unreadCount: 0, mentionCount: 0 } : item
+        )
+      );
     };
 
     const onRoomCreated = (room) => {
-      setRooms((prev) => [...prev, room]);
+      setRooms((prev) => (prev.some((item) => item.id === room.id) ? prev : [...prev, room]));
       joinRoom(room.id);
     };
 
+    // Private room membership changes (the updated room_list arrives separately)
+    const onRoomInvitation = ({ room, invitedBy }) => {
+      showNotification('Room Invitation', `${invitedBy} added you to ${room.name}`);
+    };
+
+    const onJoinRequest = ({ roomName, username }) => {
+      showNotification('Join Request', `${username} wants to join ${roomName}`);
+    };
+
+    const onJoinRequestAnswered = ({ room, approved }) => {
+      showNotification(
+        approved ? 'Request Approved' : 'Request Declined',
+        approved ? `You can now join ${room.name}` : `Your request to join ${room.name} was declined`
+      );
+    };
+
+    // Kicked or banned by a moderator: leave the room if we're looking at it
+    const onRemovedFromRoom = ({ roomId, roomName, action, by }) => {
+      dropRoomMessages(roomId);
+      if (roomId === currentRoom) {
+        joinRoom('global');
+      }
+      showNotification(
+        action === 'ban' ? 'Banned from Room' : 'Removed from Room',
+        `${by} ${action === 'ban' ? 'banned you from' : 'removed you from'} ${roomName}`
+      );
+    };
+
+    /**
+     * Direct message events
+     */
+    const onDmList = (conversationList) => {
+      setConversations(conversationList);
+    };
+
+    // Our block list (sent on joining and whenever any of our tabs changes it)
+    const onBlockList = (userIds) => {
+      setBlockedUserIds(userIds);
+    };
+
+    const onDmRead = ({ room, userId, messageId }) => {
+      setConversations((prev) =>
+        prev.map((conversation) =>
+          conversation.id === room
+            ? {
+                ...conversation,
+                lastRead: { ...conversation.lastRead, [userId]: messageId },
+                // Read from another of our tabs
+                unreadCount: userId === userRef.current?.id ? 0 : conversation.unreadCount,
+              }
+            : conversation
+        )
+      );
+    };
+
+    /**
+     * The server rejected an event sent without an ack (e.g. an invalid payload)
+     */
+    const onRequestError = ({ error }) => {
+      notifyError(error);
+    };
+
+    /**
+     * The server rate-limited an event sent without an ack
+     */
+    const onRateLimited = ({ event, error }) => {
+      // Dropped typing indicators aren't worth mentioning
+      if (event === 'typing') return;
+      notifyError(error);
+    };
+
     /**
      * Read receipt events
      */
-    const onReadReceipt = ({ messageId, username }) => {
-      // Update the message to add the user to readBy array
-      setMessages((prev) =>
+    const onReadReceipt = ({ room, messageIds, username }) => {
+      // Update the messages to add the user to their readBy arrays
+      const readIds = new Set(messageIds);
+      updateRoomMessages(room, (prev) =>
         prev.map((msg) => {
-          if (msg.id === messageId) {
+          if (readIds.has(msg.id)) {
             const readBy = msg.readBy || [];
             if (!readBy.includes(username)) {
               return { ...msg, readBy: [...readBy, username] };
@@ -358,9 +1136,11 @@ export const useSocket = () => {
     socket.on('disconnect', onDisconnect);
     socket.on('connect_error', onConnectError);
     socket.on('receive_message', onReceiveMessage);
-    socket.on('private_message', onPrivateMessage);
+    socket.on('thread_message', onThreadMessage);
     socket.on('message_updated', onMessageUpdated);
     socket.on('message_history', onMessageHistory);
+    socket.on('sync_messages', onSyncMessages);
+    socket.on('older_messages', onOlderMessages);
     socket.on('user_list', onUserList);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
@@ -368,7 +1148,17 @@ export const useSocket = () => {
     socket.on('typing_users', onTypingUsers);
     socket.on('room_list', onRoomList);
     socket.on('room_created', onRoomCreated);
+    socket.on('room_invitation', onRoomInvitation);
+    socket.on('join_request', onJoinRequest);
+    socket.on('join_request_answered', onJoinRequestAnswered);
+    socket.on('removed_from_room', onRemovedFromRoom);
+    socket.on('room_read', onRoomRead);
     socket.on('read_receipt', onReadReceipt);
+    socket.on('dm_list', onDmList);
+    socket.on('dm_read', onDmRead);
+    socket.on('block_list', onBlockList);
+    socket.on('request_error', onRequestError);
+    socket.on('rate_limited', onRateLimited);
 
     // Clean up event listeners on unmount
     return () => {
@@ -376,9 +1166,11 @@ export const useSocket = () => {
       socket.off('disconnect', onDisconnect);
       socket.off('connect_error', onConnectError);
       socket.off('receive_message', onReceiveMessage);
-      socket.off('private_message', onPrivateMessage);
+      socket.off('thread_message', onThreadMessage);
       socket.off('message_updated', onMessageUpdated);
       socket.off('message_history', onMessageHistory);
+      socket.off('sync_messages', onSyncMessages);
+      socket.off('older_messages', onOlderMessages);
       socket.off('user_list', onUserList);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
@@ -386,16 +1178,92 @@ export const useSocket = () => {
       socket.off('typing_users', onTypingUsers);
       socket.off('room_list', onRoomList);
       socket.off('room_created', onRoomCreated);
+      socket.off('room_invitation', onRoomInvitation);
+      socket.off('join_request', onJoinRequest);
+      socket.off('join_request_answered', onJoinRequestAnswered);
+      socket.off('removed_from_room', onRemovedFromRoom);
+      socket.off('room_read', onRoomRead);
       socket.off('read_receipt', onReadReceipt);
+      socket.off('dm_list', onDmList);
+      socket.off('dm_read', onDmRead);
+      socket.off('block_list', onBlockList);
+      socket.off('request_error', onRequestError);
+      socket.off('rate_limited', onRateLimited);
     };
-  }, [currentRoom, showNotification, playNotificationSound, joinRoom]);
+  }, [
+    currentRoom,
+    showNotification,
+    playNotificationSound,
+    joinRoom,
+    handleOutboxResult,
+    createOptimisticMessage,
+    updateRoomMessages,
+    notifyError,
+    dropRoomMessages,
+  ]);
 
-  // Reset unread count when window is focused
+  // Move our read position in the open room up to its newest message while the tab is visible
+  useEffect(() => {
+    if (isConversationId(currentRoom) || !isConnected || !isVisible) return;
+
+    const room = rooms.find((item) => item.id === currentRoom);
+    const newest = messages.findLast((msg) => !isLocalSystemMessage(msg) && !isUnsent(msg));
+    if (!room || !newest || (room.lastReadId === newest.id && !room.unreadCount)) return;
+
+    socket.emit('mark_room_read', { room: currentRoom, messageId: newest.id });
+    setRooms((prev) =>
+      prev.map((item) =>
+        item.id === currentRoom ? { ...item, lastReadId: newest.id, unreadCount: 0, mentionCount: 0 } : item
+      )
+    );
+  }, [currentRoom, messages, rooms, isConnected, isVisible]);
+
+  // Same for the open conversation
+  useEffect(() => {
+    if (!isConversationId(currentRoom) || !isConnected || !isVisible) return;
+
+    const userId = userRef.current?.id;
+    const conversation = conversations.find((item) => item.id === currentRoom);
+    const newest = messages.findLast((msg) => msg.type !== 'system' && !isUnsent(msg));
+    if (!conversation || !newest || conversation.lastRead?.[userId] === newest.id) return;
+
+    socket.emit('mark_dm_read', { room: currentRoom, messageId: newest.id });
+    setConversations((prev) =>
+      prev.map((item) =>
+        item.id === currentRoom
+          ? { ...item, lastRead: { ...item.lastRead, [userId]: newest.id }, unreadCount: 0 }
+          : item
+      )
+    );
+  }, [currentRoom, messages, conversations, isConnected, isVisible]);
+
+  // Load history back to the jump target (one request reaches it, with some context before)
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.room !== currentRoom || isLoadingOlder) return;
+
+    const cached = roomMessages[currentRoom];
+    if (!cached || cached.messages.some((msg) => msg.id === jumpTarget.messageId)) return;
+
+    // Already have the whole history - the message is gone
+    const oldest = cached.messages.find((msg) => !isLocalSystemMessage(msg));
+    if (!cached.hasMore || !oldest) {
+      setJumpTarget(null);
+      return;
+    }
+
+    setIsLoadingOlder(true);
+    socket.emit('load_older_messages', {
+      room: currentRoom,
+      before: oldest.id,
+      through: jumpTarget.messageId,
+      limit: 20,
+    });
+  }, [jumpTarget, currentRoom, roomMessages, isLoadingOlder]);
+
+  // Track tab visibility (messages only count as read while the tab is visible)
   useEffect(() => {
     const handleVisibilityChange = () => {
-      if (!document.hidden) {
-        setUnreadCount(0);
-      }
+      setIsVisible(!document.hidden);
     };
 
     document.addEventListener('visibilitychange', handleVisibilityChange);
@@ -415,13 +1283,20 @@ export const useSocket = () => {
     // Connection
     socket,
     isConnected,
+    authError,
     connect,
     disconnect,
     
     // Messages
     messages,
+    retryMessage,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
     sendMessage,
     sendPrivateMessage,
+    slowModeUntil,
+    roomCooldownUntil: roomCooldowns[currentRoom] || null,
     
     // Users and presence
     users,
@@ -431,11 +1306,43 @@ export const useSocket = () => {
     rooms,
     currentRoom,
     joinRoom,
+    leaveRoom,
+    lastReadId,
     createRoom,
+    updateRoom,
+    inviteToRoom,
+    joinWithInvite,
+    requestToJoin,
+    respondToJoinRequest,
+
+    // Moderation
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    setRoomRole,
+    deleteAnyMessage,
+    removeLinkPreview,
+    searchMessages,
+    getModerationQueue,
+    reviewFlaggedMessage,
+    reportMessage,
+    jumpToMessage,
+    jumpTarget,
+    clearJumpTarget,
+
+    // Direct messages
+    conversations,
+    openDirectMessage,
+
+    // Blocking
+    blockedUserIds,
+    blockUser,
     
     // Advanced features
     addReaction,
-    markAsRead,
+    editMessage,
+    deleteMessage,
     setTyping,
     uploadFile,
     updateStatus,
@@ -443,6 +1350,7 @@ export const useSocket = () => {
     // Notifications
     unreadCount,
     notifications,
+    dismissNotification,
     requestNotificationPermission,
     showNotification,
     playNotificationSound,
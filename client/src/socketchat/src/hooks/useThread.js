@@ -0,0 +1,176 @@
+// useThread.js - Thread panel state and events
+
+import { useEffect, useState, useCallback, useRef } from 'react';
+import { socket } from '../socket/socket';
+
+/**
+ * Custom hook for the open thread (replies to one room message)
+ * Keeps its own message list, typing users and history paging
+ * separate from the room so replies don't flood the main chat.
+ *
+ * @param {string} currentRoom - Room the thread belongs to
+ */
+export const useThread = (currentRoom) => {
+  const [parentMessage, setParentMessage] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [hasMoreReplies, setHasMoreReplies] = useState(false);
+  const [isLoadingReplies, setIsLoadingReplies] = useState(false);
+  const [threadTypingUsers, setThreadTypingUsers] = useState([]);
+
+  // Refs for typing timeout
+  const typingTimeoutRef = useRef(null);
+  const lastTypingTimeRef = useRef(0);
+
+  const parentId = parentMessage?.id || null;
+
+  /**
+   * Open the thread for a message and load its latest replies
+   * @param {Object} message - Parent message
+   */
+  const openThread = useCallback((message) => {
+    setParentMessage(message);
+    setReplies([]);
+    setHasMoreReplies(false);
+    setThreadTypingUsers([]);
+    setIsLoadingReplies(true);
+    socket.emit('load_thread', { room: message.room, parentId: message.id });
+  }, []);
+
+  /**
+   * Close the thread panel
+   */
+  const closeThread = useCallback(() => {
+    setParentMessage(null);
+    setReplies([]);
+    setThreadTypingUsers([]);
+  }, []);
+
+  /**
+   * Load the page of replies before the oldest one loaded
+   */
+  const loadOlderReplies = useCallback(() => {
+    if (!parentId || !hasMoreReplies || isLoadingReplies || replies.length === 0) return;
+
+    setIsLoadingReplies(true);
+    socket.emit('load_thread', { room: currentRoom, parentId, before: replies[0].id });
+  }, [parentId, hasMoreReplies, isLoadingReplies, replies, currentRoom]);
+
+  /**
+   * Send a reply to the open thread
+   * @param {string} message - Reply content
+   */
+  const sendReply = useCallback((message) => {
+    if (!parentId) return;
+
+    socket.emit('send_message', { message, room: currentRoom, parentId });
+    socket.emit('typing', { isTyping: false, room: currentRoom, parentId });
+    if (typingTimeoutRef.current) {
+      clearTimeout(typingTimeoutRef.current);
+    }
+  }, [parentId, currentRoom]);
+
+  /**
+   * Set typing status in the thread (same throttling as the room composer)
+   * @param {boolean} isTyping - Whether user is currently typing
+   */
+  const setThreadTyping = useCallback((isTyping) => {
+    if (!parentId) return;
+    const now = Date.now();
+
+    if (isTyping && now - lastTypingTimeRef.current < 2000) {
+      return;
+    }
+
+    lastTypingTimeRef.current = now;
+    socket.emit('typing', { isTyping, room: currentRoom, parentId });
+
+    if (isTyping) {
+      if (typingTimeoutRef.current) {
+        clearTimeout(typingTimeoutRef.current);
+      }
+      typingTimeoutRef.current = setTimeout(() => {
+        socket.emit('typing', { isTyping: false, room: currentRoom, parentId });
+      }, 3000);
+    }
+  }, [parentId, currentRoom]);
+
+  // Close the thread when switching rooms
+  useEffect(() => {
+    closeThread();
+  }, [currentRoom, closeThread]);
+
+  // Thread event listeners
+  useEffect(() => {
+    if (!parentId) return;
+
+    const onThreadHistory = ({ parentId: threadId, messages, hasMore, before }) => {
+      if (threadId !== parentId) return;
+
+      setReplies((prev) => {
+        if (!before) return messages;
+        const loadedIds = new Set(prev.map((msg) => msg.id));
+        return [...messages.filter((msg) => !loadedIds.has(msg.id)), ...prev];
+      });
+      setHasMoreReplies(hasMore);
+      setIsLoadingReplies(false);
+    };
+
+    const onThreadMessage = ({ parentId: threadId, message }) => {
+      if (threadId !== parentId) return;
+      setReplies((prev) => [...prev, message]);
+    };
+
+    // Keep the parent summary and replies in sync with edits, reactions and deletions
+    const onMessageUpdated = (updatedMessage) => {
+      if (updatedMessage.id === parentId) {
+        setParentMessage(updatedMessage);
+        return;
+      }
+      setReplies((prev) =>
+        prev.map((msg) => (msg.id === updatedMessage.id ? updatedMessage : msg))
+      );
+    };
+
+    const onThreadTyping = ({ parentId: threadId, users }) => {
+      if (threadId === parentId) {
+        setThreadTypingUsers(users);
+      }
+    };
+
+    socket.on('thread_history', onThreadHistory);
+    socket.on('thread_message', onThreadMessage);
+    socket.on('message_updated', onMessageUpdated);
+    socket.on('thread_typing', onThreadTyping);
+
+    return () => {
+      socket.off('thread_history', onThreadHistory);
+      socket.off('thread_message', onThreadMessage);
+      socket.off('message_updated', onMessageUpdated);
+      socket.off('thread_typing', onThreadTyping);
+    };
+  }, [parentId]);
+
+  // Cleanup typing timeout on unmount
+  useEffect(() => {
+    return () => {
+      if (typingTimeoutRef.current) {
+        clearTimeout(typingTimeoutRef.current);
+      }
+    };
+  }, []);
+
+  return {
+    parentMessage,
+    replies,
+    hasMoreReplies,
+    isLoadingReplies,
+    threadTypingUsers,
+    openThread,
+    closeThread,
+    loadOlderReplies,
+    sendReply,
+    setThreadTyping,
+  };
+};
+
+export default useThread;
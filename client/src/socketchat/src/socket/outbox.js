@@ -0,0 +1,81 @@
+// outbox.js - Persistent queue of socket events that must reach the server
+// Events are saved to localStorage first, then sent in order whenever the socket is
+// connected. Each payload carries a clientId the server uses as an idempotency key,
+// so replaying an event whose ack was lost doesn't post it twice.
+
+// How long to wait for the server to acknowledge an event
+export const ACK_TIMEOUT_MS = 10000;
+
+const STORAGE_PREFIX = 'chatOutbox:';
+
+let isFlushing = false;
+
+/**
+ * Read a user's queued events
+ * @param {string} userId - Account ID (outboxes are per user)
+ * @returns {Array} Entries in send order
+ */
+export const getOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + userId)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Replace a user's queued events
+ * @param {string} userId - Account ID
+ * @param {Array} entries - Entries in send order
+ */
+const saveOutbox = (userId, entries) => {
+  if (entries.length === 0) {
+    localStorage.removeItem(STORAGE_PREFIX + userId);
+  } else {
+    localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(entries));
+  }
+};
+
+/**
+ * Add an event to the end of the outbox
+ * @param {string} userId - Account ID
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Event payload (must include clientId)
+ */
+export const enqueue = (userId, event, payload) => {
+  const entries = getOutbox(userId).filter((entry) => entry.id !== payload.clientId);
+  entries.push({ id: payload.clientId, event, payload, queuedAt: new Date().toISOString() });
+  saveOutbox(userId, entries);
+};
+
+/**
+ * Send queued events one at a time, oldest first
+ * Stops (keeping the rest queued) as soon as an event goes unacknowledged.
+ *
+ * @param {Object} socket - Socket.io client
+ * @param {string} userId - Account ID
+ * @param {Function} onResult - Called with (entry, response) for each acknowledged event
+ */
+export const flushOutbox = async (socket, userId, onResult) => {
+  if (isFlushing || !userId) return;
+  isFlushing = true;
+
+  try {
+    for (;;) {
+      const [entry] = getOutbox(userId);
+      if (!entry || !socket.connected) break;
+
+      let response;
+      try {
+        response = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(entry.event, entry.payload);
+      } catch {
+        break; // No ack (connection dropped) - retry on the next reconnect
+      }
+
+      saveOutbox(userId, getOutbox(userId).filter((queued) => queued.id !== entry.id));
+      onResult(entry, response);
+    }
+  } finally {
+    isFlushing = false;
+  }
+};
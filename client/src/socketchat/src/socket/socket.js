@@ -1,6 +1,7 @@
 // socket.js - Enhanced Socket.io client setup with reconnection and error handling
 import { io } from 'socket.io-client';
 import { useEffect, useState, useRef, useCallback } from 'react';
+import { getToken } from '../utils/auth';
 
 // Socket.io connection URL with fallback
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
@@ -14,6 +15,8 @@ export const socket = io(SOCKET_URL, {
   reconnectionDelayMax: 5000,
   timeout: 20000,
   transports: ['websocket', 'polling'],
+  // Send the saved token on every connection attempt, including reconnects
+  auth: (cb) => cb({ token: getToken() }),
 });
 
 // Custom hook for using socket.io with enhanced features
@@ -78,7 +81,7 @@ export const useSocket = () => {
 
   // Send a private message
   const sendPrivateMessage = useCallback((toUserId, message) => {
-    socket.emit('private_message', { toUserId, message });
+    socket.emit('private_message', { to: toUserId, message });
   }, []);
 
   // Set typing status with debouncing
@@ -0,0 +1,124 @@
+// auth.js - Token storage and authentication API helpers
+
+// API base URL (empty string uses the Vite dev proxy)
+export const API_URL = import.meta.env.VITE_API_URL || '';
+
+const TOKEN_KEY = 'chatToken';
+
+// File links are renewed this long before their token expires
+export const FILE_LINK_MARGIN_MS = 60 * 1000;
+
+// Link tokens by upload ID: { promise, expiresAt } (ms)
+const fileTokens = new Map();
+
+/**
+ * Get the saved auth token
+ * @returns {string|null} JWT or null if not logged in
+ */
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Save the auth token
+ * @param {string} token - JWT issued by the server
+ */
+export const saveToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+/**
+ * Remove the saved auth token
+ */
+export const clearToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  fileTokens.clear();
+};
+
+/**
+ * Get a short-lived token that opens one upload (and its thumbnail), reusing it until it nears expiry
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} { token, expiresAt (ms) }
+ */
+const getFileToken = (uploadId) => {
+  const cached = fileTokens.get(uploadId);
+  if (cached && cached.expiresAt - Date.now() > FILE_LINK_MARGIN_MS) {
+    return cached.promise;
+  }
+
+  const entry = { expiresAt: Infinity };
+  entry.promise = fetch(`${API_URL}/api/files/${uploadId}/token`, {
+    headers: { Authorization: `Bearer ${getToken()}` },
+  })
+    .then(async (response) => {
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'File not found');
+      }
+      entry.expiresAt = new Date(data.expiresAt).getTime();
+      return { token: data.token, expiresAt: entry.expiresAt };
+    })
+    .catch((error) => {
+      fileTokens.delete(uploadId);
+      throw error;
+    });
+
+  fileTokens.set(uploadId, entry);
+  return entry.promise;
+};
+
+/**
+ * Build a link to an uploaded file
+ * The link carries a token that only opens this file, because <img> and <a> tags can't send
+ * headers (the session token never goes in a URL).
+ * @param {string} url - fileData.url or fileData.thumbnailUrl from a message
+ * @returns {Promise<Object>} { url (absolute link for the current user), expiresAt (ms) }
+ */
+export const getFileLink = async (url) => {
+  const uploadId = url.match(/^\/api\/files\/([^/?]+)/)?.[1];
+  if (!uploadId) {
+    throw new Error('Not an uploaded file');
+  }
+
+  const { token, expiresAt } = await getFileToken(uploadId);
+  return { url: `${API_URL}${url}?token=${encodeURIComponent(token)}`, expiresAt };
+};
+
+/**
+ * Read the user from a token payload without verifying it
+ * (the server verifies the signature on every connection)
+ * @param {string} token - JWT
+ * @returns {Object|null} User info, or null if malformed or expired
+ */
+export const decodeToken = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(atob(base64));
+
+    if (payload.exp && payload.exp * 1000 < Date.now()) {
+      return null;
+    }
+
+    return { id: payload.sub, username: payload.username };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Register or log in and receive a token
+ * @param {'login'|'register'} mode - Which endpoint to call
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<{token: string, user: Object}>} Token and user info
+ */
+export const authenticate = async (mode, username, password) => {
+  const response = await fetch(`${API_URL}/api/auth/${mode}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || 'Authentication failed');
+  }
+
+  return data;
+};
@@ -0,0 +1,20 @@
+// conversations.js - Direct message conversation helpers
+
+// Conversation IDs look like dm:<accountId>:<accountId> and are used as the room for their messages
+const DM_PREFIX = 'dm:';
+
+/**
+ * Check whether a room ID belongs to a direct message conversation
+ * @param {string} roomId - Room or conversation ID
+ * @returns {boolean} true for conversations
+ */
+export const isConversationId = (roomId) => typeof roomId === 'string' && roomId.startsWith(DM_PREFIX);
+
+/**
+ * Get the other participant of a conversation
+ * @param {Object} conversation - Conversation summary from the server
+ * @param {string} userId - Current user's account ID
+ * @returns {Object|null} Public account of the other participant
+ */
+export const getConversationPeer = (conversation, userId) =>
+  conversation?.participants.find((participant) => participant.id !== userId) || null;
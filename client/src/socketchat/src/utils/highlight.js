@@ -0,0 +1,88 @@
+// highlight.js - Lightweight syntax highlighting for fenced code blocks
+
+// Keywords shared by the languages people paste most (JS/TS, Python, Go, Rust, Java, C)
+const KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+  'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends', 'false', 'finally',
+  'fn', 'for', 'from', 'func', 'function', 'go', 'if', 'impl', 'import', 'in', 'instanceof',
+  'interface', 'lambda', 'let', 'match', 'mut', 'new', 'nil', 'None', 'null', 'package', 'pass',
+  'private', 'protected', 'pub', 'public', 'raise', 'return', 'self', 'static', 'struct', 'super',
+  'switch', 'this', 'throw', 'throws', 'true', 'try', 'type', 'typeof', 'undefined', 'use', 'var',
+  'void', 'while', 'with', 'yield', 'True', 'False', 'and', 'or', 'not', 'is',
+]);
+
+// SQL keywords (matched case-insensitively, in sql fences only)
+const SQL_KEYWORDS = new Set([
+  'and', 'by', 'create', 'delete', 'from', 'group', 'inner', 'insert', 'into', 'is', 'join', 'left',
+  'limit', 'not', 'null', 'on', 'or', 'order', 'select', 'set', 'table', 'update', 'values', 'where',
+]);
+
+// Languages whose line comments start with # or -- (everything else uses // and /* */)
+const HASH_COMMENT_LANGUAGES = ['bash', 'dockerfile', 'makefile', 'perl', 'py', 'python', 'r', 'rb', 'ruby', 'sh', 'shell', 'toml', 'yaml', 'yml', 'zsh'];
+const DASH_COMMENT_LANGUAGES = ['haskell', 'hs', 'lua', 'sql'];
+
+// Plain text fences (logs, stack traces) are shown without highlighting
+const PLAIN_LANGUAGES = ['log', 'plain', 'text', 'txt'];
+
+// (a // right after a colon is part of a URL, not a comment)
+const COMMENT_PATTERNS = {
+  slash: /(?<!:)\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+  hash: /#[^\n]*/,
+  dash: /--[^\n]*/,
+};
+const STRING_PATTERN = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`/;
+const NUMBER_PATTERN = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+const WORD_PATTERN = /\b[A-Za-z_]\w*\b/;
+
+// Helper function to build the tokenizer for a comment style
+const createTokenizer = (comment) =>
+  new RegExp(`(${comment.source})|(${STRING_PATTERN.source})|(${NUMBER_PATTERN.source})|(${WORD_PATTERN.source})`, 'g');
+
+const TOKENIZERS = {
+  slash: createTokenizer(COMMENT_PATTERNS.slash),
+  hash: createTokenizer(COMMENT_PATTERNS.hash),
+  dash: createTokenizer(COMMENT_PATTERNS.dash),
+};
+
+/**
+ * Split code into highlighted tokens
+ * @param {string} code - Code block content
+ * @param {string} language - Fence language (lowercased, may be empty)
+ * @returns {Array} Tokens ({ type: 'comment' | 'string' | 'number' | 'keyword' | 'plain', text })
+ */
+export const highlightCode = (code, language = '') => {
+  if (PLAIN_LANGUAGES.includes(language)) return [{ type: 'plain', text: code }];
+
+  const style = HASH_COMMENT_LANGUAGES.includes(language)
+    ? 'hash'
+    : DASH_COMMENT_LANGUAGES.includes(language) ? 'dash' : 'slash';
+  const tokens = [];
+  const isKeyword = (word) => (language === 'sql' ? SQL_KEYWORDS.has(word.toLowerCase()) : KEYWORDS.has(word));
+  let last = 0;
+
+  // Consecutive plain text is merged into one token
+  const pushToken = (type, text) => {
+    const previous = tokens[tokens.length - 1];
+    if (type === 'plain' && previous?.type === 'plain') {
+      previous.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  for (const match of code.matchAll(TOKENIZERS[style])) {
+    const [text, comment, string, number, word] = match;
+    if (match.index > last) pushToken('plain', code.slice(last, match.index));
+
+    if (comment) pushToken('comment', text);
+    else if (string) pushToken('string', text);
+    else if (number) pushToken('number', text);
+    else if (word && isKeyword(text)) pushToken('keyword', text);
+    else pushToken('plain', text);
+
+    last = match.index + text.length;
+  }
+
+  if (last < code.length) pushToken('plain', code.slice(last));
+  return tokens;
+};
@@ -0,0 +1,60 @@
+// images.js - Helpers for image attachments (sizing, blurhash placeholders, galleries)
+
+import { decode } from 'blurhash';
+
+// Largest size an image is shown at inside a message
+const MAX_DISPLAY_WIDTH = 320;
+const MAX_DISPLAY_HEIGHT = 256;
+
+const PLACEHOLDER_SIZE = 32; // Blurhashes are decoded this small and stretched by CSS
+
+const placeholders = new Map(); // blurhash -> data URL
+
+/**
+ * Check whether a message carries an image that can be shown in the gallery
+ * @param {Object} message - Message
+ * @returns {boolean} true for image attachments
+ */
+export const isImageMessage = (message) =>
+  !message.deleted && Boolean(message.fileData?.mimetype?.startsWith('image/'));
+
+/**
+ * Scale an image to fit inside a message, keeping its aspect ratio
+ * @param {Object} fileData - Attachment ({ width, height } are set for new uploads)
+ * @returns {Object|null} { width, height } in pixels, or null if the size isn't known
+ */
+export const getDisplaySize = ({ width, height }) => {
+  if (!width || !height) return null;
+
+  const scale = Math.min(1, MAX_DISPLAY_WIDTH / width, MAX_DISPLAY_HEIGHT / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Turn a blurhash into an image URL to show while the real image loads
+ * @param {string} blurhash - Blurhash from fileData
+ * @returns {string|null} Data URL, or null if the hash is missing or invalid
+ */
+export const getPlaceholderUrl = (blurhash) => {
+  if (!blurhash) return null;
+  if (placeholders.has(blurhash)) return placeholders.get(blurhash);
+
+  let url = null;
+  try {
+    const pixels = decode(blurhash, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+    const canvas = document.createElement('canvas');
+    canvas.width = PLACEHOLDER_SIZE;
+    canvas.height = PLACEHOLDER_SIZE;
+
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+    url = canvas.toDataURL();
+  } catch {
+    // A bad hash just means no placeholder
+  }
+
+  placeholders.set(blurhash, url);
+  return url;
+};
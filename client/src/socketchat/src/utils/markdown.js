@@ -0,0 +1,122 @@
+// markdown.js - Minimal Markdown parser for message bodies
+// Produces plain nodes that MarkdownText renders as React elements, so message text is
+// never injected as HTML and links are limited to http(s) URLs.
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const CLOSING_FENCE_PATTERN = /^\s*```\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+// Inline syntax, earliest match wins: code span, bold, italic, then bare URLs
+// (underscore italics need a word boundary so snake_case names stay as they are)
+const INLINE_PATTERN =
+  /(`+)(.+?)\1|\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__|\*(\S(?:.*?\S)?)\*|\b_(\S(?:.*?\S)?)_\b|(https?:\/\/[^\s<>]*[^\s<>.,:;!?'")\]])/gs;
+
+// Helper function to check whether a line starts a block other than a paragraph
+const startsBlock = (line) =>
+  FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || BULLET_PATTERN.test(line) || ORDERED_PATTERN.test(line);
+
+/**
+ * Parse message text into block nodes
+ * @param {string} text - Message text
+ * @returns {Array} Blocks: { type: 'paragraph', text }, { type: 'code', language, code },
+ *   { type: 'quote', blocks } or { type: 'list', ordered, start, items }
+ */
+export const parseBlocks = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    // Fenced code block (runs to the closing fence, or the end of the message)
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !CLOSING_FENCE_PATTERN.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), code: code.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    // Block quote (its content may hold any other block)
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(QUOTE_PATTERN.exec(lines[index])[1]);
+        index += 1;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted.join('\n')) });
+      continue;
+    }
+
+    // Bulleted or numbered list (one line per item)
+    const ordered = ORDERED_PATTERN.test(line);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const pattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      while (index < lines.length && pattern.test(lines[index])) {
+        const match = pattern.exec(lines[index]);
+        items.push(ordered ? match[2] : match[1]);
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? Number(ORDERED_PATTERN.exec(line)[1]) : 1, items });
+      continue;
+    }
+
+    // Paragraph up to a blank line or another block (line breaks are kept)
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines[index]))) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+/**
+ * Parse inline Markdown
+ * @param {string} text - Text of a paragraph, list item or emphasis
+ * @returns {Array} Nodes: { type: 'text', text }, { type: 'code', text },
+ *   { type: 'strong' | 'em', children } or { type: 'link', href }
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, , code, strong, strongAlt, em, emAlt, url] = match;
+    if (match.index > last) {
+      nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+    } else {
+      nodes.push({ type: 'link', href: url });
+    }
+    last = match.index + whole.length;
+  }
+
+  if (last < text.length) {
+    nodes.push({ type: 'text', text: text.slice(last) });
+  }
+  return nodes;
+};
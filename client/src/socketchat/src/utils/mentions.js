@@ -0,0 +1,55 @@
+// mentions.js - @mention helpers
+
+// Mentions that address a group rather than one user
+export const GROUP_MENTIONS = [
+  { name: 'here', description: 'Notify everyone online in this room' },
+  { name: 'room', description: 'Notify everyone in this room' },
+];
+
+// @name preceded by start of text or a non-word character (matches the server's parser)
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_-]{2,20})(?![\w-])/g;
+
+/**
+ * Check whether a message mentions a user (the server resolves mentions when it stores
+ * the message: by name, @here while online, or @room)
+ * @param {Object} message - Message
+ * @param {string} userId - User's account ID
+ * @returns {boolean} true if the user was mentioned
+ */
+export const isMentioned = (message, userId) => {
+  const mentions = message?.mentions;
+  if (!mentions || !userId) return false;
+  return Boolean(mentions.room || mentions.userIds?.includes(userId));
+};
+
+/**
+ * Find the @mention being typed at the caret
+ * @param {string} text - Composer text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} { query, start } where start is the index of the @, or null
+ */
+export const findMentionQuery = (text, caret) => {
+  const match = /(^|[^\w@])@([a-zA-Z0-9_-]{0,20})$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+/**
+ * Split message text into plain text and @mention parts
+ * @param {string} text - Message text
+ * @returns {Array} Parts ({ text } or { text, mention: lowercased name })
+ */
+export const splitMentions = (text) => {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    if (start > last) parts.push({ text: text.slice(last, start) });
+    parts.push({ text: `@${match[2]}`, mention: match[2].toLowerCase() });
+    last = start + match[2].length + 1;
+  }
+
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
@@ -0,0 +1,67 @@
+// roles.js - Room role and moderation helpers
+
+// Mirrors the server's ranking: a moderator can act on anyone ranked below them
+export const ROLE_RANKS = { member: 0, moderator: 1, owner: 2, admin: 3 };
+
+/**
+ * Get a member's role in a room as far as the client can tell
+ * (server admins show up as members; the server still refuses to act on them)
+ * @param {Object} room - Room summary from the server
+ * @param {string} userId - Account ID
+ * @returns {string} 'owner', 'moderator' or 'member'
+ */
+export const getMemberRole = (room, userId) => {
+  if (!room) return 'member';
+  if (room.ownerId === userId) return 'owner';
+  if (room.moderators?.includes(userId)) return 'moderator';
+  return 'member';
+};
+
+/**
+ * Check whether the current user can moderate a room
+ * @param {Object} room - Room summary (role is the current user's role)
+ * @returns {boolean} true for moderators and above
+ */
+export const isRoomModerator = (room) => (ROLE_RANKS[room?.role] ?? 0) >= ROLE_RANKS.moderator;
+
+/**
+ * Check whether the current user can kick, ban, mute or delete messages of a member
+ * @param {Object} room - Room summary (role is the current user's role)
+ * @param {string} userId - Target account ID
+ * @returns {boolean} true if the current user outranks the target
+ */
+export const canModerateUser = (room, userId) =>
+  isRoomModerator(room) && ROLE_RANKS[room.role] > ROLE_RANKS[getMemberRole(room, userId)];
+
+/**
+ * Get when a member's mute ends
+ * @param {Object} room - Room summary
+ * @param {string} userId - Account ID
+ * @returns {Date|null} End of the mute, or null if not muted
+ */
+export const getMutedUntil = (room, userId) => {
+  const until = room?.mutes?.[userId];
+  return until && new Date(until) > new Date() ? new Date(until) : null;
+};
+
+/**
+ * Check whether the current user can change a room's settings
+ * @param {Object} room - Room summary (role is the current user's role)
+ * @returns {boolean} true for the owner (and admins)
+ */
+export const isRoomOwner = (room) => (ROLE_RANKS[room?.role] ?? 0) >= ROLE_RANKS.owner;
+
+// Slow mode choices offered when creating or editing a room (seconds between posts)
+export const SLOW_MODE_OPTIONS = [0, 10, 30, 60, 300, 900, 3600];
+
+/**
+ * Describe a slow mode interval
+ * @param {number} seconds - Seconds between posts (0 is off)
+ * @returns {string} e.g. "Off", "30s", "5m", "1h"
+ */
+export const formatSlowMode = (seconds) => {
+  if (!seconds) return 'Off';
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+};
@@ -0,0 +1,192 @@
+// uploads.js - Resumable chunked file uploads with real progress
+// Files go up in chunks through XMLHttpRequest (fetch can't report upload progress). After a
+// dropped connection the upload asks the server how much arrived and carries on from there,
+// and re-picking the same file after a reload resumes its unfinished session.
+
+import { API_URL, getToken } from './auth';
+
+const SESSIONS_KEY = 'chatUploadSessions'; // localStorage: file fingerprint -> session ID
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 1000; // Doubled after each failed attempt
+
+// Helper function to identify a file across page reloads
+const getFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Helper functions to remember unfinished sessions
+const loadSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const rememberSession = (file, sessionId) => {
+  const sessions = loadSessions();
+  if (sessionId) {
+    sessions[getFingerprint(file)] = sessionId;
+  } else {
+    delete sessions[getFingerprint(file)];
+  }
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+};
+
+// Helper function to create an error that carries the HTTP status (0 for network failures)
+const createUploadError = (message, status, data = {}) => Object.assign(new Error(message), { status, data });
+
+// Helper function to create the error thrown when the user cancels
+const createAbortError = () => new DOMException('Upload cancelled', 'AbortError');
+
+/**
+ * Send one request with XMLHttpRequest
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} options - { body, contentType, signal, onProgress (bytes of the body sent) }
+ * @returns {Promise<Object>} Parsed JSON response (rejects with { status, data } on errors)
+ */
+const sendRequest = (method, path, { body = null, contentType, signal, onProgress } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, `${API_URL}${path}`);
+    xhr.setRequestHeader('Authorization', `Bearer ${getToken()}`);
+    if (contentType) xhr.setRequestHeader('Content-Type', contentType);
+    if (onProgress) xhr.upload.onprogress = (e) => onProgress(e.loaded);
+
+    const abort = () => xhr.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    xhr.onloadend = () => signal?.removeEventListener('abort', abort);
+    xhr.onabort = () => reject(createAbortError());
+    xhr.onerror = () => reject(createUploadError('Connection lost during upload', 0));
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON error pages (e.g. from a proxy) fall back to the status text
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        reject(createUploadError(data.error || xhr.statusText || 'Upload failed', xhr.status, data));
+      }
+    };
+
+    xhr.send(body);
+  });
+
+// Helper function to wait before retrying (cut short by cancelling)
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      reject(createAbortError());
+    }, { once: true });
+  });
+
+// Helper function to find the session to resume for a file, or start one
+const openSession = async (file, signal) => {
+  const previousId = loadSessions()[getFingerprint(file)];
+  if (previousId) {
+    try {
+      const session = await sendRequest('GET', `/api/uploads/${previousId}`, { signal });
+      if (session.size === file.size) return session;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // Expired or someone else's session - start over
+    }
+  }
+
+  const session = await sendRequest('POST', '/api/uploads', {
+    body: JSON.stringify({ filename: file.name, size: file.size }),
+    contentType: 'application/json',
+    signal,
+  });
+  rememberSession(file, session.id);
+  return session;
+};
+
+/**
+ * Upload a file in resumable chunks
+ * @param {File} file - File to upload
+ * @param {Object} options - { onProgress (receives 0-100), signal (AbortSignal that cancels it) }
+ * @returns {Promise<Object>} fileData of the finished upload (its id is posted with file_uploaded)
+ */
+export const uploadFileInChunks = async (file, { onProgress = () => {}, signal } = {}) => {
+  let session = await openSession(file, signal);
+  let retries = 0;
+
+  // Cancelling also tells the server to drop what it has received
+  const cancel = () => {
+    rememberSession(file, null);
+    sendRequest('DELETE', `/api/uploads/${session.id}`).catch(() => {});
+  };
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    onProgress(Math.round((session.received / file.size) * 100));
+
+    for (;;) {
+      // Finished - also when the last response was lost and a status check picked up the result
+      if (session.file) {
+        rememberSession(file, null);
+        return session.file;
+      }
+
+      const start = session.received;
+      const chunk = file.slice(start, start + session.chunkSize);
+
+      try {
+        const result = await sendRequest('PUT', `/api/uploads/${session.id}?offset=${start}`, {
+          body: chunk,
+          contentType: 'application/octet-stream',
+          signal,
+          onProgress: (sent) => onProgress(Math.round(((start + sent) / file.size) * 100)),
+        });
+
+        retries = 0;
+        session = result;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+
+        // Out of step with the server (e.g. a chunk landed but its response was lost)
+        if (error.status === 409 && Number.isInteger(error.data.received) && error.data.received !== start) {
+          session = error.data;
+          continue;
+        }
+
+        // Sending too fast - wait as long as the server asks, then carry on
+        if (error.status === 429 && error.data.code === 'rate_limited') {
+          await wait(error.data.retryAfter * 1000, signal);
+          continue;
+        }
+
+        // Retry dropped connections, clashes and server hiccups, then ask where to carry on from
+        if ((error.status === 0 || error.status === 409 || error.status >= 500) && retries < MAX_RETRIES) {
+          await wait(RETRY_DELAY_MS * 2 ** retries, signal);
+          retries += 1;
+          try {
+            session = await sendRequest('GET', `/api/uploads/${session.id}`, { signal });
+          } catch (statusError) {
+            if (statusError.name === 'AbortError') throw statusError;
+            // Still offline - the next attempt will tell
+          }
+          continue;
+        }
+
+        // Keep a session that may still be resumable (offline or server trouble) for the next try
+        if (error.status > 0 && error.status < 500) rememberSession(file, null);
+        throw error;
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+};
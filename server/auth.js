@@ -0,0 +1,160 @@
+// auth.js - Password hashing, JWT helpers and Socket.io authentication
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Production refuses to start without a secret; elsewhere each process makes up its own,
+// so tokens stop working when the server restarts
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const FILE_TOKEN_EXPIRES_IN = 15 * 60; // Seconds a file link works for
+
+// Marks tokens that only open one uploaded file (they never work as a session)
+const FILE_TOKEN_PURPOSE = 'file';
+
+// Same rules the login screen enforces on the client
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{2,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set, using a random secret (sessions end when the server restarts)');
+}
+
+/**
+ * Hash a password with a random salt using scrypt
+ * @param {string} password - Plain text password
+ * @returns {string} salt and hash joined by a colon
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+/**
+ * Check a password against a stored scrypt hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {boolean} Whether the password matches
+ */
+const verifyPassword = (password, storedHash) => {
+  const [salt, hash] = (storedHash || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Issue a signed token for an account
+ * @param {Object} account - Account with id and username
+ * @returns {string} Signed JWT
+ */
+const signToken = (account) => {
+  return jwt.sign({ username: account.username }, JWT_SECRET, {
+    subject: account.id,
+    expiresIn: JWT_EXPIRES_IN,
+  });
+};
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - JWT sent by the client
+ * @returns {Object} Decoded payload (throws if invalid or expired)
+ */
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.purpose) {
+    throw new Error('Not a session token');
+  }
+  return payload;
+};
+
+/**
+ * Issue a short-lived token that lets an account download one uploaded file (and its thumbnail)
+ * @param {string} accountId - Account downloading the file
+ * @param {string} uploadId - Upload the token opens
+ * @returns {Object} { token, expiresAt }
+ */
+const signFileToken = (accountId, uploadId) => {
+  const token = jwt.sign({ purpose: FILE_TOKEN_PURPOSE, file: uploadId }, JWT_SECRET, {
+    subject: accountId,
+    expiresIn: FILE_TOKEN_EXPIRES_IN,
+  });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+};
+
+/**
+ * Create a Socket.io middleware that rejects handshakes without a valid token
+ * @param {Function} findAccount - Async lookup of an account by id
+ * @returns {Function} Socket.io middleware
+ */
+const createSocketAuth = (findAccount) => async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error('Unauthorized'));
+  }
+
+  try {
+    const payload = verifyToken(token);
+    const account = await findAccount(payload.sub);
+    if (!account) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.account = account;
+    next();
+  } catch {
+    next(new Error('Unauthorized'));
+  }
+};
+
+/**
+ * Create an Express middleware that requires a bearer token (Authorization: Bearer <token>)
+ * Sets req.account for the route handler, or responds 401.
+ * @param {Function} findAccount - Async lookup of an account by id
+ * @param {Object} options - { allowFileToken } also accepts ?token=<file token> for the
+ *   upload in req.params.uploadId, for links opened by <img> and <a> tags, which can't send
+ *   headers (session tokens are never read from the query string)
+ * @returns {Function} Express middleware
+ */
+const createHttpAuth = (findAccount, { allowFileToken = false } = {}) => async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const fileToken = allowFileToken && !token && typeof req.query.token === 'string' ? req.query.token : null;
+  if (!fileToken && (scheme !== 'Bearer' || !token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const payload = fileToken ? jwt.verify(fileToken, JWT_SECRET) : verifyToken(token);
+    if (fileToken && (payload.purpose !== FILE_TOKEN_PURPOSE || payload.file !== req.params.uploadId)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const account = await findAccount(payload.sub);
+    if (!account) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    req.account = account;
+    next();
+  } catch {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  signFileToken,
+  createSocketAuth,
+  createHttpAuth,
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+};
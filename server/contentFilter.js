@@ -0,0 +1,119 @@
+// contentFilter.js - Configurable content filter for messages, room names and usernames
+// Each rule matches a word list or a regular expression and picks an action: mask replaces
+// the match with asterisks, block refuses the text and flag lets it through for moderators
+// to review. Every matching rule applies, so one text can be masked and flagged at once.
+
+const fs = require('fs');
+const path = require('path');
+
+// Error code on everything the filter refuses
+const CONTENT_BLOCKED = 'content_blocked';
+
+const ACTIONS = ['mask', 'block', 'flag'];
+const TARGETS = ['message', 'room_name', 'username'];
+
+// Rules used unless CONTENT_FILTER points somewhere else (or is "off")
+const DEFAULT_RULES_PATH = path.join(__dirname, 'contentFilter.json');
+
+// Helper function to escape a word for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a rule from the rules file
+ * Words match whole words in any case ("class" doesn't match "ass"); patterns are used as written.
+ * @param {Object} rule - { name, words or pattern (and flags), action, targets }
+ * @param {number} index - Position in the file (names unnamed rules in errors)
+ * @returns {Object} { name, action, targets, regex }
+ */
+const compileRule = (rule, index) => {
+  const name = rule.name || `rule ${index + 1}`;
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Content filter ${name}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  const targets = rule.targets || TARGETS;
+  const unknownTarget = targets.find((target) => !TARGETS.includes(target));
+  if (unknownTarget) {
+    throw new Error(`Content filter ${name}: unknown target "${unknownTarget}" (use ${TARGETS.join(', ')})`);
+  }
+
+  let regex;
+  if (Array.isArray(rule.words) && rule.words.length > 0) {
+    const words = rule.words.map((word) => escapeRegExp(String(word).trim())).filter(Boolean);
+    regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  } else if (rule.pattern) {
+    try {
+      regex = new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`);
+    } catch (error) {
+      throw new Error(`Content filter ${name}: ${error.message}`);
+    }
+  } else {
+    throw new Error(`Content filter ${name}: needs words or a pattern`);
+  }
+
+  return { name, action: rule.action, targets, regex };
+};
+
+/**
+ * Create a content filter
+ * @param {Array} rules - Rules as written in the rules file
+ * @returns {Object} Filter with check
+ */
+const createContentFilter = (rules = []) => {
+  const compiled = rules.map(compileRule);
+
+  /**
+   * Run text through every rule for its target
+   * @param {string} text - Message, room name or username
+   * @param {string} target - 'message', 'room_name' or 'username'
+   * @returns {Object} { text (masked), blocked, flagged, masked, rules (names of the rules that matched) }
+   */
+  const check = (text, target) => {
+    let filtered = text;
+    const matched = [];
+
+    compiled
+      .filter((rule) => rule.targets.includes(target) && text.search(rule.regex) !== -1)
+      .forEach((rule) => {
+        matched.push(rule);
+        if (rule.action === 'mask') {
+          filtered = filtered.replace(rule.regex, (match) => '*'.repeat(match.length));
+        }
+      });
+
+    return {
+      text: filtered,
+      blocked: matched.some((rule) => rule.action === 'block'),
+      flagged: matched.some((rule) => rule.action === 'flag'),
+      masked: filtered !== text,
+      rules: matched.map((rule) => rule.name),
+    };
+  };
+
+  return { check };
+};
+
+/**
+ * Load the content filter chosen by CONTENT_FILTER
+ * @param {string} setting - "off", empty for the default rules, or a path to a rules file ({ rules: [...] })
+ * @returns {Object} Content filter
+ */
+const loadContentFilter = (setting = '') => {
+  if (setting === 'off') return createContentFilter([]);
+
+  const filePath = setting ? path.resolve(setting) : DEFAULT_RULES_PATH;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read content filter rules from ${filePath}: ${error.message}`);
+  }
+
+  return createContentFilter(config.rules);
+};
+
+module.exports = {
+  CONTENT_BLOCKED,
+  createContentFilter,
+  loadContentFilter,
+};
@@ -0,0 +1,34 @@
+// mentions.js - @mention parsing for chat messages
+
+// @name preceded by start of text or a non-word character (so emails don't match)
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_-]{2,20})(?![\w-])/g;
+
+// Mentions that address a group rather than one user
+const GROUP_MENTIONS = ['here', 'room'];
+
+/**
+ * Find the @mentions in a message text
+ * @param {string} text - Message text
+ * @returns {Object} { usernames: lowercased names, here: boolean, room: boolean }
+ */
+const parseMentions = (text) => {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+  }
+
+  return {
+    usernames: [...names].filter((name) => !GROUP_MENTIONS.includes(name)),
+    here: names.has('here'),
+    room: names.has('room'),
+  };
+};
+
+/**
+ * Check whether a username would clash with a group mention
+ * @param {string} username - Username
+ * @returns {boolean} true if the name is reserved
+ */
+const isReservedMention = (username) => GROUP_MENTIONS.includes(String(username).toLowerCase());
+
+module.exports = { parseMentions, isReservedMention };
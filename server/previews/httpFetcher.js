@@ -0,0 +1,250 @@
+// previews/httpFetcher.js - Fetch OpenGraph / oEmbed metadata for a link over HTTP
+
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 512 * 1024; // Metadata lives in <head>, so large pages are cut short
+const MAX_REDIRECTS = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Helper function to check whether an IP address is loopback, private, link-local or multicast
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return (
+      a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    // IPv4-mapped, written as a dotted quad or (as URL parsing leaves it) two hex groups
+    const mapped = lower.slice(7);
+    if (net.isIPv4(mapped)) return isPrivateAddress(mapped);
+    const [high, low] = mapped.split(':').map((group) => parseInt(group, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || lower.startsWith('fe80');
+};
+
+// Helper function to refuse links that would make the server fetch from its own network.
+// Hostnames are checked as they are resolved for the connection itself (see
+// lookupPublicAddress), so a second DNS answer can't swap in a private address.
+const assertPublicUrl = (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Unsupported protocol ${protocol}`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Refusing to fetch private address for ${host}`);
+  }
+};
+
+// Helper function to resolve a hostname, failing if any address it resolves to is private
+const resolvePublicAddresses = async (hostname) => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Refusing to fetch private address for ${hostname}`);
+  }
+  return addresses;
+};
+
+// Helper function to resolve a hostname for a socket (the `lookup` option of http.get)
+const lookupPublicAddress = (hostname, options, callback) => {
+  resolvePublicAddresses(hostname).then((addresses) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }).catch((error) => callback(error));
+};
+
+/**
+ * Check that a URL is http(s) and its host is public, for links the server hands to clients
+ * (such as preview images) without fetching them itself
+ * @param {string} url - Absolute URL
+ * @returns {Promise<boolean>} false for other protocols, private addresses and unresolvable hosts
+ */
+const isPublicUrl = async (url) => {
+  try {
+    assertPublicUrl(url);
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (!net.isIP(host)) await resolvePublicAddresses(host);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Helper function to send one GET request (resolves with the response stream)
+const get = (url, accept, signal) =>
+  new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: { Accept: accept, 'Accept-Encoding': 'identity', 'User-Agent': 'ChatIO-LinkPreview/1.0' },
+      lookup: lookupPublicAddress,
+      signal,
+    }, resolve);
+    request.on('error', reject);
+  });
+
+// Helper function to GET a URL, following (and re-checking) a few redirects
+const fetchUrl = async (url, accept) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+    assertPublicUrl(current);
+
+    const response = await get(current, accept, signal);
+
+    const { location } = response.headers;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      response.destroy();
+      current = new URL(location, current).href;
+      continue;
+    }
+    return { response, url: current };
+  }
+  throw new Error('Too many redirects');
+};
+
+// Helper function to check for a 2xx response
+const isOk = (response) => response.statusCode >= 200 && response.statusCode < 300;
+
+// Helper function to read at most MAX_BODY_BYTES of a response as text
+const readText = async (response) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_BODY_BYTES) break;
+  }
+  response.destroy();
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Helper function to decode the HTML entities found in attribute values and titles
+const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+// Helper function to read an attribute from a single HTML tag
+const getAttribute = (tag, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// Helper function to keep only absolute http(s) URLs (relative ones resolve against the page)
+const toHttpUrl = (value, base) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Helper function to shorten long titles and descriptions
+const clip = (text, length) => {
+  const clean = text?.replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+  return clean.length > length ? `${clean.slice(0, length - 1)}…` : clean;
+};
+
+/**
+ * Pull preview metadata out of a page's <head>
+ * @param {string} html - Page HTML
+ * @returns {Object} { title, description, image, siteName, oembedUrl } (missing fields are null/undefined)
+ */
+const parseHtmlMetadata = (html) => {
+  const head = html.split(/<\/head>/i)[0];
+
+  // First value wins for each property/name (pages often repeat tags)
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = (getAttribute(tag, 'property') || getAttribute(tag, 'name') || '').toLowerCase();
+    const content = getAttribute(tag, 'content');
+    if (key && content && !(key in meta)) meta[key] = content;
+  }
+
+  const oembedLink = [...head.matchAll(/<link\b[^>]*>/gi)]
+    .map(([tag]) => tag)
+    .find((tag) => /json\+oembed/i.test(getAttribute(tag, 'type') || ''));
+  const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(head)?.[1];
+
+  return {
+    title: meta['og:title'] || meta['twitter:title'] || (titleTag && decodeEntities(titleTag)),
+    description: meta['og:description'] || meta['twitter:description'] || meta.description,
+    image: meta['og:image'] || meta['og:image:url'] || meta['twitter:image'],
+    siteName: meta['og:site_name'],
+    oembedUrl: oembedLink && getAttribute(oembedLink, 'href'),
+  };
+};
+
+/**
+ * Fetch the preview metadata for a link
+ * Reads OpenGraph/Twitter tags, falling back to the page's oEmbed endpoint for anything missing.
+ * @param {string} url - Link from a message
+ * @returns {Promise<Object|null>} { title, description, image, siteName }, or null if the page has no title
+ */
+const fetchMetadata = async (url) => {
+  const { response, url: pageUrl } = await fetchUrl(url, 'text/html,application/xhtml+xml');
+  if (!isOk(response) || !/html/i.test(response.headers['content-type'] || '')) {
+    response.destroy();
+    return null;
+  }
+
+  const metadata = parseHtmlMetadata(await readText(response));
+
+  const oembedUrl = toHttpUrl(metadata.oembedUrl, pageUrl);
+  if (oembedUrl && (!metadata.title || !metadata.image)) {
+    try {
+      const { response: oembedResponse } = await fetchUrl(oembedUrl, 'application/json');
+      if (!isOk(oembedResponse)) {
+        oembedResponse.destroy();
+      } else {
+        const oembed = JSON.parse(await readText(oembedResponse));
+        metadata.title = metadata.title || oembed.title;
+        metadata.image = metadata.image || oembed.thumbnail_url;
+        metadata.siteName = metadata.siteName || oembed.provider_name;
+        metadata.description = metadata.description || (oembed.author_name && `by ${oembed.author_name}`);
+      }
+    } catch {
+      // The page's own tags are still worth showing
+    }
+  }
+
+  const title = clip(metadata.title, MAX_TITLE_LENGTH);
+  if (!title) return null;
+
+  return {
+    title,
+    description: clip(metadata.description, MAX_DESCRIPTION_LENGTH),
+    image: toHttpUrl(metadata.image, pageUrl),
+    siteName: clip(metadata.siteName, MAX_TITLE_LENGTH) || new URL(pageUrl).hostname,
+  };
+};
+
+module.exports = { fetchMetadata, parseHtmlMetadata, isPrivateAddress, isPublicUrl };
@@ -0,0 +1,106 @@
+// previews/index.js - Link previews: find the links in a message and unfurl them through a fetcher
+
+const path = require('path');
+const httpFetcher = require('./httpFetcher');
+
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILED_CACHE_TTL_MS = 5 * 60 * 1000; // Links without a preview are retried sooner
+const MAX_CACHE_ENTRIES = 500;
+
+// Bare http(s) links, without trailing punctuation (matches the client's Markdown autolinks)
+const URL_PATTERN = /https?:\/\/[^\s<>`]*[^\s<>`.,:;!?'")\]]/g;
+
+// Links inside code spans and fenced blocks are left alone
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+/**
+ * Find the links worth previewing in a message
+ * @param {string} text - Message text
+ * @returns {Array} Unique URLs, in order, at most MAX_PREVIEWS_PER_MESSAGE
+ */
+const findLinks = (text) => {
+  const links = String(text || '').replace(CODE_PATTERN, ' ').match(URL_PATTERN) || [];
+  return [...new Set(links)].slice(0, MAX_PREVIEWS_PER_MESSAGE);
+};
+
+/**
+ * Create a link previewer with a cache in front of its fetcher
+ * Preview images are dropped unless they are http(s) on a public host, since every client
+ * showing the preview loads them.
+ * @param {Object} options - { fetcher, ttlMs, maxEntries }; fetcher.fetchMetadata(url) resolves to
+ *   { title, description, image, siteName } or null
+ * @returns {Object} Previewer with getPreview(url) and getPreviews(text, skipUrls)
+ */
+const createLinkPreviewer = ({ fetcher = httpFetcher, ttlMs = CACHE_TTL_MS, maxEntries = MAX_CACHE_ENTRIES } = {}) => {
+  const cache = new Map(); // url -> { promise, expiresAt } (oldest first, so the first key is evicted)
+
+  // Helper function to turn fetched metadata into a preview with only a safe image
+  const toPreview = async (url, metadata) => {
+    if (!metadata) return null;
+    const image = metadata.image && (await httpFetcher.isPublicUrl(metadata.image)) ? metadata.image : null;
+    return { url, ...metadata, image };
+  };
+
+  /**
+   * Get the preview for one link (concurrent lookups of the same link share a fetch)
+   * @param {string} url - Link
+   * @returns {Promise<Object|null>} { url, title, description, image, siteName } or null
+   */
+  const getPreview = (url) => {
+    const cached = cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const entry = { expiresAt: Date.now() + ttlMs };
+    entry.promise = Promise.resolve()
+      .then(() => fetcher.fetchMetadata(url))
+      .then((metadata) => toPreview(url, metadata))
+      .catch(() => null)
+      .then((preview) => {
+        if (!preview) entry.expiresAt = Math.min(entry.expiresAt, Date.now() + FAILED_CACHE_TTL_MS);
+        return preview;
+      });
+
+    cache.delete(url);
+    cache.set(url, entry);
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    return entry.promise;
+  };
+
+  /**
+   * Get the previews for the links in a message
+   * @param {string} text - Message text
+   * @param {Array} skipUrls - Links whose previews the sender removed
+   * @returns {Promise<Array>} Previews, in link order
+   */
+  const getPreviews = async (text, skipUrls = []) => {
+    const links = findLinks(text).filter((url) => !skipUrls.includes(url));
+    const previews = await Promise.all(links.map(getPreview));
+    return previews.filter(Boolean);
+  };
+
+  return { getPreview, getPreviews };
+};
+
+/**
+ * Create the configured link previewer
+ * LINK_PREVIEW_FETCHER=http (default) fetches pages, "off" disables previews, and any other
+ * value is a path to a module exporting fetchMetadata(url) - e.g. a local stub for tests.
+ * @returns {Object|null} Previewer, or null when previews are off
+ */
+const createPreviewer = () => {
+  const fetcher = process.env.LINK_PREVIEW_FETCHER || 'http';
+
+  switch (fetcher) {
+    case 'off':
+      return null;
+    case 'http':
+      return createLinkPreviewer();
+    default:
+      return createLinkPreviewer({ fetcher: require(path.resolve(fetcher)) });
+  }
+};
+
+module.exports = { createPreviewer, createLinkPreviewer, findLinks };
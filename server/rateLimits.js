@@ -0,0 +1,146 @@
+// rateLimits.js - Token-bucket rate limits per event, keyed by account and IP address
+// A rule allows `limit` actions per `seconds`: each bucket holds up to `limit` tokens and
+// refills steadily over `seconds`, so short bursts are fine but sustained floods are not.
+
+// Error code on every rate-limited request
+const RATE_LIMITED = 'rate_limited';
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // How often full (idle) buckets are forgotten
+
+// API route rules are named with this prefix, so no socket event can draw from their buckets
+const API_RULE_PREFIX = 'api:';
+
+// Socket events use the rule named after them (or `default`); API routes use the `api:` rules
+const DEFAULT_RATE_LIMITS = {
+  send_message: { limit: 10, seconds: 10 },
+  private_message: { limit: 10, seconds: 10 },
+  file_uploaded: { limit: 10, seconds: 60 },
+  typing: { limit: 30, seconds: 10 },
+  add_reaction: { limit: 20, seconds: 10 },
+  edit_message: { limit: 10, seconds: 10 },
+  create_room: { limit: 5, seconds: 600 },
+  join_with_invite: { limit: 10, seconds: 60 }, // Slows down guessing invite codes
+  request_to_join: { limit: 10, seconds: 60 },
+  report_message: { limit: 5, seconds: 60 },
+  default: { limit: 60, seconds: 10 }, // Every other socket event, shared
+
+  'api:auth': { limit: 10, seconds: 60 }, // Register and log in (per IP)
+  'api:upload': { limit: 20, seconds: 60 }, // Starting an upload
+  'api:upload_chunk': { limit: 300, seconds: 60 },
+  'api:search': { limit: 30, seconds: 60 },
+};
+
+/**
+ * Read rule overrides like "send_message=5/10,create_room=3/3600" (limit/seconds)
+ * @param {string} value - RATE_LIMITS environment variable
+ * @returns {Object} Rule name -> { limit, seconds }
+ */
+const parseRateLimits = (value = '') => {
+  const rules = {};
+
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const match = entry.match(/^([\w:-]+)=(\d+)\/(\d+)$/);
+      const [, name, limit, seconds] = match || [];
+      if (!match || Number(limit) < 1 || Number(seconds) < 1) {
+        console.warn(`⚠️  Ignoring rate limit "${entry}" (expected name=limit/seconds)`);
+        return;
+      }
+      rules[name] = { limit: Number(limit), seconds: Number(seconds) };
+    });
+
+  return rules;
+};
+
+/**
+ * Describe a rate-limited request for the client
+ * @param {number} retryAfter - Seconds until the request would be allowed
+ * @returns {Object} { code, error, retryAfter }
+ */
+const toRateLimitError = (retryAfter) => ({
+  code: RATE_LIMITED,
+  error: `You're doing that too often - try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}`,
+  retryAfter,
+});
+
+/**
+ * Create a rate limiter
+ * Authenticated callers spend a token from their account's bucket and from their IP's bucket
+ * (which is ipFactor times larger, as several people may share an address); anonymous
+ * callers only have the IP bucket, at the rule's own size.
+ * @param {Object} options - { rules (name -> { limit, seconds }), ipFactor }
+ * @returns {Object} Limiter with consume and consumeEvent
+ */
+const createRateLimiter = ({ rules, ipFactor = 1 }) => {
+  const buckets = new Map(); // key -> { tokens, capacity, windowMs, updatedAt }
+
+  // Helper function to get a bucket topped up for the time since it was last used
+  const getBucket = (key, capacity, windowMs, now) => {
+    const bucket = buckets.get(key) || { tokens: capacity, capacity, windowMs, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * capacity) / windowMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  // Forget buckets that have refilled completely - they are the same as new ones
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) * bucket.capacity) / bucket.windowMs;
+      if (tokens >= bucket.capacity) buckets.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  /**
+   * Spend a token for an action if every bucket it draws from has one
+   * @param {string} ruleName - Rule name
+   * @param {Object} caller - { userId (if authenticated), ip }
+   * @returns {number} 0 if allowed, otherwise seconds until it would be
+   */
+  const consume = (ruleName, { userId, ip }) => {
+    const { limit, seconds } = rules[ruleName];
+    const windowMs = seconds * 1000;
+    const now = Date.now();
+
+    const keys = [];
+    if (userId) keys.push([`${ruleName}:user:${userId}`, limit]);
+    if (ip) keys.push([`${ruleName}:ip:${ip}`, userId ? limit * ipFactor : limit]);
+
+    const drawn = keys.map(([key, capacity]) => getBucket(key, capacity, windowMs, now));
+    const waitMs = Math.max(
+      0,
+      ...drawn.map((bucket) => (bucket.tokens >= 1 ? 0 : ((1 - bucket.tokens) * windowMs) / bucket.capacity))
+    );
+    if (waitMs > 0) return Math.ceil(waitMs / 1000);
+
+    drawn.forEach((bucket) => {
+      bucket.tokens -= 1;
+    });
+    return 0;
+  };
+
+  /**
+   * Spend a token for a socket event (events without a rule of their own use `default`)
+   * @param {string} event - Socket event name
+   * @param {Object} caller - { userId, ip }
+   * @returns {number} 0 if allowed, otherwise seconds until it would be
+   */
+  const consumeEvent = (event, caller) => {
+    const hasRule = Object.hasOwn(rules, event) && !event.startsWith(API_RULE_PREFIX);
+    return consume(hasRule ? event : 'default', caller);
+  };
+
+  return { consume, consumeEvent };
+};
+
+module.exports = {
+  RATE_LIMITED,
+  DEFAULT_RATE_LIMITS,
+  parseRateLimits,
+  toRateLimitError,
+  createRateLimiter,
+};
@@ -129,11 +129,13 @@
 //   console.log(`Server running on port ${PORT}`);
 // });
 
-// module.exports = { app, server, io }; 
+// module.exports = { app, server, io, store }; 
 
 
 // server.js - Enhanced Socket.io chat application server
 
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
@@ -146,6 +148,29 @@ const { v4: uuidv4 } = require('uuid');
 // Load environment variables
 dotenv.config();
 
+// Local modules (loaded after dotenv so they can read the environment)
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  signFileToken,
+  createSocketAuth,
+  createHttpAuth,
+} = require('./auth');
+const { createStore } = require('./storage');
+const { parseMentions, isReservedMention } = require('./mentions');
+const { createPreviewer } = require('./previews');
+const { DEFAULT_ALLOWED_TYPES, detectStoredFileType, isAllowedType, describeImage } = require('./uploads');
+const { createUploadSessions } = require('./uploadSessions');
+const { INVALID_PAYLOAD, BODY_SCHEMAS, validateEvent, validateBody } = require('./validation');
+const {
+  DEFAULT_RATE_LIMITS,
+  parseRateLimits,
+  toRateLimitError,
+  createRateLimiter,
+} = require('./rateLimits');
+const { CONTENT_BLOCKED, loadContentFilter } = require('./contentFilter');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -157,332 +182,1819 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
     credentials: true,
   },
-  maxHttpBufferSize: 1e7, // 10MB for file uploads
+  maxHttpBufferSize: 1e6, // 1MB - files go through the upload API, so events stay small
+  // Let briefly disconnected clients resume with the same socket, rooms and missed events
+  connectionStateRecovery: {
+    maxDisconnectionDuration: 30 * 1000,
+    skipMiddlewares: true,
+  },
 });
 
+// Behind a reverse proxy, take client addresses from X-Forwarded-For (for per-IP rate limits)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+if (TRUST_PROXY) {
+  app.set('trust proxy', true);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, 'public', 'uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  },
-});
+// Configure multer for file uploads (written to the partial directory until the contents
+// have been checked)
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 25 * 1024 * 1024; // 25MB default
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'); // Not publicly served
+const PARTIAL_UPLOAD_DIR = path.join(UPLOAD_DIR, 'partial');
+const UPLOAD_CHUNK_SIZE = 1024 * 1024; // Chunk size for resumable uploads
+const UPLOAD_SESSION_TTL_MS = 60 * 60 * 1000; // Unfinished resumable uploads are dropped after an idle hour
+const MAX_OPEN_UPLOAD_SESSIONS = 5; // Resumable uploads one account may have in progress at once
+
+// Chunked uploads in progress (also clears out partial files from the last run)
+const uploadSessions = createUploadSessions({ dir: PARTIAL_UPLOAD_DIR, ttlMs: UPLOAD_SESSION_TTL_MS });
 
 const upload = multer({
-  storage,
-  limits: { fileSize: process.env.MAX_FILE_SIZE || 5242880 }, // 5MB default
+  dest: PARTIAL_UPLOAD_DIR,
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
 });
 
-// Data stores
+// Persistent storage (accounts, rooms, messages and read receipts)
+const store = createStore();
+
+// Link preview fetcher and cache (null when LINK_PREVIEW_FETCHER=off)
+const previewer = createPreviewer();
+
+// Content filter for messages, room names and usernames (CONTENT_FILTER: a rules file or "off")
+const contentFilter = loadContentFilter(process.env.CONTENT_FILTER);
+
+// Token-bucket rate limits per event (RATE_LIMITS overrides the defaults)
+const rateLimiter = createRateLimiter({
+  rules: { ...DEFAULT_RATE_LIMITS, ...parseRateLimits(process.env.RATE_LIMITS) },
+  ipFactor: Number(process.env.RATE_LIMIT_IP_FACTOR) || 5,
+});
+
+// Ephemeral state
 const users = new Map(); // socketId -> user data
-const rooms = new Map(); // roomId -> room data
-const messages = new Map(); // roomId -> messages array
 const typingUsers = new Map(); // roomId -> Set of typing users
-const readReceipts = new Map(); // messageId -> Set of userIds who read it
 
-// Initialize default room
 const DEFAULT_ROOM = 'global';
-rooms.set(DEFAULT_ROOM, {
-  id: DEFAULT_ROOM,
-  name: 'Global Chat',
-  createdAt: new Date().toISOString(),
-});
-messages.set(DEFAULT_ROOM, []);
-typingUsers.set(DEFAULT_ROOM, new Set());
+const DM_PREFIX = 'dm:'; // Direct message conversation IDs look like dm:<accountId>:<accountId>
+const HISTORY_LIMIT = 50; // Messages sent when a user opens a room
+const MAX_PAGE_SIZE = 100; // Largest page a client may request
+const MAX_REVISIONS = 20; // Prior versions kept for each edited message
+const MAX_SEARCH_LENGTH = 200; // Longest search query accepted by /api/search
+const SERVER_ERROR = 'server_error'; // Error code when a socket event handler fails
+
+// Uploads: allowed types (checked against the file contents) and how much each user may
+// upload per quota window
+const ALLOWED_UPLOAD_TYPES = (process.env.UPLOAD_ALLOWED_TYPES || DEFAULT_ALLOWED_TYPES.join(','))
+  .split(',')
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+const UPLOAD_QUOTA_BYTES = (Number(process.env.UPLOAD_QUOTA_MB) || 250) * 1024 * 1024;
+const UPLOAD_QUOTA_HOURS = Number(process.env.UPLOAD_QUOTA_HOURS) || 24;
+const INLINE_FILE_TYPES = ['image/', 'application/pdf', 'text/plain']; // Shown in the browser, others download
+
+// Room roles, lowest to highest. Admins (ADMIN_USERS) can moderate every room.
+const ROLE_RANKS = { member: 0, moderator: 1, owner: 2, admin: 3 };
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERS || '')
+    .split(',')
+    .map((username) => username.trim().toLowerCase())
+    .filter(Boolean)
+);
+const RECONNECT_GRACE_MS = 30 * 1000; // How long a dropped user stays "online" (matches recovery window)
+
+const pendingLeaves = new Map(); // userId -> timeout that announces the user has left
+const slowModeWaits = new Map(); // roomId:accountId -> when the account may post again (ms)
 
 // Helper function to get user info
 const getUserInfo = (socketId) => {
   return users.get(socketId) || null;
 };
 
-// Helper function to broadcast to room
-const broadcastToRoom = (roomId, event, data, excludeSocketId = null) => {
-  if (excludeSocketId) {
-    io.to(roomId).except(excludeSocketId).emit(event, data);
-  } else {
-    io.to(roomId).emit(event, data);
-  }
-};
+// Helper function to check whether any socket belongs to a user
+const isUserOnline = (userId) => {
+  for (const user of users.values()) {
+    if (user.userId === userId) return true;
+  }
+  return false;
+};
+
+// Helper function to cancel a pending "left" announcement
+// Returns true if the user was still within the reconnect grace period
+const cancelPendingLeave = (userId) => {
+  const timeout = pendingLeaves.get(userId);
+  if (!timeout) return false;
+
+  clearTimeout(timeout);
+  pendingLeaves.delete(userId);
+  return true;
+};
+
+// Helper function to answer an acknowledgement callback if the client sent one
+const acknowledge = (ack, data) => {
+  if (typeof ack === 'function') {
+    ack(data);
+  }
+};
+
+// Helper function to answer an event the server refused before running its handler:
+// through the event's ack if it has one, otherwise with fallbackEvent
+const rejectEvent = (socket, packet, fallbackEvent, response) => {
+  const ack = packet[packet.length - 1];
+  if (typeof ack === 'function') {
+    ack(response);
+  } else {
+    socket.emit(fallbackEvent, { event: packet[0], ...response });
+  }
+};
+
+// Helper function to refuse an event from inside its handler: through the ack if the client
+// sent one, otherwise as a request_error event
+const refuseEvent = (socket, event, ack, response) => rejectEvent(socket, [event, ack], 'request_error', response);
+
+// Helper function to listen for a socket event. A handler that throws is answered with a
+// server_error (through its ack, or a request_error event) and logged, instead of leaving
+// the client waiting and the rejection unhandled.
+const onSocketEvent = (socket, event, handler) => {
+  socket.on(event, async (...args) => {
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error(`💥 ${event} from ${socket.data.account.username} failed:`, error);
+      rejectEvent(socket, [event, ...args], 'request_error', {
+        status: 'error',
+        code: SERVER_ERROR,
+        error: 'Something went wrong - please try again',
+      });
+    }
+  });
+};
+
+// Helper function to get a socket's client address (the first X-Forwarded-For entry behind a proxy)
+const getSocketAddress = (socket) => {
+  const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+};
+
+// Helper function to build a delivery acknowledgement for a stored message
+const deliveredAck = (message) => ({
+  status: 'delivered',
+  id: message.id,
+  clientId: message.clientId,
+  timestamp: message.timestamp,
+});
+
+// Run an action at most once per idempotency key; replays get the first result.
+// In-flight duplicates share one promise so they can't race past the store check.
+const pendingIdempotent = new Map(); // key -> Promise
+const runIdempotent = (key, action) => {
+  if (!key) return action();
+  if (pendingIdempotent.has(key)) return pendingIdempotent.get(key);
+
+  const promise = (async () => {
+    const previous = await store.getIdempotentResult(key);
+    if (previous) return previous;
+
+    const result = await action();
+    if (result?.status !== 'error') {
+      await store.saveIdempotentResult(key, result);
+    }
+    return result;
+  })().finally(() => pendingIdempotent.delete(key));
+
+  pendingIdempotent.set(key, promise);
+  return promise;
+};
+
+// Helper function to scope a client-generated key to the user who sent it
+const idempotencyKey = (user, clientId) => (clientId ? `${user.userId}:${clientId}` : null);
+
+// Helper function to clamp a requested page size
+const getPageSize = (limit) => {
+  const size = parseInt(limit, 10);
+  if (!size || size < 1) return HISTORY_LIMIT;
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+// Helper function to strip private fields from an account
+const toPublicAccount = ({ id, username, avatar, createdAt }) => ({
+  id,
+  username,
+  avatar,
+  createdAt,
+});
+
+// Reject socket connections and API requests that don't carry a valid token
+io.use(createSocketAuth((accountId) => store.getAccount(accountId)));
+const requireAuth = createHttpAuth((accountId) => store.getAccount(accountId));
+const requireFileAuth = createHttpAuth((accountId) => store.getAccount(accountId), { allowFileToken: true });
+
+// Helper function to get the personal room every socket of an account joins
+const getUserRoom = (accountId) => `user:${accountId}`;
+
+// Helper function to check whether a room ID is a direct message conversation
+const isConversationId = (roomId) => typeof roomId === 'string' && roomId.startsWith(DM_PREFIX);
+
+// Helper function to get the conversation ID for two accounts (same whoever starts it)
+const getConversationId = (accountId, otherAccountId) =>
+  `${DM_PREFIX}${[accountId, otherAccountId].sort().join(':')}`;
+
+// Helper function to get the account IDs encoded in a conversation ID
+const getConversationParticipants = (conversationId) =>
+  conversationId.slice(DM_PREFIX.length).split(':');
+
+// Helper function to check whether an account belongs to a room
+// (everyone belongs to public rooms; banned accounts belong to none)
+const isRoomMember = (room, accountId) => {
+  if ((room.bans || []).includes(accountId)) return false;
+  return !room.isPrivate || (room.members || []).includes(accountId);
+};
+
+// Helper function to get an account's role in a room
+const getRoomRole = async (room, accountId) => {
+  const account = await store.getAccount(accountId);
+  if (account && ADMIN_USERNAMES.has(account.username.toLowerCase())) return 'admin';
+  if (room.ownerId === accountId) return 'owner';
+  if ((room.moderators || []).includes(accountId)) return 'moderator';
+  return 'member';
+};
+
+// Helper function to get when an account's mute in a room ends (null if not muted)
+const getMutedUntil = async (roomId, accountId) => {
+  if (isConversationId(roomId)) return null;
+
+  const room = await store.getRoom(roomId);
+  const until = room?.mutes?.[accountId];
+  return until && new Date(until) > new Date() ? until : null;
+};
+
+// Helper function to refuse a direct message conversation whose other participant has blocked
+// the sender (returns an error ack, or null). Works from the ID alone, so it can run before
+// the conversation is created.
+const checkConversationBlock = async (conversationId, accountId) => {
+  const otherId = getConversationParticipants(conversationId).find((id) => id !== accountId);
+  if (!otherId || !(await store.getBlockList(otherId)).includes(accountId)) return null;
+
+  const other = await store.getAccount(otherId);
+  return { status: 'error', code: 'blocked', error: `${other?.username || 'This user'} isn't accepting messages from you` };
+};
+
+// Helper function to check a room's posting rules before an account posts in it: mutes,
+// announcement-only rooms and slow mode (moderators are exempt from the last two; edits
+// skip slow mode). In conversations the only rule is the other participant's block list.
+// Returns an error ack, or null once the post is allowed (the slow-mode wait starts with
+// startSlowModeWait once the post is stored).
+const checkPostingRules = async (roomId, accountId, { isEdit = false } = {}) => {
+  if (isConversationId(roomId)) return checkConversationBlock(roomId, accountId);
+
+  const mutedUntil = await getMutedUntil(roomId, accountId);
+  if (mutedUntil) {
+    return { status: 'error', error: 'You are muted in this room', mutedUntil };
+  }
+
+  const room = await store.getRoom(roomId);
+  if (ROLE_RANKS[await getRoomRole(room, accountId)] >= ROLE_RANKS.moderator) return null;
+
+  if (room.readOnly) {
+    return { status: 'error', code: 'read_only', error: 'Only moderators can post in this room' };
+  }
+
+  if (room.slowModeSeconds && !isEdit) {
+    const key = `${roomId}:${accountId}`;
+    const now = Date.now();
+    const nextPostAt = slowModeWaits.get(key) || 0;
+    if (nextPostAt > now) {
+      const retryAfter = Math.ceil((nextPostAt - now) / 1000);
+      return {
+        status: 'error',
+        code: 'slow_mode',
+        error: `Slow mode is on - you can post again in ${retryAfter}s`,
+        retryAfter,
+      };
+    }
+  }
+
+  return null;
+};
+
+// Helper function to start an account's slow-mode wait in a room after a post is stored
+// (posts refused later on, e.g. by the content filter, don't count)
+const startSlowModeWait = async (roomId, accountId) => {
+  if (isConversationId(roomId)) return;
+
+  const room = await store.getRoom(roomId);
+  if (!room?.slowModeSeconds) return;
+  if (ROLE_RANKS[await getRoomRole(room, accountId)] >= ROLE_RANKS.moderator) return;
+
+  const key = `${roomId}:${accountId}`;
+  const waitMs = room.slowModeSeconds * 1000;
+  slowModeWaits.set(key, Date.now() + waitMs);
+  setTimeout(() => {
+    if ((slowModeWaits.get(key) || 0) <= Date.now()) slowModeWaits.delete(key);
+  }, waitMs).unref();
+};
+
+// Helper function to describe a room's posting rules for system messages
+const describePostingRules = ({ slowModeSeconds, readOnly }) => {
+  const rules = [
+    readOnly && 'only moderators can post',
+    slowModeSeconds && `slow mode is ${slowModeSeconds}s`,
+  ].filter(Boolean);
+  return rules.length > 0 ? rules.join(' and ') : 'anyone can post freely';
+};
+
+// Helper function to check whether an account may read and post in a room or conversation
+const canAccessRoom = async (accountId, roomId) => {
+  if (isConversationId(roomId)) {
+    const conversation = await store.getConversation(roomId);
+    return Boolean(conversation?.participants.includes(accountId));
+  }
+
+  const room = await store.getRoom(roomId);
+  return Boolean(room && isRoomMember(room, accountId));
+};
+
+// Helper function to describe a room for one account: adds their role, whether they
+// have joined it (and if so their read position, unread and mention counts), strips
+// owner-only fields (invite code, join requests) and shows bans to moderators only
+const toRoomSummary = async (room, accountId) => {
+  const { inviteCode, joinRequests, bans, ...summary } = room;
+  const role = await getRoomRole(room, accountId);
+  const rank = ROLE_RANKS[role];
+  const joined = room.id === DEFAULT_ROOM || (await store.listMemberships(accountId)).includes(room.id);
+  const readState = joined && {
+    lastReadId: await store.getReadPosition(room.id, accountId),
+    unreadCount: await store.countRoomUnread(room.id, accountId),
+    mentionCount: await store.countRoomMentions(room.id, accountId),
+  };
+
+  // Moderators see who is banned so they can lift bans
+  const bannedUsers = rank >= ROLE_RANKS.moderator
+    ? await Promise.all((bans || []).map(async (id) => ({ id, username: (await store.getAccount(id))?.username })))
+    : null;
+
+  return {
+    ...summary,
+    role,
+    joined,
+    ...readState,
+    ...(bannedUsers && { bans: bannedUsers }),
+    ...(room.isPrivate && rank >= ROLE_RANKS.owner && { inviteCode, joinRequests: joinRequests || [] }),
+  };
+};
+
+// Helper function to list the rooms and conversations whose messages an account may read
+const getReadableRoomIds = async (accountId) => {
+  const rooms = await store.listRooms();
+  const conversations = await store.listConversations(accountId);
+  return [
+    ...rooms.filter((room) => isRoomMember(room, accountId)).map((room) => room.id),
+    ...conversations.map((conversation) => conversation.id),
+  ];
+};
+
+// Helper function to list the rooms an account can see
+const getVisibleRooms = async (accountId) => {
+  const rooms = await store.listRooms();
+  return Promise.all(
+    rooms
+      .filter((room) => isRoomMember(room, accountId))
+      .map((room) => toRoomSummary(room, accountId))
+  );
+};
+
+// Helper function to send an account its room list (on every socket it has open)
+const emitRoomList = async (accountId) => {
+  io.to(getUserRoom(accountId)).emit('room_list', await getVisibleRooms(accountId));
+};
+
+// Helper function to refresh the room list of everyone online who can see a room
+const emitRoomListForRoom = async (room) => {
+  const onlineUserIds = new Set(Array.from(users.values(), ({ userId }) => userId));
+  const audience = Array.from(onlineUserIds).filter(
+    (accountId) => isRoomMember(room, accountId) || (room.bans || []).includes(accountId)
+  );
+  await Promise.all(audience.map(emitRoomList));
+};
+
+// Helper function to subscribe all of an account's sockets to a room
+// (returns true if the account wasn't a member yet)
+const joinRoomMembership = async (accountId, roomId) => {
+  io.in(getUserRoom(accountId)).socketsJoin(roomId);
+  if (roomId === DEFAULT_ROOM) return false; // Everyone is always in the default room
+
+  const isNewMember = await store.addMembership(accountId, roomId);
+  if (isNewMember) {
+    await store.initReadPosition(roomId, accountId);
+  }
+  return isNewMember;
+};
+
+// Helper function to unsubscribe all of an account's sockets from a room
+// (returns true if the account was a member)
+const leaveRoomMembership = async (accountId, roomId) => {
+  io.in(getUserRoom(accountId)).socketsLeave(roomId);
+  return store.removeMembership(accountId, roomId);
+};
+
+// Helper function to add an account to a private room and refresh its room list
+const addRoomMember = async (room, accountId) => {
+  const updatedRoom = await store.saveRoom({
+    ...room,
+    members: [...(room.members || []), accountId],
+    joinRequests: (room.joinRequests || []).filter((request) => request.userId !== accountId),
+  });
+  await joinRoomMembership(accountId, room.id);
+  await Promise.all([emitRoomList(accountId), emitRoomList(room.ownerId)]);
+  return updatedRoom;
+};
+
+/**
+ * Load the room and target account for a moderation event and check permissions
+ * The actor needs at least minimumRole and must outrank the target.
+ * @param {Object} user - Acting user's connection info
+ * @param {string} roomId - Room ID
+ * @param {string} targetId - Target account ID
+ * @param {string} minimumRole - Lowest role allowed to act
+ * @returns {Object} { room, target } or { error }
+ */
+const prepareModeration = async (user, roomId, targetId, minimumRole = 'moderator') => {
+  const room = isConversationId(roomId) ? null : await store.getRoom(roomId);
+  if (!room || !isRoomMember(room, user.userId)) return { error: 'Room not found' };
+
+  const target = targetId ? await store.getAccount(targetId) : null;
+  if (!target || target.id === user.userId) return { error: 'User not found' };
+
+  const actorRank = ROLE_RANKS[await getRoomRole(room, user.userId)];
+  const targetRank = ROLE_RANKS[await getRoomRole(room, target.id)];
+  if (actorRank < ROLE_RANKS[minimumRole] || actorRank <= targetRank) {
+    return { error: 'You do not have permission to do that' };
+  }
+
+  return { room, target };
+};
+
+// Helper function to describe a mute length ("10 minutes", "1 day")
+const formatDuration = (seconds) => {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+  const [unit, size] = units.find(([, unitSize]) => seconds >= unitSize) || units[units.length - 1];
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Record a moderation action as a system message in the room
+ * @param {string} roomId - Room ID
+ * @param {Object} actor - Acting user's connection info
+ * @param {Object|null} target - Target account (null for room-wide actions like update_room)
+ * @param {string} action - Action name (kick, ban, mute, ...)
+ * @param {string} text - Message shown in the room
+ */
+const postModerationMessage = async (roomId, actor, target, action, text) => {
+  const message = {
+    id: uuidv4(),
+    type: 'system',
+    room: roomId,
+    message: text,
+    timestamp: new Date().toISOString(),
+    moderation: { action, actorId: actor.userId, targetId: target?.id ?? null },
+  };
+
+  await store.addMessage(message);
+  broadcastToRoom(roomId, 'receive_message', message);
+  console.log(`🛡️  ${text} in ${roomId}`);
+};
+
+// Helper function to take an account's sockets out of a room and tell them why
+// (clients viewing the room switch back to the default room themselves)
+const removeFromRoom = async (room, accountId, action, moderatorName) => {
+  await leaveRoomMembership(accountId, room.id);
+  io.to(getUserRoom(accountId)).emit('removed_from_room', {
+    roomId: room.id,
+    roomName: room.name,
+    action,
+    by: moderatorName,
+  });
+
+  await emitRoomListForRoom(room);
+  if (!(room.bans || []).includes(accountId)) {
+    await emitRoomList(accountId);
+  }
+};
+
+// Helper function to take a recovered socket out of the rooms its account lost access to
+// while it was disconnected (recovery restores the old rooms without checking them)
+const leaveLostRooms = async (socket, user) => {
+  const ownRooms = [socket.id, getUserRoom(user.userId)];
+  const roomIds = Array.from(socket.rooms).filter((roomId) => !ownRooms.includes(roomId));
+
+  await Promise.all(
+    roomIds.map(async (roomId) => {
+      if (!(await canAccessRoom(user.userId, roomId))) socket.leave(roomId);
+    })
+  );
+
+  // The client switches away on removed_from_room; follow it to the default room
+  if (!(await canAccessRoom(user.userId, user.currentRoom))) {
+    user.currentRoom = DEFAULT_ROOM;
+  }
+};
+
+// Helper function to replace a message with a tombstone (history stays in order)
+const deleteStoredMessage = (roomId, messageId, details = {}) =>
+  store.updateMessage(roomId, messageId, {
+    deleted: true,
+    deletedAt: new Date().toISOString(),
+    message: null,
+    fileData: null,
+    reactions: {},
+    revisions: [],
+    ...details,
+  });
+
+// Helper function to format a byte count for error messages
+const formatMegabytes = (bytes) => `${Number((bytes / (1024 * 1024)).toFixed(1))}MB`;
+
+// Helper function to describe an upload as message fileData (images add their size,
+// blurhash placeholder and thumbnail)
+const toFileData = ({ id, originalName, size, mimetype, width, height, blurhash, thumbnailFilename }) => ({
+  id,
+  originalName,
+  size,
+  mimetype,
+  url: `/api/files/${id}`,
+  ...(thumbnailFilename && { width, height, blurhash, thumbnailUrl: `/api/files/${id}/thumbnail` }),
+});
+
+const UPLOAD_QUOTA_ERROR = `Upload quota reached (${formatMegabytes(UPLOAD_QUOTA_BYTES)} per ${UPLOAD_QUOTA_HOURS} hours)`;
+
+// Helper function to get how many more bytes an account may upload in the current quota window
+// (files being received in chunked uploads already count at their declared size)
+const getUploadAllowance = async (accountId) => {
+  const since = new Date(Date.now() - UPLOAD_QUOTA_HOURS * 60 * 60 * 1000).toISOString();
+  const used = (await store.sumUploadBytes(accountId, since)) + uploadSessions.reservedBytes(accountId);
+  return UPLOAD_QUOTA_BYTES - used;
+};
+
+// Helper function to check whether an account may download an upload: the uploader can
+// fetch it before posting it, then anyone who can read the room it was posted in
+const canDownloadUpload = async (upload, accountId) => {
+  if (!upload.messageId) return upload.uploaderId === accountId;
+
+  const message = await store.getMessage(upload.room, upload.messageId);
+  return Boolean(message && !message.deleted) && canAccessRoom(accountId, upload.room);
+};
+
+// Helper function to turn a fully received file into an upload record: checks its real type
+// (images must decode, and get a thumbnail, dimensions and blurhash), checks the quota, then
+// moves it into the upload directory. The temporary file is always gone afterwards.
+// Returns { status, error } or { status, fileData }
+const finishUpload = async (account, tempPath, originalName) => {
+  try {
+    const { size } = await fs.promises.stat(tempPath);
+    const fileType = await detectStoredFileType(tempPath, originalName);
+    if (!fileType || !isAllowedType(fileType.mimetype, ALLOWED_UPLOAD_TYPES)) {
+      return { status: 415, error: 'This type of file is not allowed' };
+    }
+    if (size > (await getUploadAllowance(account.id))) {
+      return { status: 429, error: UPLOAD_QUOTA_ERROR };
+    }
+
+    const id = uuidv4();
+    let image = null;
+    if (fileType.mimetype.startsWith('image/')) {
+      try {
+        const { thumbnail, ...details } = await describeImage(tempPath);
+        image = { ...details, thumbnailFilename: `${id}-thumb.webp` };
+        await fs.promises.writeFile(path.join(UPLOAD_DIR, image.thumbnailFilename), thumbnail);
+      } catch {
+        return { status: 415, error: 'This image could not be read' };
+      }
+    }
+
+    const filename = `${id}${fileType.extension}`;
+    await fs.promises.rename(tempPath, path.join(UPLOAD_DIR, filename));
+
+    const record = await store.addUpload({
+      id,
+      filename,
+      originalName: path.basename(originalName),
+      size,
+      mimetype: fileType.mimetype,
+      uploaderId: account.id,
+      createdAt: new Date().toISOString(),
+      room: null,
+      messageId: null,
+      ...image,
+    });
+    return { status: 200, fileData: toFileData(record) };
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+// Helper function to describe a chunked upload's progress to its client
+const toUploadSessionStatus = ({ id, size, received, result }) => ({
+  id,
+  size,
+  received,
+  chunkSize: UPLOAD_CHUNK_SIZE,
+  ...(result?.fileData && { file: result.fileData }),
+});
+
+// Helper function to answer with a finished upload session's result (again, if the client
+// missed it the first time)
+const sendUploadResult = (res, session) => {
+  const { status, error } = session.result;
+  res.status(status).json(error ? { error } : toUploadSessionStatus(session));
+};
+
+// Helper function to create a hard-to-guess invite code
+const createInviteCode = () => crypto.randomBytes(9).toString('base64url');
+
+// Helper function to find or start the conversation between two accounts
+const getOrCreateConversation = async (accountId, otherAccountId) => {
+  const conversationId = getConversationId(accountId, otherAccountId);
+  const existing = await store.getConversation(conversationId);
+  if (existing) return { conversation: existing, isNew: false };
+
+  const conversation = await store.saveConversation({
+    id: conversationId,
+    participants: [accountId, otherAccountId],
+    createdAt: new Date().toISOString(),
+    lastRead: {},
+  });
+  return { conversation, isNew: true };
+};
+
+// Helper function to describe a conversation from one participant's point of view
+const toConversationSummary = async (conversation, accountId) => {
+  const participants = await Promise.all(conversation.participants.map((id) => store.getAccount(id)));
+  const { messages: [lastMessage = null] } = await store.getMessages(conversation.id, { limit: 1 });
+
+  return {
+    id: conversation.id,
+    participants: participants.filter(Boolean).map(toPublicAccount),
+    lastMessage,
+    lastRead: conversation.lastRead || {},
+    unreadCount: await store.countUnread(conversation.id, accountId),
+    createdAt: conversation.createdAt,
+  };
+};
+
+// Helper function to send an account its conversation list (on every socket it has open)
+const emitConversationList = async (accountId) => {
+  const conversations = await store.listConversations(accountId);
+  const summaries = await Promise.all(
+    conversations.map((conversation) => toConversationSummary(conversation, accountId))
+  );
+  io.to(getUserRoom(accountId)).emit('dm_list', summaries);
+};
+
+// Helper function to broadcast to room
+// Conversations go to both participants' personal rooms, whichever room they are viewing
+const broadcastToRoom = (roomId, event, data, excludeSocketId = null) => {
+  const target = isConversationId(roomId)
+    ? getConversationParticipants(roomId).map(getUserRoom)
+    : roomId;
+
+  if (excludeSocketId) {
+    io.to(target).except(excludeSocketId).emit(event, data);
+  } else {
+    io.to(target).emit(event, data);
+  }
+};
+
+// Helper function to resolve the @mentions in a message to the accounts they notify.
+// @name must reach someone who can read the room; @here expands to members online now
+// (so history keeps who was pinged) and @room covers every member.
+const resolveMentions = async (text, roomId, senderId) => {
+  const { usernames, here, room } = parseMentions(text);
+  const userIds = new Set();
+
+  for (const username of usernames) {
+    const account = await store.findAccountByUsername(username);
+    if (account && account.id !== senderId && (await canAccessRoom(account.id, roomId))) {
+      userIds.add(account.id);
+    }
+  }
+
+  if (here) {
+    const onlineIds = new Set([...users.values()].map((user) => user.userId));
+    for (const accountId of onlineIds) {
+      if (accountId === senderId || !(await canAccessRoom(accountId, roomId))) continue;
+      const joined = roomId === DEFAULT_ROOM || isConversationId(roomId) ||
+        (await store.listMemberships(accountId)).includes(roomId);
+      if (joined) userIds.add(accountId);
+    }
+  }
+
+  if (!userIds.size && !here && !room) return null;
+  return { userIds: [...userIds], here, room };
+};
+
+// Helper function to unfurl the links in a stored message and push its previews to the room.
+// Runs after the message is delivered so slow sites never hold up the ack; links the sender
+// removed stay removed across edits.
+const attachLinkPreviews = async (room, messageId) => {
+  if (!previewer) return;
+
+  const message = await store.getMessage(room, messageId);
+  if (!message || message.deleted) return;
+
+  // The store may hand back the live object, so keep the text the previews are for
+  const text = message.message;
+  const previews = await previewer.getPreviews(text, message.dismissedPreviews || []);
+
+  // The message may have been edited or deleted while the pages loaded
+  const current = await store.getMessage(room, messageId);
+  if (!current || current.deleted || current.message !== text) return;
+  if (JSON.stringify(previews) === JSON.stringify(current.previews || [])) return;
+
+  const updatedMessage = await store.updateMessage(room, messageId, { previews });
+  broadcastToRoom(room, 'message_updated', updatedMessage);
+};
+
+// Helper function to queue a message the content filter flagged for moderator review
+const flagMessage = async (message, rules) => {
+  await store.addFlag({
+    messageId: message.id,
+    room: message.room,
+    senderId: message.senderId,
+    rules,
+    flaggedAt: new Date().toISOString(),
+  });
+  console.log(`🚩 Message from ${message.sender} in ${message.room} flagged (${rules.join(', ')})`);
+};
+
+// Helper function to check whether an account may review a flagged or reported message:
+// moderators ranked above the sender in rooms, admins in direct messages
+const canReviewMessage = async (accountId, { room: roomId, senderId }) => {
+  if (accountId === senderId) return false;
+
+  if (isConversationId(roomId)) {
+    const account = await store.getAccount(accountId);
+    return Boolean(account && ADMIN_USERNAMES.has(account.username.toLowerCase()));
+  }
+
+  const room = await store.getRoom(roomId);
+  if (!room || !isRoomMember(room, accountId)) return false;
+
+  const rank = ROLE_RANKS[await getRoomRole(room, accountId)];
+  return rank >= ROLE_RANKS.moderator && rank > ROLE_RANKS[await getRoomRole(room, senderId)];
+};
+
+// Helper function to gather the moderation queue: one entry per flagged or reported message,
+// oldest first ({ messageId, room, senderId, rules, reports, flaggedAt })
+const getQueueEntries = async () => {
+  const entries = new Map();
+  (await store.listFlags()).forEach((flag) => entries.set(flag.messageId, { ...flag, reports: [] }));
+
+  for (const report of await store.listReports()) {
+    const { messageId, room, senderId, createdAt } = report;
+    if (!entries.has(messageId)) {
+      entries.set(messageId, { messageId, room, senderId, rules: [], reports: [], flaggedAt: createdAt });
+    }
+
+    const reporter = await store.getAccount(report.reporterId);
+    entries.get(messageId).reports.push({
+      reporterId: report.reporterId,
+      reporter: reporter?.username ?? null,
+      reason: report.reason,
+      createdAt,
+    });
+  }
+
+  return Array.from(entries.values()).sort((a, b) => a.flaggedAt.localeCompare(b.flaggedAt));
+};
+
+/**
+ * Store a text message (or thread reply) and deliver it to the room
+ * @param {Object} user - Sender's connection info
+ * @param {Object} payload - { message, room, parentId, clientId }
+ * @returns {Object} Acknowledgement for the sender
+ */
+const postTextMessage = async (user, { message: text, room, parentId, clientId }) => {
+  // Replies attach to a top-level message in the same room
+  let parent = null;
+  if (parentId) {
+    parent = await store.getMessage(room, parentId);
+    if (!parent || parent.deleted || parent.parentId) {
+      return { status: 'error', error: 'Thread not found' };
+    }
+  }
+
+  const filtered = contentFilter.check(text, 'message');
+  if (filtered.blocked) {
+    return { status: 'error', code: CONTENT_BLOCKED, error: 'Your message was blocked by the content filter' };
+  }
+  const message = filtered.text;
+
+  const mentions = await resolveMentions(message, room, user.userId);
+
+  const messageData = {
+    id: uuidv4(),
+    sender: user.username,
+    senderId: user.userId,
+    message,
+    room,
+    timestamp: new Date().toISOString(),
+    type: 'text',
+    reactions: {},
+    readBy: [], // Initialize empty readBy array
+    ...(mentions && { mentions }),
+    ...(isConversationId(room) && { isPrivate: true }),
+    ...(parent && { parentId: parent.id }),
+    ...(clientId && { clientId }),
+    ...(filtered.flagged && { flagged: true }),
+  };
+
+  // Store message
+  await store.addMessage(messageData);
+  if (filtered.flagged) {
+    await flagMessage(messageData, filtered.rules);
+  }
+
+  if (parent) {
+    // Update the thread summary shown on the parent
+    const updatedParent = await store.updateMessage(room, parent.id, {
+      replyCount: (parent.replyCount || 0) + 1,
+      lastReplyAt: messageData.timestamp,
+    });
+
+    broadcastToRoom(room, 'thread_message', { parentId: parent.id, message: messageData });
+    broadcastToRoom(room, 'message_updated', updatedParent);
+    attachLinkPreviews(room, messageData.id).catch(() => {});
+    console.log(`🧵 ${user.username} replied in a thread in ${room}`);
+    return deliveredAck(messageData);
+  }
+
+  // Broadcast to room
+  broadcastToRoom(room, 'receive_message', messageData);
+  attachLinkPreviews(room, messageData.id).catch(() => {});
+
+  console.log(`💬 ${user.username} sent message in ${room}`);
+  return deliveredAck(messageData);
+};
+
+// Socket.io connection handler
+io.on('connection', (socket) => {
+  console.log(`✅ User connected: ${socket.id}`);
+
+  // Flood protection: every event spends a token from the sender's account and address
+  // buckets. Limited events are refused with rate_limited and retryAfter (in seconds).
+  const address = getSocketAddress(socket);
+  socket.use((packet, next) => {
+    const retryAfter = rateLimiter.consumeEvent(packet[0], { userId: socket.data.account.id, ip: address });
+    if (!retryAfter) return next();
+
+    rejectEvent(socket, packet, 'rate_limited', { status: 'error', ...toRateLimitError(retryAfter) });
+  });
+
+  // Check every event's payload against its schema before a handler sees it. Handlers get
+  // the cleaned payload; invalid ones are answered with a structured error (through the ack,
+  // or a request_error event if the client didn't ask for one) instead of being dropped.
+  socket.use((packet, next) => {
+    const [event] = packet;
+    if (typeof packet[1] === 'function') {
+      packet.splice(1, 0, undefined); // Only an ack was sent
+    }
+
+    const { value, error } = validateEvent(event, packet[1]);
+    if (!error) {
+      packet[1] = value;
+      return next();
+    }
+
+    rejectEvent(socket, packet, 'request_error', {
+      status: 'error',
+      code: INVALID_PAYLOAD,
+      error: error.message,
+      field: error.field,
+    });
+    console.log(`⚠️  Rejected ${event} from ${socket.data.account.username}: ${error.message}`);
+  });
+
+  // Session restored by connection state recovery: same socket ID, rooms and user data,
+  // and Socket.io replays the events missed while disconnected
+  if (socket.recovered && socket.data.user) {
+    const user = socket.data.user;
+    const wasOnline = cancelPendingLeave(user.userId) || isUserOnline(user.userId);
+    users.set(socket.id, user);
+    io.emit('user_list', Array.from(users.values()));
+
+    leaveLostRooms(socket, user)
+      .then(() => {
+        if (!wasOnline) {
+          broadcastToRoom(user.currentRoom, 'user_joined', { user, room: user.currentRoom });
+        }
+      })
+      .catch((error) => console.error(`💥 Could not check ${user.username}'s rooms:`, error));
+    console.log(`🔄 ${user.username} resumed their session`);
+  }
+
+  // Handle user joining (identity comes from the verified token, not the payload)
+  // room: room to (re)join; resume: client is reconnecting and will catch up with sync
+  onSocketEvent(socket, 'user_join', async ({ avatar = null, room = DEFAULT_ROOM, resume = false } = {}) => {
+    const { account } = socket.data;
+    const { username } = account;
+
+    // Reconnecting within the grace period (or another tab) isn't a new arrival
+    const wasOnline = cancelPendingLeave(account.id) || isUserOnline(account.id);
+
+    // Store user data (kept on socket.data too so a recovered session can restore it)
+    const userData = {
+      id: socket.id,
+      userId: account.id,
+      username,
+      avatar: avatar || account.avatar,
+      joinedAt: new Date().toISOString(),
+      currentRoom: room,
+      status: 'online',
+    };
+    users.set(socket.id, userData);
+    socket.data.user = userData;
+
+    // Personal room for direct messages, wherever the user is
+    socket.join(getUserRoom(account.id));
+
+    // Subscribe to every room the account has joined (and can still access)
+    await store.initReadPosition(DEFAULT_ROOM, account.id);
+    const memberships = await store.listMemberships(account.id);
+    for (const roomId of [DEFAULT_ROOM, ...memberships]) {
+      if (await canAccessRoom(account.id, roomId)) {
+        socket.join(roomId);
+      }
+    }
+
+    // View the requested room, falling back to the default room if it isn't available
+    if (await canAccessRoom(account.id, room)) {
+      socket.join(room);
+      if (!isConversationId(room) && (await store.addMembership(account.id, room))) {
+        await store.initReadPosition(room, account.id);
+      }
+    } else {
+      userData.currentRoom = DEFAULT_ROOM;
+    }
+    const joinedRoom = userData.currentRoom;
+
+    // Send updated user list to all clients
+    const userList = Array.from(users.values());
+    io.emit('user_list', userList);
+
+    // Notify room about new user
+    if (!wasOnline) {
+      broadcastToRoom(joinedRoom, 'user_joined', {
+        user: userData,
+        room: joinedRoom,
+      });
+    }
+
+    // Send room and conversation lists to the joining user
+    socket.emit('room_list', await getVisibleRooms(account.id));
+    await emitConversationList(account.id);
+    socket.emit('block_list', await store.getBlockList(account.id));
+
+    // Send message history (resuming clients ask for just what they missed instead)
+    if (!resume || joinedRoom !== room) {
+      const page = await store.getMessages(joinedRoom, { limit: HISTORY_LIMIT });
+      socket.emit('message_history', { room: joinedRoom, ...page });
+    }
+
+    console.log(`👤 ${username} ${wasOnline ? 'reconnected' : 'joined the chat'}`);
+  });
+
+  // Handle reconnect catch-up: send messages posted after the client's last known message
+  onSocketEvent(socket, 'sync', async ({ room = DEFAULT_ROOM, sinceMessageId } = {}) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !(await canAccessRoom(user.userId, room))) return;
+
+    const page = sinceMessageId
+      ? await store.getMessagesSince(room, sinceMessageId, { limit: MAX_PAGE_SIZE })
+      : null;
+
+    // Unknown cursor: fall back to the latest page
+    if (!page) {
+      const latest = await store.getMessages(room, { limit: HISTORY_LIMIT });
+      socket.emit('message_history', { room, ...latest });
+      return;
+    }
+
+    socket.emit('sync_messages', { room, sinceMessageId, ...page });
+  });
+
+  // Handle chat messages (parentId makes it a thread reply)
+  // clientId is the sender's optimistic ID and idempotency key, echoed back in the ack
+  onSocketEvent(socket, 'send_message', async ({ message, room = DEFAULT_ROOM, parentId = null, clientId = null }, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before sending messages' });
+    }
+
+    const result = await runIdempotent(idempotencyKey(user, clientId), async () => {
+      if (!(await canAccessRoom(user.userId, room))) {
+        return { status: 'error', error: 'Room not found' };
+      }
+
+      const restriction = await checkPostingRules(room, user.userId);
+      if (restriction) return restriction;
+
+      const posted = await postTextMessage(user, { message, room, parentId, clientId });
+      if (posted.status === 'delivered') await startSlowModeWait(room, user.userId);
+      return posted;
+    });
+
+    acknowledge(ack, result);
+  });
+
+  // Handle loading a thread's replies (before is the oldest reply the client has)
+  onSocketEvent(socket, 'load_thread', async ({ room = DEFAULT_ROOM, parentId, before, limit }) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !parentId || !(await canAccessRoom(user.userId, room))) return;
+
+    const parent = await store.getMessage(room, parentId);
+    if (!parent) return;
+
+    const page = await store.getThreadMessages(parentId, { before, limit: getPageSize(limit) });
+    socket.emit('thread_history', { room, parentId, before: before || null, ...page });
+  });
+
+  // Handle typing indicator (parentId scopes it to a thread)
+  onSocketEvent(socket, 'typing', async ({ isTyping, room = DEFAULT_ROOM, parentId = null }) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !(await canAccessRoom(user.userId, room))) return;
+
+    const typingKey = parentId ? `thread:${parentId}` : room;
+    if (!typingUsers.has(typingKey)) {
+      typingUsers.set(typingKey, new Set());
+    }
+
+    const roomTyping = typingUsers.get(typingKey);
+
+    if (isTyping) {
+      roomTyping.add(user.username);
+    } else {
+      roomTyping.delete(user.username);
+    }
+
+    // Broadcast typing status to room (excluding sender)
+    if (parentId) {
+      broadcastToRoom(
+        room,
+        'thread_typing',
+        { users: Array.from(roomTyping), room, parentId },
+        socket.id
+      );
+      return;
+    }
+
+    broadcastToRoom(
+      room,
+      'typing_users',
+      { users: Array.from(roomTyping), room },
+      socket.id
+    );
+  });
+
+  // Handle opening (or starting) a direct message conversation with another user
+  onSocketEvent(socket, 'open_dm', async ({ userId } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before sending messages' });
+    }
+
+    const recipient = userId ? await store.getAccount(userId) : null;
+    if (!recipient || recipient.id === user.userId) {
+      return acknowledge(ack, { status: 'error', error: 'User not found' });
+    }
+
+    const blocked = await checkConversationBlock(getConversationId(user.userId, recipient.id), user.userId);
+    if (blocked) {
+      return acknowledge(ack, blocked);
+    }
+
+    const { conversation, isNew } = await getOrCreateConversation(user.userId, recipient.id);
+    if (isNew) {
+      await Promise.all(conversation.participants.map(emitConversationList));
+    }
+
+    acknowledge(ack, {
+      status: 'ok',
+      conversation: await toConversationSummary(conversation, user.userId),
+    });
+  });
+
+  // Handle private messages (to is the recipient's account ID; stored in their conversation)
+  onSocketEvent(socket, 'private_message', async ({ to, message, clientId = null } = {}, ack) => {
+    const sender = getUserInfo(socket.id);
+    if (!sender) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before sending messages' });
+    }
+
+    const result = await runIdempotent(idempotencyKey(sender, clientId), async () => {
+      const recipient = to ? await store.getAccount(to) : null;
+      if (!recipient || recipient.id === sender.userId) {
+        return { status: 'error', error: 'User not found' };
+      }
+      const blocked = await checkConversationBlock(getConversationId(sender.userId, recipient.id), sender.userId);
+      if (blocked) return blocked;
+
+      const { conversation, isNew } = await getOrCreateConversation(sender.userId, recipient.id);
+      if (isNew) {
+        await Promise.all(conversation.participants.map(emitConversationList));
+      }
+
+      console.log(`🔒 Private message from ${sender.username} to ${recipient.username}`);
+      return postTextMessage(sender, { message, room: conversation.id, clientId });
+    });
+
+    acknowledge(ack, result);
+  });
+
+  // Handle direct message read position (everything up to messageId has been seen)
+  onSocketEvent(socket, 'mark_dm_read', async ({ room, messageId } = {}) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !isConversationId(room) || !(await canAccessRoom(user.userId, room))) return;
+
+    const hasMoved = await store.markConversationRead(room, user.userId, messageId);
+    if (!hasMoved) return;
+
+    broadcastToRoom(room, 'dm_read', { room, userId: user.userId, messageId });
+  });
+
+  // Handle message reactions (clientId makes replayed toggles idempotent)
+  onSocketEvent(socket, 'add_reaction', async ({ messageId, reaction, room = DEFAULT_ROOM, clientId = null }, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before reacting' });
+    }
+
+    const result = await runIdempotent(idempotencyKey(user, clientId), async () => {
+      const message = (await canAccessRoom(user.userId, room)) && (await store.getMessage(room, messageId));
+      if (!message || message.deleted) {
+        return { status: 'error', error: 'Message not found' };
+      }
+
+      // Toggle reaction
+      const reactors = message.reactions?.[reaction] || [];
+      const reactions = {
+        ...message.reactions,
+        [reaction]: reactors.includes(user.username)
+          ? reactors.filter((username) => username !== user.username)
+          : [...reactors, user.username],
+      };
+
+      const updatedMessage = await store.updateMessage(room, messageId, { reactions });
+
+      // Broadcast updated message
+      broadcastToRoom(room, 'message_updated', updatedMessage);
+      return { status: 'ok' };
+    });
+
+    acknowledge(ack, result);
+  });
+
+  // Handle message edits (only the original sender may edit)
+  onSocketEvent(socket, 'edit_message', async ({ messageId, message: newText, room = DEFAULT_ROOM }, ack) => {
+    const refuse = (response) => refuseEvent(socket, 'edit_message', ack, { status: 'error', ...response });
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return refuse({ error: 'Join the chat before editing messages' });
+    }
+
+    const message = (await canAccessRoom(user.userId, room)) && (await store.getMessage(room, messageId));
+    if (!message || message.deleted || message.type !== 'text') {
+      return refuse({ code: 'not_found', error: 'Message not found' });
+    }
+    if (message.senderId !== user.userId) {
+      return refuse({ code: 'forbidden', error: 'You can only edit your own messages' });
+    }
+
+    const restriction = await checkPostingRules(room, user.userId, { isEdit: true });
+    if (restriction) {
+      return refuse(restriction);
+    }
+
+    const filtered = contentFilter.check(newText, 'message');
+    if (filtered.blocked) {
+      return refuse({ code: CONTENT_BLOCKED, error: 'Your edit was blocked by the content filter' });
+    }
+    if (filtered.text === message.message) {
+      return acknowledge(ack, { status: 'ok' });
+    }
+
+    const editedAt = new Date().toISOString();
+    const revisions = [
+      ...(message.revisions || []),
+      { message: message.message, editedAt: message.editedAt || message.timestamp },
+    ].slice(-MAX_REVISIONS);
+
+    const updatedMessage = await store.updateMessage(room, messageId, {
+      message: filtered.text,
+      mentions: await resolveMentions(filtered.text, room, user.userId),
+      editedAt,
+      revisions,
+      ...(filtered.flagged && { flagged: true }),
+    });
+    if (filtered.flagged) {
+      await flagMessage(updatedMessage, filtered.rules);
+    }
+
+    broadcastToRoom(room, 'message_updated', updatedMessage);
+    attachLinkPreviews(room, messageId).catch(() => {});
+    acknowledge(ack, { status: 'ok' });
+    console.log(`✏️  ${user.username} edited a message in ${room}`);
+  });
+
+  // Handle the sender removing a link preview from their message
+  onSocketEvent(socket, 'remove_link_preview', async ({ messageId, room = DEFAULT_ROOM, url } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before editing messages' });
+    }
+
+    const message = (await canAccessRoom(user.userId, room)) && (await store.getMessage(room, messageId));
+    if (!message || message.deleted || !message.previews?.some((preview) => preview.url === url)) {
+      return acknowledge(ack, { status: 'error', error: 'Preview not found' });
+    }
+    if (message.senderId !== user.userId) {
+      return acknowledge(ack, { status: 'error', error: 'Only the sender can remove a preview' });
+    }
+
+    const updatedMessage = await store.updateMessage(room, messageId, {
+      previews: message.previews.filter((preview) => preview.url !== url),
+      dismissedPreviews: [...(message.dismissedPreviews || []), url],
+    });
+
+    broadcastToRoom(room, 'message_updated', updatedMessage);
+    acknowledge(ack, { status: 'ok' });
+  });
+
+  // Handle message deletion (leaves a tombstone so history stays in order)
+  onSocketEvent(socket, 'delete_message', async ({ messageId, room = DEFAULT_ROOM }, ack) => {
+    const refuse = (response) => refuseEvent(socket, 'delete_message', ack, { status: 'error', ...response });
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return refuse({ error: 'Join the chat before deleting messages' });
+    }
+
+    const message = (await canAccessRoom(user.userId, room)) && (await store.getMessage(room, messageId));
+    if (!message || message.deleted) {
+      return refuse({ code: 'not_found', error: 'Message not found' });
+    }
+    if (message.senderId !== user.userId) {
+      return refuse({ code: 'forbidden', error: 'You can only delete your own messages' });
+    }
+
+    const updatedMessage = await deleteStoredMessage(room, messageId);
+
+    broadcastToRoom(room, 'message_updated', updatedMessage);
+    acknowledge(ack, { status: 'ok' });
+    console.log(`🗑️  ${user.username} deleted a message in ${room}`);
+  });
+
+  // Handle moving the user's read position in a room (conversations use mark_dm_read)
+  onSocketEvent(socket, 'mark_room_read', async ({ room, messageId } = {}) => {
+    const user = getUserInfo(socket.id);
+    if (!user || isConversationId(room) || !(await canAccessRoom(user.userId, room))) return;
+
+    const messageIds = await store.markRoomRead(room, user.userId, user.username, messageId);
+    if (!messageIds) return;
+
+    // Other tabs and devices clear their unread badges
+    io.to(getUserRoom(user.userId)).emit('room_read', { room, messageId });
+
+    // Read receipts for the messages the position passed
+    if (messageIds.length > 0) {
+      broadcastToRoom(room, 'read_receipt', {
+        room,
+        messageIds,
+        userId: user.userId,
+        username: user.username,
+      });
+    }
+  });
+
+  // Handle joining a room
+  // Joining keeps the user subscribed to their other rooms - it only changes the room being viewed.
+  // history: false skips message_history for clients that already have the room cached.
+  onSocketEvent(socket, 'join_room', async ({ roomId, history = true }) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !(await canAccessRoom(user.userId, roomId))) return;
+
+    // Conversations reach participants through their personal rooms instead of memberships
+    const isNewMember = !isConversationId(roomId) && (await joinRoomMembership(user.userId, roomId));
+    socket.join(roomId);
+    user.currentRoom = roomId;
+
+    // Send message history for the room
+    if (history) {
+      const page = await store.getMessages(roomId, { limit: HISTORY_LIMIT });
+      socket.emit('message_history', { room: roomId, ...page });
+    }
+
+    // Notify room on first join
+    if (isNewMember) {
+      broadcastToRoom(roomId, 'user_joined_room', {
+        user,
+        room: roomId,
+      });
+      await emitRoomList(user.userId);
+      console.log(`🚪 ${user.username} joined room ${roomId}`);
+    }
+  });
+
+  // Handle leaving a room (stops its messages; private rooms stay listed for their members)
+  onSocketEvent(socket, 'leave_room', async ({ roomId } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before leaving rooms' });
+    }
+    if (roomId === DEFAULT_ROOM || isConversationId(roomId)) {
+      return acknowledge(ack, { status: 'error', error: 'You cannot leave this room' });
+    }
+
+    if (!(await leaveRoomMembership(user.userId, roomId))) {
+      return acknowledge(ack, { status: 'error', error: 'You are not in this room' });
+    }
+
+    broadcastToRoom(roomId, 'user_left_room', {
+      user,
+      room: roomId,
+    });
+    await emitRoomList(user.userId);
+
+    acknowledge(ack, { status: 'ok' });
+    console.log(`🚶 ${user.username} left room ${roomId}`);
+  });
+
+  // Handle loading older messages (cursor is the oldest message the client has)
+  onSocketEvent(socket, 'load_older_messages', async ({ room = DEFAULT_ROOM, before, limit, through }) => {
+    const user = getUserInfo(socket.id);
+    if (!user || !before || !(await canAccessRoom(user.userId, room))) return;
+
+    // through (a search hit) extends the page back far enough to include that message
+    const page = await store.getMessages(room, { before, limit: getPageSize(limit), through });
+    socket.emit('older_messages', { room, before, ...page });
+  });
+
+  // Handle creating a room
+  onSocketEvent(socket, 'create_room', async ({ name: requestedName, isPrivate = false, slowModeSeconds = 0, readOnly = false }) => {
+    const user = getUserInfo(socket.id);
+    if (!user) return;
+
+    // Room names are masked or refused like messages (flags are only logged - there's no message to review)
+    const filtered = contentFilter.check(requestedName, 'room_name');
+    if (filtered.blocked) {
+      socket.emit('request_error', {
+        event: 'create_room',
+        status: 'error',
+        code: CONTENT_BLOCKED,
+        error: 'That room name is not allowed',
+        field: 'name',
+      });
+      return;
+    }
+    if (filtered.flagged) {
+      console.log(`🚩 Room name "${requestedName}" from ${user.username} flagged (${filtered.rules.join(', ')})`);
+    }
+    const name = filtered.text;
+
+    const roomId = uuidv4();
+    const room = {
+      id: roomId,
+      name,
+      createdBy: user.username,
+      ownerId: user.userId,
+      createdAt: new Date().toISOString(),
+      isPrivate: Boolean(isPrivate),
+      slowModeSeconds,
+      readOnly,
+      // Private rooms are only visible to their members
+      ...(isPrivate && { members: [user.userId], inviteCode: createInviteCode(), joinRequests: [] }),
+    };
+
+    await store.saveRoom(room);
+    typingUsers.set(roomId, new Set());
+
+    // Auto-join creator to the room
+    await joinRoomMembership(user.userId, roomId);
+    socket.join(roomId);
+    user.currentRoom = roomId;
+
+    // Send updated room list to everyone who can see the room
+    await emitRoomListForRoom(room);
+
+    socket.emit('room_created', await toRoomSummary(room, user.userId));
+    console.log(`🏠 Room created: ${name} by ${user.username}`);
+  });
+
+  // Handle changing a room's posting rules (owner only): slowModeSeconds and readOnly
+  // (announcement mode, where only moderators post). Fields left out keep their values.
+  onSocketEvent(socket, 'update_room', async ({ roomId, slowModeSeconds, readOnly } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before managing rooms' });
+    }
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log(`✅ User connected: ${socket.id}`);
+    const room = await store.getRoom(roomId);
+    if (!room || !isRoomMember(room, user.userId)) {
+      return acknowledge(ack, { status: 'error', error: 'Room not found' });
+    }
+    if (ROLE_RANKS[await getRoomRole(room, user.userId)] < ROLE_RANKS.owner) {
+      return acknowledge(ack, { status: 'error', error: 'Only the room owner can change its settings' });
+    }
 
-  // Handle user joining
-  socket.on('user_join', ({ username, avatar = null }) => {
-    // Store user data
-    users.set(socket.id, {
-      id: socket.id,
-      username,
-      avatar,
-      joinedAt: new Date().toISOString(),
-      currentRoom: DEFAULT_ROOM,
-      status: 'online',
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      ...(slowModeSeconds !== undefined && { slowModeSeconds }),
+      ...(readOnly !== undefined && { readOnly }),
     });
 
-    // Join default room
-    socket.join(DEFAULT_ROOM);
+    await emitRoomListForRoom(updatedRoom);
+    if (describePostingRules(updatedRoom) !== describePostingRules(room)) {
+      await postModerationMessage(room.id, user, null, 'update_room',
+        `${user.username} changed the room settings: ${describePostingRules(updatedRoom)}`);
+    }
 
-    // Send updated user list to all clients
-    const userList = Array.from(users.values());
-    io.emit('user_list', userList);
+    acknowledge(ack, { status: 'ok' });
+  });
 
-    // Notify room about new user
-    broadcastToRoom(DEFAULT_ROOM, 'user_joined', {
-      user: users.get(socket.id),
-      room: DEFAULT_ROOM,
-    });
+  // Handle adding a user to a private room (any member may invite)
+  onSocketEvent(socket, 'invite_to_room', async ({ roomId, userId } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before inviting users' });
+    }
+
+    const room = await store.getRoom(roomId);
+    if (!room || !isRoomMember(room, user.userId)) {
+      return acknowledge(ack, { status: 'error', error: 'Room not found' });
+    }
+    if (!room.isPrivate) {
+      return acknowledge(ack, { status: 'error', error: 'Anyone can join a public room' });
+    }
 
-    // Send room list to the joining user
-    const roomList = Array.from(rooms.values());
-    socket.emit('room_list', roomList);
+    const invitee = userId ? await store.getAccount(userId) : null;
+    if (!invitee) {
+      return acknowledge(ack, { status: 'error', error: 'User not found' });
+    }
 
-    // Send message history for default room
-    const roomMessages = messages.get(DEFAULT_ROOM) || [];
-    socket.emit('message_history', {
-      room: DEFAULT_ROOM,
-      messages: roomMessages.slice(-50), // Send last 50 messages
-    });
+    if (!isRoomMember(room, invitee.id)) {
+      const updatedRoom = await addRoomMember(room, invitee.id);
+      io.to(getUserRoom(invitee.id)).emit('room_invitation', {
+        room: await toRoomSummary(updatedRoom, invitee.id),
+        invitedBy: user.username,
+      });
+      console.log(`✉️  ${user.username} added ${invitee.username} to ${room.name}`);
+    }
 
-    console.log(`👤 ${username} joined the chat`);
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle chat messages
-  socket.on('send_message', ({ message, room = DEFAULT_ROOM }) => {
+  // Handle joining a private room with its invite code
+  onSocketEvent(socket, 'join_with_invite', async ({ code } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before joining rooms' });
+    }
 
-    const messageData = {
-      id: uuidv4(),
-      sender: user.username,
-      senderId: socket.id,
-      message,
-      room,
-      timestamp: new Date().toISOString(),
-      type: 'text',
-      reactions: {},
-      readBy: [], // Initialize empty readBy array
-    };
+    const room = code ? await store.findRoomByInviteCode(code) : null;
+    if (!room) {
+      return acknowledge(ack, { status: 'error', error: 'Invite code is invalid or has expired' });
+    }
+
+    let joinedRoom = room;
+    if (!isRoomMember(room, user.userId)) {
+      joinedRoom = await addRoomMember(room, user.userId);
+      console.log(`🔑 ${user.username} joined ${room.name} with an invite code`);
+    }
+
+    acknowledge(ack, { status: 'ok', room: await toRoomSummary(joinedRoom, user.userId) });
+  });
 
-    // Store message
-    if (!messages.has(room)) {
-      messages.set(room, []);
+  // Handle asking the owner of a private room to be let in
+  onSocketEvent(socket, 'request_to_join', async ({ roomId } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before joining rooms' });
     }
-    const roomMessages = messages.get(room);
-    roomMessages.push(messageData);
 
-    // Limit stored messages to prevent memory issues (keep last 100)
-    if (roomMessages.length > 100) {
-      roomMessages.shift();
+    const room = await store.getRoom(roomId);
+    if (!room) {
+      return acknowledge(ack, { status: 'error', error: 'Room not found' });
+    }
+    // Banned users can't queue requests (they would only fill up the moderators' list)
+    if ((room.bans || []).includes(user.userId)) {
+      return acknowledge(ack, { status: 'error', error: 'You are banned from this room' });
+    }
+    if (isRoomMember(room, user.userId)) {
+      return acknowledge(ack, { status: 'ok', room: await toRoomSummary(room, user.userId) });
+    }
+    if (!room.isPrivate) {
+      return acknowledge(ack, { status: 'error', error: 'Only private rooms take join requests' });
     }
 
-    // Broadcast to room
-    broadcastToRoom(room, 'receive_message', messageData);
-    
-    console.log(`💬 ${user.username} sent message in ${room}`);
+    const joinRequests = room.joinRequests || [];
+    if (!joinRequests.some((request) => request.userId === user.userId)) {
+      const request = { userId: user.userId, username: user.username, requestedAt: new Date().toISOString() };
+      await store.saveRoom({ ...room, joinRequests: [...joinRequests, request] });
+
+      io.to(getUserRoom(room.ownerId)).emit('join_request', { roomId: room.id, roomName: room.name, ...request });
+      await emitRoomList(room.ownerId);
+      console.log(`🙋 ${user.username} asked to join ${room.name}`);
+    }
+
+    acknowledge(ack, { status: 'pending' });
   });
 
-  // Handle typing indicator
-  socket.on('typing', ({ isTyping, room = DEFAULT_ROOM }) => {
+  // Handle the owner approving or declining a join request
+  onSocketEvent(socket, 'respond_to_join_request', async ({ roomId, userId, approve = false } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before managing rooms' });
+    }
 
-    if (!typingUsers.has(room)) {
-      typingUsers.set(room, new Set());
+    const room = await store.getRoom(roomId);
+    if (!room || room.ownerId !== user.userId) {
+      return acknowledge(ack, { status: 'error', error: 'Only the room owner can answer join requests' });
     }
 
-    const roomTyping = typingUsers.get(room);
+    const joinRequests = room.joinRequests || [];
+    if (!joinRequests.some((request) => request.userId === userId)) {
+      return acknowledge(ack, { status: 'error', error: 'Join request not found' });
+    }
 
-    if (isTyping) {
-      roomTyping.add(user.username);
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      joinRequests: joinRequests.filter((request) => request.userId !== userId),
+    });
+    if (approve) {
+      await addRoomMember(updatedRoom, userId);
     } else {
-      roomTyping.delete(user.username);
+      await emitRoomList(user.userId);
     }
 
-    // Broadcast typing status to room (excluding sender)
-    broadcastToRoom(
-      room,
-      'typing_users',
-      { users: Array.from(roomTyping), room },
-      socket.id
-    );
+    io.to(getUserRoom(userId)).emit('join_request_answered', {
+      room: approve ? await toRoomSummary(updatedRoom, userId) : { id: room.id, name: room.name },
+      approved: Boolean(approve),
+    });
+
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle private messages
-  socket.on('private_message', ({ to, message }) => {
-    const sender = getUserInfo(socket.id);
-    if (!sender) return;
+  // Handle promoting or demoting a moderator (owner only)
+  onSocketEvent(socket, 'set_room_role', async ({ roomId, userId, role } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before managing rooms' });
+    }
+    const { room, target, error } = await prepareModeration(user, roomId, userId, 'owner');
+    if (error) return acknowledge(ack, { status: 'error', error });
 
-    const messageData = {
-      id: uuidv4(),
-      sender: sender.username,
-      senderId: socket.id,
-      message,
-      timestamp: new Date().toISOString(),
-      type: 'private',
-      isPrivate: true,
-    };
+    const moderators = (room.moderators || []).filter((id) => id !== target.id);
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      moderators: role === 'moderator' ? [...moderators, target.id] : moderators,
+    });
 
-    // Send to recipient
-    socket.to(to).emit('private_message', messageData);
-    // Send confirmation to sender
-    socket.emit('private_message', { ...messageData, isSent: true });
+    await emitRoomListForRoom(updatedRoom);
+    await postModerationMessage(room.id, user, target, 'set_role', role === 'moderator'
+      ? `${user.username} made ${target.username} a moderator`
+      : `${user.username} removed ${target.username} as a moderator`);
 
-    console.log(`🔒 Private message from ${sender.username} to ${to}`);
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle message reactions
-  socket.on('add_reaction', ({ messageId, reaction, room = DEFAULT_ROOM }) => {
+  // Handle removing a user from a room (they may come back unless the room is private)
+  onSocketEvent(socket, 'kick_user', async ({ roomId, userId } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before moderating' });
+    }
+
+    const { room, target, error } = await prepareModeration(user, roomId, userId);
+    if (error) return acknowledge(ack, { status: 'error', error });
 
-    const roomMessages = messages.get(room);
-    if (!roomMessages) return;
+    const updatedRoom = room.isPrivate
+      ? await store.saveRoom({
+          ...room,
+          members: room.members.filter((id) => id !== target.id),
+          moderators: (room.moderators || []).filter((id) => id !== target.id),
+        })
+      : room;
 
-    const message = roomMessages.find((m) => m.id === messageId);
-    if (!message) return;
+    await removeFromRoom(updatedRoom, target.id, 'kick', user.username);
+    await postModerationMessage(room.id, user, target, 'kick', `${user.username} kicked ${target.username}`);
 
-    // Initialize reactions object if not exists
-    if (!message.reactions[reaction]) {
-      message.reactions[reaction] = [];
+    acknowledge(ack, { status: 'ok' });
+  });
+
+  // Handle banning a user from a room (unban with unban_user)
+  onSocketEvent(socket, 'ban_user', async ({ roomId, userId } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before moderating' });
     }
 
-    // Toggle reaction
-    const userIndex = message.reactions[reaction].indexOf(user.username);
-    if (userIndex > -1) {
-      message.reactions[reaction].splice(userIndex, 1);
-    } else {
-      message.reactions[reaction].push(user.username);
+    const { room, target, error } = await prepareModeration(user, roomId, userId);
+    if (error) return acknowledge(ack, { status: 'error', error });
+    if (room.id === DEFAULT_ROOM) {
+      return acknowledge(ack, { status: 'error', error: 'Users cannot be banned from the default room - mute them instead' });
     }
 
-    // Broadcast updated message
-    broadcastToRoom(room, 'message_updated', message);
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      bans: [...(room.bans || []).filter((id) => id !== target.id), target.id],
+      moderators: (room.moderators || []).filter((id) => id !== target.id),
+    });
+
+    await removeFromRoom(updatedRoom, target.id, 'ban', user.username);
+    await postModerationMessage(room.id, user, target, 'ban', `${user.username} banned ${target.username}`);
+
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle read receipts
-  socket.on('mark_as_read', ({ messageId, room = DEFAULT_ROOM }) => {
+  // Handle lifting a ban
+  onSocketEvent(socket, 'unban_user', async ({ roomId, userId } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
-
-    if (!readReceipts.has(messageId)) {
-      readReceipts.set(messageId, new Set());
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before moderating' });
     }
 
-    readReceipts.get(messageId).add(socket.id);
+    const { room, target, error } = await prepareModeration(user, roomId, userId);
+    if (error) return acknowledge(ack, { status: 'error', error });
+    if (!(room.bans || []).includes(target.id)) {
+      return acknowledge(ack, { status: 'error', error: `${target.username} is not banned` });
+    }
 
-    // Broadcast read receipt
-    broadcastToRoom(room, 'read_receipt', {
-      messageId,
-      userId: socket.id,
-      username: user.username,
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      bans: room.bans.filter((id) => id !== target.id),
     });
+
+    await emitRoomListForRoom(updatedRoom);
+    await postModerationMessage(room.id, user, target, 'unban', `${user.username} unbanned ${target.username}`);
+
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle joining a room
-  socket.on('join_room', ({ roomId }) => {
+  // Handle muting a user in a room for duration seconds (0 unmutes)
+  onSocketEvent(socket, 'mute_user', async ({ roomId, userId, duration } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
-
-    // Leave current room
-    if (user.currentRoom) {
-      socket.leave(user.currentRoom);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before moderating' });
     }
 
-    // Join new room
-    socket.join(roomId);
-    user.currentRoom = roomId;
+    const { room, target, error } = await prepareModeration(user, roomId, userId);
+    if (error) return acknowledge(ack, { status: 'error', error });
 
-    // Send message history for the room
-    const roomMessages = messages.get(roomId) || [];
-    socket.emit('message_history', {
-      room: roomId,
-      messages: roomMessages.slice(-50),
+    const { [target.id]: previous, ...mutes } = room.mutes || {};
+    const until = duration > 0 ? new Date(Date.now() + duration * 1000).toISOString() : null;
+    const updatedRoom = await store.saveRoom({
+      ...room,
+      mutes: until ? { ...mutes, [target.id]: until } : mutes,
     });
 
-    // Notify room
-    broadcastToRoom(roomId, 'user_joined_room', {
-      user,
-      room: roomId,
-    });
+    await emitRoomListForRoom(updatedRoom);
+    await postModerationMessage(room.id, user, target, until ? 'mute' : 'unmute', until
+      ? `${user.username} muted ${target.username} for ${formatDuration(duration)}`
+      : `${user.username} unmuted ${target.username}`);
 
-    console.log(`🚪 ${user.username} joined room ${roomId}`);
+    acknowledge(ack, { status: 'ok', until });
   });
 
-  // Handle creating a room
-  socket.on('create_room', ({ name, isPrivate = false }) => {
+  // Handle a moderator deleting someone else's message
+  onSocketEvent(socket, 'delete_any_message', async ({ messageId, room: roomId = DEFAULT_ROOM } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
-
-    const roomId = uuidv4();
-    const room = {
-      id: roomId,
-      name,
-      createdBy: user.username,
-      createdAt: new Date().toISOString(),
-      isPrivate,
-    };
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before moderating' });
+    }
 
-    rooms.set(roomId, room);
-    messages.set(roomId, []);
-    typingUsers.set(roomId, new Set());
+    const message = await store.getMessage(roomId, messageId);
+    if (!message || message.deleted || message.type === 'system') {
+      return acknowledge(ack, { status: 'error', error: 'Message not found' });
+    }
 
-    // Send updated room list to all users
-    const roomList = Array.from(rooms.values());
-    io.emit('room_list', roomList);
+    const { target, error } = await prepareModeration(user, roomId, message.senderId);
+    if (error) return acknowledge(ack, { status: 'error', error });
 
-    // Auto-join creator to the room
-    socket.join(roomId);
-    user.currentRoom = roomId;
+    const updatedMessage = await deleteStoredMessage(roomId, messageId, { deletedBy: user.username });
+    broadcastToRoom(roomId, 'message_updated', updatedMessage);
+    await postModerationMessage(roomId, user, target, 'delete_message',
+      `${user.username} deleted a message from ${target.username}`);
 
-    socket.emit('room_created', room);
-    console.log(`🏠 Room created: ${name} by ${user.username}`);
+    acknowledge(ack, { status: 'ok' });
   });
 
-  // Handle file upload notification
-  socket.on('file_uploaded', ({ fileData, room = DEFAULT_ROOM }) => {
+  // Handle a user reporting someone else's message to the moderators (it joins the moderation queue)
+  onSocketEvent(socket, 'report_message', async ({ messageId, room = DEFAULT_ROOM, reason } = {}, ack) => {
     const user = getUserInfo(socket.id);
-    if (!user) return;
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before reporting messages' });
+    }
+
+    const message = (await canAccessRoom(user.userId, room)) && (await store.getMessage(room, messageId));
+    if (!message || message.deleted || message.type === 'system') {
+      return acknowledge(ack, { status: 'error', error: 'Message not found' });
+    }
+    if (message.senderId === user.userId) {
+      return acknowledge(ack, { status: 'error', error: "You can't report your own message" });
+    }
 
-    const messageData = {
+    const report = await store.addReport({
       id: uuidv4(),
-      sender: user.username,
-      senderId: socket.id,
+      messageId,
       room,
-      timestamp: new Date().toISOString(),
-      type: 'file',
-      fileData,
-      reactions: {},
-    };
+      senderId: message.senderId,
+      reporterId: user.userId,
+      reason: reason || null,
+      createdAt: new Date().toISOString(),
+    });
+    if (!report) {
+      return acknowledge(ack, { status: 'error', error: 'You already reported this message' });
+    }
+
+    console.log(`🚩 ${user.username} reported a message from ${message.sender} in ${room}`);
+    acknowledge(ack, { status: 'ok' });
+  });
+
+  // Handle blocking or unblocking another user (their room messages are hidden on the blocker's
+  // clients and their direct messages are refused)
+  onSocketEvent(socket, 'block_user', async ({ userId, blocked } = {}, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before blocking users' });
+    }
+    if (userId === user.userId) {
+      return acknowledge(ack, { status: 'error', error: "You can't block yourself" });
+    }
+    const target = await store.getAccount(userId);
+    if (!target) {
+      return acknowledge(ack, { status: 'error', error: 'User not found' });
+    }
+
+    const blockedUserIds = await store.setBlocked(user.userId, userId, blocked);
+    io.to(getUserRoom(user.userId)).emit('block_list', blockedUserIds);
+
+    console.log(`🚫 ${user.username} ${blocked ? 'blocked' : 'unblocked'} ${target.username}`);
+    acknowledge(ack, { status: 'ok', blockedUserIds });
+  });
 
-    // Store message
-    if (!messages.has(room)) {
-      messages.set(room, []);
+  // Handle file upload notification (uploadId is issued by /api/upload; each upload posts once)
+  onSocketEvent(socket, 'file_uploaded', async ({ uploadId, room = DEFAULT_ROOM, clientId = null }, ack) => {
+    const user = getUserInfo(socket.id);
+    if (!user) {
+      return acknowledge(ack, { status: 'error', error: 'Join the chat before uploading files' });
     }
-    messages.get(room).push(messageData);
 
-    // Broadcast to room
-    broadcastToRoom(room, 'receive_message', messageData);
+    const result = await runIdempotent(idempotencyKey(user, clientId), async () => {
+      const upload = await store.getUpload(uploadId);
+      if (!upload || upload.uploaderId !== user.userId || upload.messageId) {
+        return { status: 'error', error: 'Upload not found' };
+      }
+
+      if (!(await canAccessRoom(user.userId, room))) {
+        return { status: 'error', error: 'Room not found' };
+      }
+
+      const restriction = await checkPostingRules(room, user.userId);
+      if (restriction) return restriction;
+
+      const messageData = {
+        id: uuidv4(),
+        sender: user.username,
+        senderId: user.userId,
+        room,
+        timestamp: new Date().toISOString(),
+        type: 'file',
+        fileData: toFileData(upload),
+        reactions: {},
+        ...(isConversationId(room) && { isPrivate: true }),
+        ...(clientId && { clientId }),
+      };
+
+      // Claim the upload (fails if a concurrent request posted it first), then store the message
+      if (!(await store.attachUpload(upload.id, { room, messageId: messageData.id }))) {
+        return { status: 'error', error: 'Upload not found' };
+      }
+      await store.addMessage(messageData);
+      await startSlowModeWait(room, user.userId);
+
+      // Broadcast to room
+      broadcastToRoom(room, 'receive_message', messageData);
+      return deliveredAck(messageData);
+    });
+
+    acknowledge(ack, result);
   });
 
   // Handle disconnection
-  socket.on('disconnect', () => {
+  onSocketEvent(socket, 'disconnect', () => {
     const user = getUserInfo(socket.id);
     
     if (user) {
-      // Notify all rooms
-      broadcastToRoom(user.currentRoom, 'user_left', {
-        user,
-        room: user.currentRoom,
-      });
-
       console.log(`❌ ${user.username} disconnected`);
 
       // Remove from typing users
@@ -493,14 +2005,32 @@ io.on('connection', (socket) => {
       // Remove user
       users.delete(socket.id);
 
-      // Send updated user list
-      const userList = Array.from(users.values());
-      io.emit('user_list', userList);
+      // Still connected from another tab
+      if (isUserOnline(user.userId)) {
+        io.emit('user_list', Array.from(users.values()));
+        return;
+      }
+
+      // Wait before announcing the departure so a quick reconnect looks seamless
+      cancelPendingLeave(user.userId);
+      pendingLeaves.set(user.userId, setTimeout(() => {
+        pendingLeaves.delete(user.userId);
+        if (isUserOnline(user.userId)) return;
+
+        // Notify all rooms
+        broadcastToRoom(user.currentRoom, 'user_left', {
+          user,
+          room: user.currentRoom,
+        });
+
+        // Send updated user list
+        io.emit('user_list', Array.from(users.values()));
+      }, RECONNECT_GRACE_MS));
     }
   });
 
   // Handle status updates
-  socket.on('update_status', ({ status }) => {
+  onSocketEvent(socket, 'update_status', ({ status }) => {
     const user = getUserInfo(socket.id);
     if (!user) return;
 
@@ -508,7 +2038,7 @@ io.on('connection', (socket) => {
     
     // Broadcast status update
     io.emit('user_status_changed', {
-      userId: socket.id,
+      userId: user.userId,
       username: user.username,
       status,
     });
@@ -517,11 +2047,128 @@ io.on('connection', (socket) => {
 
 // API Routes
 
-// Get message history for a room
-app.get('/api/messages/:roomId', (req, res) => {
+// Create a middleware that applies a rate limit rule to API requests (keyed by the
+// caller's account once authenticated, and always by address)
+const limitRate = (rule) => (req, res, next) => {
+  const retryAfter = rateLimiter.consume(rule, { userId: req.account?.id, ip: req.ip });
+  if (!retryAfter) return next();
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json(toRateLimitError(retryAfter));
+};
+
+// Register a new account and issue a token
+app.post('/api/auth/register', limitRate('api:auth'), validateBody(BODY_SCHEMAS.register), async (req, res) => {
+  const { username, password, avatar = null } = req.body;
+  if (isReservedMention(username)) {
+    return res.status(400).json({ error: `@${username} is reserved for group mentions` });
+  }
+
+  // Usernames can't be masked, so anything the filter would mask is refused too
+  const filtered = contentFilter.check(username, 'username');
+  if (filtered.blocked || filtered.masked) {
+    return res.status(400).json({ error: 'That username is not allowed', code: CONTENT_BLOCKED, field: 'username' });
+  }
+  if (filtered.flagged) {
+    console.log(`🚩 Username "${username}" flagged (${filtered.rules.join(', ')})`);
+  }
+  if (await store.findAccountByUsername(username)) {
+    return res.status(409).json({ error: 'Username is already taken' });
+  }
+
+  const account = {
+    id: uuidv4(),
+    username,
+    avatar,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  await store.createAccount(account);
+
+  console.log(`📝 Account registered: ${username}`);
+  res.status(201).json({ token: signToken(account), user: toPublicAccount(account) });
+});
+
+// Log in to an existing account and issue a token
+app.post('/api/auth/login', limitRate('api:auth'), validateBody(BODY_SCHEMAS.login), async (req, res) => {
+  const { username, password } = req.body;
+  const account = await store.findAccountByUsername(username);
+  if (!account || !verifyPassword(password, account.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  res.json({ token: signToken(account), user: toPublicAccount(account) });
+});
+
+// Get a page of message history for a room or conversation (?before=<messageId>&limit=<n>)
+app.get('/api/messages/:roomId', requireAuth, async (req, res) => {
   const { roomId } = req.params;
-  const roomMessages = messages.get(roomId) || [];
-  res.json(roomMessages);
+  const { before, limit } = req.query;
+  if (!(await canAccessRoom(req.account.id, roomId))) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json(await store.getMessages(roomId, { before, limit: getPageSize(limit) }));
+});
+
+// Search the messages the caller can read
+// q: words to find (prefix match), room: one room or conversation, from: sender username,
+// after/before: dates or ISO timestamps, has: "file" or "link", offset/limit: paging
+app.get('/api/search', requireAuth, limitRate('api:search'), async (req, res) => {
+  const { q = '', room, from, after, before, has, offset, limit } = req.query;
+  // Repeating a parameter (?from=a&from=b) gives an array
+  const repeated = Object.entries({ q, room, from, after, before, has, offset, limit })
+    .find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated[0]} must be given once` });
+  }
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return res.status(400).json({ error: `Search text must be at most ${MAX_SEARCH_LENGTH} characters` });
+  }
+  if (!q.trim() && !room && !from && !after && !before && !has) {
+    return res.status(400).json({ error: 'Enter something to search for' });
+  }
+  if (has && has !== 'file' && has !== 'link') {
+    return res.status(400).json({ error: 'has must be "file" or "link"' });
+  }
+
+  const dates = {};
+  for (const [name, value] of Object.entries({ after, before })) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+    dates[name] = date.toISOString();
+  }
+
+  let roomIds;
+  if (room) {
+    if (!(await canAccessRoom(req.account.id, room))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    roomIds = [room];
+  } else {
+    roomIds = await getReadableRoomIds(req.account.id);
+  }
+
+  // An unknown sender matches nothing
+  const sender = from ? await store.findAccountByUsername(from) : null;
+  if (from && !sender) {
+    return res.json({ results: [], total: 0, hasMore: false });
+  }
+
+  const start = Math.max(0, parseInt(offset, 10) || 0);
+  const { results, total } = await store.searchMessages({
+    query: q,
+    roomIds,
+    senderId: sender?.id,
+    ...dates,
+    has,
+    offset: start,
+    limit: getPageSize(limit),
+  });
+
+  res.json({ results, total, hasMore: start + results.length < total });
 });
 
 // Get all users
@@ -530,31 +2177,245 @@ app.get('/api/users', (req, res) => {
   res.json(userList);
 });
 
-// Get all rooms
-app.get('/api/rooms', (req, res) => {
-  const roomList = Array.from(rooms.values());
-  res.json(roomList);
+// Get the caller's direct message conversations
+app.get('/api/conversations', requireAuth, async (req, res) => {
+  const conversations = await store.listConversations(req.account.id);
+  res.json(await Promise.all(
+    conversations.map((conversation) => toConversationSummary(conversation, req.account.id))
+  ));
+});
+
+// List the flagged and reported messages the caller can review, oldest first, with the
+// message and room name (entries for messages deleted in the meantime are dropped)
+app.get('/api/moderation/queue', requireAuth, async (req, res) => {
+  const items = [];
+  for (const entry of await getQueueEntries()) {
+    const message = await store.getMessage(entry.room, entry.messageId);
+    if (!message || message.deleted) {
+      await store.removeFlag(entry.messageId);
+      await store.removeReports(entry.messageId);
+      continue;
+    }
+    if (!(await canReviewMessage(req.account.id, entry))) continue;
+
+    const room = isConversationId(entry.room) ? null : await store.getRoom(entry.room);
+    items.push({ ...entry, roomName: room?.name ?? null, message });
+  }
+
+  res.json({ items });
+});
+
+// Review a flagged or reported message: approve keeps it, remove deletes it. Either way it
+// leaves the queue and the room gets the updated message through message_updated.
+app.post(
+  '/api/moderation/queue/:messageId',
+  requireAuth,
+  validateBody(BODY_SCHEMAS.reviewFlag),
+  async (req, res) => {
+    const entry = (await getQueueEntries()).find((item) => item.messageId === req.params.messageId);
+    if (!entry || !(await canReviewMessage(req.account.id, entry))) {
+      return res.status(404).json({ error: 'Message not in the moderation queue' });
+    }
+
+    await store.removeFlag(entry.messageId);
+    await store.removeReports(entry.messageId);
+    const message = await store.getMessage(entry.room, entry.messageId);
+    if (!message || message.deleted) {
+      return res.status(404).json({ error: 'Message not in the moderation queue' });
+    }
+
+    const reviewer = { userId: req.account.id, username: req.account.username };
+    // Approving a message that was only reported changes nothing anyone can see
+    const hasChanged = req.body.action === 'remove' || Boolean(message.flagged);
+    let updatedMessage = message;
+    if (req.body.action === 'remove') {
+      updatedMessage = await deleteStoredMessage(entry.room, entry.messageId, { deletedBy: reviewer.username });
+    } else if (message.flagged) {
+      updatedMessage = await store.updateMessage(entry.room, entry.messageId, { flagged: false });
+    }
+    if (hasChanged) broadcastToRoom(entry.room, 'message_updated', updatedMessage);
+
+    if (req.body.action === 'remove' && !isConversationId(entry.room)) {
+      const sender = await store.getAccount(entry.senderId);
+      const kind = entry.rules.length > 0 ? 'flagged' : 'reported';
+      await postModerationMessage(entry.room, reviewer, sender, 'remove_flagged',
+        `${reviewer.username} removed a ${kind} message from ${sender?.username || message.sender}`);
+    }
+
+    console.log(`🚩 ${reviewer.username} ${req.body.action === 'approve' ? 'approved' : 'removed'} a queued message in ${entry.room}`);
+    res.json({ status: 'ok', message: updatedMessage });
+  }
+);
+
+// Get the rooms the caller can see (public rooms and private rooms they belong to)
+app.get('/api/rooms', requireAuth, async (req, res) => {
+  res.json(await getVisibleRooms(req.account.id));
 });
 
-// File upload endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
+// Refuse uploads before reading them once the caller's quota is used up
+const checkUploadQuota = async (req, res, next) => {
+  if ((await getUploadAllowance(req.account.id)) <= 0) {
+    return res.status(429).json({ error: UPLOAD_QUOTA_ERROR });
+  }
+  next();
+};
+
+// Read the uploaded file, answering multer errors (e.g. too large) as JSON
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? `Files must be at most ${formatMegabytes(MAX_FILE_SIZE)}` : error.message,
+    });
+  });
+};
+
+// File upload endpoint (whole file in one request): the file's type is read from its
+// contents, then it is stored with an upload record whose ID is posted with file_uploaded
+app.post('/api/upload', requireAuth, limitRate('api:upload'), checkUploadQuota, receiveFile, async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  const fileData = {
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    size: req.file.size,
-    mimetype: req.file.mimetype,
-    url: `/uploads/${req.file.filename}`,
-  };
+  const { status, error, fileData } = await finishUpload(req.account, req.file.path, req.file.originalname);
+  res.status(status).json(error ? { error } : fileData);
+});
+
+// Start a resumable upload: the client declares the file, then PUTs its bytes in chunks
+app.post('/api/uploads', requireAuth, limitRate('api:upload'), validateBody(BODY_SCHEMAS.createUpload), async (req, res) => {
+  const { filename, size } = req.body;
+  if (size > MAX_FILE_SIZE) {
+    return res.status(413).json({ error: `Files must be at most ${formatMegabytes(MAX_FILE_SIZE)}` });
+  }
+  if (size > (await getUploadAllowance(req.account.id))) {
+    return res.status(429).json({ error: UPLOAD_QUOTA_ERROR });
+  }
+  if (uploadSessions.countOpen(req.account.id) >= MAX_OPEN_UPLOAD_SESSIONS) {
+    return res.status(429).json({ error: 'Too many uploads in progress - finish or cancel one first' });
+  }
+
+  const session = await uploadSessions.create({ accountId: req.account.id, originalName: filename, size });
+  res.status(201).json(toUploadSessionStatus(session));
+});
+
+// Check how much of a resumable upload has arrived (to carry on after a dropped connection)
+app.get('/api/uploads/:sessionId', requireAuth, (req, res) => {
+  const session = uploadSessions.get(req.params.sessionId, req.account.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (session.result) return sendUploadResult(res, session);
+  res.json(toUploadSessionStatus(session));
+});
+
+// Add the next chunk of a resumable upload at ?offset=<bytes received so far>;
+// the last chunk finishes the upload and responds with its fileData as `file`
+app.put(
+  '/api/uploads/:sessionId',
+  requireAuth,
+  limitRate('api:upload_chunk'),
+  express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res) => {
+    const session = uploadSessions.get(req.params.sessionId, req.account.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (session.result) return sendUploadResult(res, session);
+    if (session.taken) {
+      return res.status(409).json({ error: 'The upload is being finished', ...toUploadSessionStatus(session) });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the chunk as application/octet-stream' });
+    }
+
+    const error = await uploadSessions.append(session, Number(req.query.offset), req.body);
+    if (error) {
+      return res.status(409).json({ error, ...toUploadSessionStatus(session) });
+    }
+    if (session.received < session.size) {
+      return res.json(toUploadSessionStatus(session));
+    }
+
+    // The result is kept for a while so a retry or status check can still collect it
+    let result = { status: 500, error: 'The upload could not be saved' };
+    try {
+      result = await finishUpload(req.account, uploadSessions.take(session), session.originalName);
+    } finally {
+      uploadSessions.finish(session, result);
+    }
+    sendUploadResult(res, session);
+  }
+);
+
+// Cancel a resumable upload
+app.delete('/api/uploads/:sessionId', requireAuth, async (req, res) => {
+  const session = uploadSessions.get(req.params.sessionId, req.account.id);
+  if (!session || session.taken) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  await uploadSessions.remove(session);
+  res.json({ status: 'ok' });
+});
+
+// Helper function to send a file from the upload directory (404 if it has gone missing)
+const sendStoredFile = (res, filename) => {
+  res.sendFile(path.join(UPLOAD_DIR, filename), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'File not found' });
+    }
+  });
+};
+
+// Get a short-lived link token for a file (and its thumbnail), for <img> and <a> tags,
+// which can't send the Authorization header
+app.get('/api/files/:uploadId/token', requireAuth, async (req, res) => {
+  const record = await store.getUpload(req.params.uploadId);
+  if (!record || !(await canDownloadUpload(record, req.account.id))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.json(signFileToken(req.account.id, record.id));
+});
+
+// Download an uploaded file (served with the detected type, never sniffed by the browser)
+app.get('/api/files/:uploadId', requireFileAuth, async (req, res) => {
+  const record = await store.getUpload(req.params.uploadId);
+  if (!record || !(await canDownloadUpload(record, req.account.id))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
 
-  res.json(fileData);
+  res.set({
+    'Content-Type': record.mimetype,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600',
+  });
+  if (INLINE_FILE_TYPES.some((type) => record.mimetype.startsWith(type))) {
+    res.set('Content-Disposition', 'inline');
+  } else {
+    res.attachment(record.originalName);
+  }
+
+  sendStoredFile(res, record.filename);
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
+// Download an image upload's thumbnail (same access rules as the full image)
+app.get('/api/files/:uploadId/thumbnail', requireFileAuth, async (req, res) => {
+  const record = await store.getUpload(req.params.uploadId);
+  if (!record?.thumbnailFilename || !(await canDownloadUpload(record, req.account.id))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.set({
+    'Content-Type': 'image/webp',
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600',
+    'Content-Disposition': 'inline',
+  });
+  sendStoredFile(res, record.thumbnailFilename);
+});
 
 // Root route
 app.get('/', (req, res) => {
@@ -562,20 +2423,42 @@ app.get('/', (req, res) => {
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
     users: users.size,
-    rooms: rooms.size,
+    rooms: await store.countRooms(),
     timestamp: new Date().toISOString(),
   });
 });
 
+// Create the default room on first run
+const ensureDefaultRoom = async () => {
+  if (!(await store.getRoom(DEFAULT_ROOM))) {
+    await store.saveRoom({
+      id: DEFAULT_ROOM,
+      name: 'Global Chat',
+      createdAt: new Date().toISOString(),
+    });
+  }
+  typingUsers.set(DEFAULT_ROOM, new Set());
+};
+
+// Write pending changes before exiting
+const shutdown = async () => {
+  await store.flush();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start server
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📡 Socket.io ready for connections`);
+ensureDefaultRoom().then(() => {
+  server.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📡 Socket.io ready for connections`);
+  });
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
@@ -0,0 +1,170 @@
+// fileStore.js - File-backed storage adapter
+// Keeps the working set in memory. Each change is appended to a journal as one JSON line, and
+// the journal is folded into a full snapshot only once it has grown long, so a change costs a
+// short append instead of rewriting everything.
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+// Methods that change data and should be journaled
+const MUTATING_METHODS = [
+  'createAccount',
+  'saveRoom',
+  'addMembership',
+  'removeMembership',
+  'saveConversation',
+  'markConversationRead',
+  'addMessage',
+  'updateMessage',
+  'initReadPosition',
+  'markRoomRead',
+  'saveIdempotentResult',
+  'addUpload',
+  'attachUpload',
+  'addFlag',
+  'removeFlag',
+  'addReport',
+  'removeReports',
+  'setBlocked',
+];
+
+const SAVE_DELAY_MS = 250;
+const COMPACT_AFTER = 5000; // Journal entries before they are folded into a new snapshot
+
+/**
+ * Read a snapshot from disk
+ * @param {string} filePath - Snapshot path
+ * @returns {Object} Parsed snapshot (empty if the file doesn't exist yet)
+ */
+const loadSnapshot = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read chat data from ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Read the changes journaled since a snapshot
+ * A last line cut short by a crash is skipped.
+ * @param {string} filePath - Journal path
+ * @returns {Array} [method, args] entries, oldest first
+ */
+const loadJournal = (filePath) => {
+  let lines;
+  try {
+    lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Could not read chat data from ${filePath}: ${error.message}`);
+  }
+
+  return lines.flatMap((line, index) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      if (index < lines.length - 1) {
+        throw new Error(`Could not read chat data from ${filePath}: ${error.message}`);
+      }
+      console.warn(`⚠️  Skipping an unfinished change at the end of ${filePath}`);
+      return [];
+    }
+  });
+};
+
+/**
+ * Create a store that persists to a snapshot plus a journal of later changes
+ * The snapshot names its journal's generation, so a crash while compacting never replays
+ * changes the snapshot already contains.
+ * @param {Object} options - { dataDir, compactAfter (journal entries before compacting) }
+ * @returns {Object} Store with the same interface as the memory store
+ */
+const createFileStore = ({ dataDir, compactAfter = COMPACT_AFTER }) => {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const snapshotPath = path.join(dataDir, 'chat-data.json');
+  const getJournalPath = (generation) => path.join(dataDir, `chat-journal-${generation}.jsonl`);
+
+  const { generation: savedGeneration = 0, ...snapshot } = loadSnapshot(snapshotPath);
+  let generation = savedGeneration;
+  const memory = createMemoryStore(snapshot);
+
+  // Replay the journal (memory store methods apply their change before returning)
+  const journal = loadJournal(getJournalPath(generation));
+  journal.forEach(([method, args]) => memory[method](...args));
+  let journalLength = journal.length;
+
+  const store = { ...memory };
+
+  let saveTimer = null;
+  let pendingSave = Promise.resolve();
+  let unsaved = []; // Journal lines not written yet
+
+  // Fold everything into a new snapshot (written atomically), then start the next journal
+  const compact = () => {
+    const previousJournal = getJournalPath(generation);
+    generation += 1;
+    journalLength = 0;
+    unsaved = [];
+
+    const tmpPath = `${snapshotPath}.tmp`;
+    const data = JSON.stringify({ generation, ...memory.toJSON() });
+    return () => fs.promises.writeFile(tmpPath, data)
+      .then(() => fs.promises.rename(tmpPath, snapshotPath))
+      .then(() => fs.promises.rm(previousJournal, { force: true }));
+  };
+
+  // Append the changes made since the last save (or compact once the journal is long).
+  // What to write is decided now; writes run one after another.
+  const save = () => {
+    saveTimer = null;
+    let write;
+    if (journalLength >= compactAfter) {
+      write = compact();
+    } else {
+      const journalPath = getJournalPath(generation);
+      const data = unsaved.join('');
+      unsaved = [];
+      write = () => fs.promises.appendFile(journalPath, data);
+    }
+
+    pendingSave = pendingSave
+      .then(write)
+      .catch((error) => console.error('💾 Failed to save chat data:', error));
+
+    return pendingSave;
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    }
+  };
+
+  MUTATING_METHODS.forEach((method) => {
+    store[method] = async (...args) => {
+      // Journal the call as made: stored objects may be changed in place later
+      // (queued in the same tick as the change, so a compaction never sees one without the other)
+      const entry = `${JSON.stringify([method, args])}\n`;
+      const result = memory[method](...args);
+      unsaved.push(entry);
+      journalLength += 1;
+      scheduleSave();
+      return result;
+    };
+  });
+
+  // Write any pending changes immediately (used on shutdown)
+  store.flush = async () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      return save();
+    }
+    return pendingSave;
+  };
+
+  return store;
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,27 @@
+// storage/index.js - Pick a storage adapter from the environment
+
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+/**
+ * Create the configured store
+ * STORAGE_DRIVER=file (default) persists to DATA_DIR; STORAGE_DRIVER=memory keeps nothing.
+ * @returns {Object} Store instance
+ */
+const createStore = () => {
+  const driver = process.env.STORAGE_DRIVER || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({
+        dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+module.exports = { createStore, createMemoryStore, createFileStore };
@@ -0,0 +1,661 @@
+// memoryStore.js - In-memory storage adapter (used for tests and as the file store's cache)
+
+/**
+ * Slice a page out of a list ordered oldest first
+ * @param {Array} list - Messages, oldest first
+ * @param {Object} options - { before, limit, through } where before is a message ID cursor and
+ *   through is a message ID the page must reach back to
+ * @param {Function} findIndex - Looks up a message ID's position in the list (-1 if missing)
+ * @returns {Object} { messages, hasMore }
+ */
+const paginate = (list, { before, limit, through } = {}, findIndex) => {
+  let end = list.length;
+  if (before) {
+    end = findIndex(before);
+    if (end === -1) return { messages: [], hasMore: false };
+  }
+
+  let start = limit ? Math.max(0, end - limit) : 0;
+
+  // Reach further back to include a specific message, with a page of context before it
+  if (through) {
+    const index = findIndex(through);
+    if (index !== -1 && index < start) start = Math.max(0, index - (limit || 0));
+  }
+
+  return {
+    messages: list.slice(start, end),
+    hasMore: start > 0,
+  };
+};
+
+// How long a processed idempotency key is remembered
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split text into lowercased search tokens (letters and digits in any script)
+ * @param {string} text - Text to index or query
+ * @returns {Array} Unique tokens
+ */
+const tokenize = (text) => [...new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+
+// Helper function to get the searchable text of a message (deleted and system messages have none)
+const getSearchText = (message) => {
+  if (message.deleted || message.type === 'system') return '';
+  return `${message.message || ''} ${message.fileData?.originalName || ''}`;
+};
+
+/**
+ * Create an in-memory store
+ * All methods are async so adapters backed by a database can share the interface.
+ *
+ * @param {Object} initialState - Optional snapshot produced by toJSON()
+ * @returns {Object} Store with account, room and message methods
+ */
+const createMemoryStore = (initialState = {}) => {
+  const accounts = new Map(); // accountId -> account
+  const rooms = new Map(); // roomId -> room
+  const conversations = new Map(); // conversationId -> direct message conversation
+  const memberships = new Map(); // accountId -> IDs of the rooms they have joined
+  const readPositions = new Map(); // accountId -> { roomId: last read message ID }
+  const messages = new Map(); // roomId -> top-level messages array (oldest first)
+  const threads = new Map(); // parentId -> replies array (oldest first)
+  const messageIndex = new Map(); // messageId -> message (top-level and replies)
+  const listPositions = new Map(); // messageId -> index in its room's or thread's array
+  const roomIndex = new Map(); // roomId -> every message in the room (top-level and replies)
+  const idempotencyKeys = new Map(); // key -> { result, createdAt }
+  const uploads = new Map(); // uploadId -> upload record
+  const flags = new Map(); // messageId -> content filter flag awaiting review (oldest first)
+  const reports = new Map(); // reportId -> report awaiting review (oldest first)
+  const blockLists = new Map(); // accountId -> IDs of the accounts they have blocked
+  const searchIndex = new Map(); // token -> Set of message IDs
+  const indexedTokens = new Map(); // messageId -> tokens it is indexed under
+
+  // Helper function to (re)index a message after it is added or changed
+  const indexMessage = (message) => {
+    (indexedTokens.get(message.id) || []).forEach((token) => {
+      const ids = searchIndex.get(token);
+      ids.delete(message.id);
+      if (ids.size === 0) searchIndex.delete(token);
+    });
+
+    const tokens = tokenize(getSearchText(message));
+    tokens.forEach((token) => {
+      if (!searchIndex.has(token)) searchIndex.set(token, new Set());
+      searchIndex.get(token).add(message.id);
+    });
+    indexedTokens.set(message.id, tokens);
+  };
+
+  // Load snapshot
+  (initialState.accounts || []).forEach((account) => accounts.set(account.id, account));
+  (initialState.rooms || []).forEach((room) => rooms.set(room.id, room));
+  (initialState.conversations || []).forEach((conversation) => {
+    conversations.set(conversation.id, conversation);
+  });
+  Object.entries(initialState.memberships || {}).forEach(([accountId, roomIds]) => {
+    memberships.set(accountId, roomIds);
+  });
+  Object.entries(initialState.readPositions || {}).forEach(([accountId, positions]) => {
+    readPositions.set(accountId, positions);
+  });
+
+  // Helper function to index a message stored at a position in its room or thread array
+  const trackMessage = (message, index) => {
+    messageIndex.set(message.id, message);
+    listPositions.set(message.id, index);
+    if (!roomIndex.has(message.room)) roomIndex.set(message.room, []);
+    roomIndex.get(message.room).push(message);
+  };
+
+  // Helper function to find a message in its room or thread array without scanning it
+  const findPosition = (list, messageId) => {
+    const index = listPositions.get(messageId);
+    return index !== undefined && list[index]?.id === messageId ? index : -1;
+  };
+
+  Object.entries(initialState.messages || {}).forEach(([roomId, roomMessages]) => {
+    messages.set(roomId, roomMessages);
+    roomMessages.forEach(trackMessage);
+  });
+  Object.entries(initialState.threads || {}).forEach(([parentId, replies]) => {
+    threads.set(parentId, replies);
+    replies.forEach(trackMessage);
+  });
+  (initialState.idempotencyKeys || []).forEach(([key, entry]) => idempotencyKeys.set(key, entry));
+  (initialState.uploads || []).forEach((upload) => uploads.set(upload.id, upload));
+  (initialState.flags || []).forEach((flag) => flags.set(flag.messageId, flag));
+  (initialState.reports || []).forEach((report) => reports.set(report.id, report));
+  Object.entries(initialState.blockLists || {}).forEach(([accountId, blockedIds]) => {
+    blockLists.set(accountId, blockedIds);
+  });
+  messageIndex.forEach(indexMessage);
+
+  // Helper function to get (or create) a room's message array
+  const getRoomMessages = (roomId) => {
+    if (!messages.has(roomId)) {
+      messages.set(roomId, []);
+    }
+    return messages.get(roomId);
+  };
+
+  // Helper function to list messages from others after an account's read position in a room
+  const unreadRoomMessages = (roomId, accountId) => {
+    const roomMessages = messages.get(roomId) || [];
+    const lastRead = readPositions.get(accountId)?.[roomId];
+    const start = lastRead ? findPosition(roomMessages, lastRead) + 1 : 0;
+
+    return roomMessages
+      .slice(start)
+      .filter((message) => message.senderId !== accountId && message.type !== 'system' && !message.deleted);
+  };
+
+  return {
+    // Accounts
+
+    async createAccount(account) {
+      accounts.set(account.id, account);
+      return account;
+    },
+
+    async getAccount(accountId) {
+      return accounts.get(accountId) || null;
+    },
+
+    async findAccountByUsername(username) {
+      const needle = username.toLowerCase();
+      for (const account of accounts.values()) {
+        if (account.username.toLowerCase() === needle) return account;
+      }
+      return null;
+    },
+
+    // Rooms
+
+    async listRooms() {
+      return Array.from(rooms.values());
+    },
+
+    async getRoom(roomId) {
+      return rooms.get(roomId) || null;
+    },
+
+    async saveRoom(room) {
+      rooms.set(room.id, room);
+      getRoomMessages(room.id);
+      return room;
+    },
+
+    async findRoomByInviteCode(inviteCode) {
+      for (const room of rooms.values()) {
+        if (room.inviteCode === inviteCode) return room;
+      }
+      return null;
+    },
+
+    async countRooms() {
+      return rooms.size;
+    },
+
+    // Room memberships (the rooms an account receives messages from, not the one on screen)
+
+    async listMemberships(accountId) {
+      return memberships.get(accountId) || [];
+    },
+
+    /**
+     * Add a room to an account's memberships
+     * @param {string} accountId - Account ID
+     * @param {string} roomId - Room ID
+     * @returns {boolean} true if the account wasn't a member yet
+     */
+    async addMembership(accountId, roomId) {
+      const roomIds = memberships.get(accountId) || [];
+      if (roomIds.includes(roomId)) return false;
+
+      memberships.set(accountId, [...roomIds, roomId]);
+      return true;
+    },
+
+    /**
+     * Remove a room from an account's memberships
+     * @param {string} accountId - Account ID
+     * @param {string} roomId - Room ID
+     * @returns {boolean} true if the account was a member
+     */
+    async removeMembership(accountId, roomId) {
+      const roomIds = memberships.get(accountId) || [];
+      if (!roomIds.includes(roomId)) return false;
+
+      memberships.set(accountId, roomIds.filter((id) => id !== roomId));
+      return true;
+    },
+
+    // Direct message conversations (messages are stored under the conversation ID like a room)
+
+    async getConversation(conversationId) {
+      return conversations.get(conversationId) || null;
+    },
+
+    async saveConversation(conversation) {
+      conversations.set(conversation.id, conversation);
+      getRoomMessages(conversation.id);
+      return conversation;
+    },
+
+    /**
+     * List the conversations an account takes part in, most recently active first
+     * @param {string} accountId - Account ID
+     * @returns {Array} Conversations
+     */
+    async listConversations(accountId) {
+      const lastActivity = (conversation) => {
+        const conversationMessages = messages.get(conversation.id) || [];
+        return conversationMessages[conversationMessages.length - 1]?.timestamp || conversation.createdAt;
+      };
+
+      return Array.from(conversations.values())
+        .filter((conversation) => conversation.participants.includes(accountId))
+        .sort((a, b) => lastActivity(b).localeCompare(lastActivity(a)));
+    },
+
+    /**
+     * Move a participant's read position forward
+     * @param {string} conversationId - Conversation ID
+     * @param {string} accountId - Reader's account ID
+     * @param {string} messageId - Newest message they have seen
+     * @returns {boolean} true if the read position moved
+     */
+    async markConversationRead(conversationId, accountId, messageId) {
+      const conversation = conversations.get(conversationId);
+      const conversationMessages = messages.get(conversationId) || [];
+      if (!conversation) return false;
+
+      const index = findPosition(conversationMessages, messageId);
+      const lastRead = conversation.lastRead?.[accountId];
+      if (index === -1) return false;
+      if (lastRead && findPosition(conversationMessages, lastRead) >= index) {
+        return false;
+      }
+
+      conversation.lastRead = { ...conversation.lastRead, [accountId]: messageId };
+      return true;
+    },
+
+    /**
+     * Count messages from others after an account's read position
+     * @param {string} conversationId - Conversation ID
+     * @param {string} accountId - Reader's account ID
+     * @returns {number} Unread message count
+     */
+    async countUnread(conversationId, accountId) {
+      const conversation = conversations.get(conversationId);
+      const conversationMessages = messages.get(conversationId) || [];
+      if (!conversation) return 0;
+
+      const lastRead = conversation.lastRead?.[accountId];
+      const start = lastRead ? findPosition(conversationMessages, lastRead) + 1 : 0;
+
+      return conversationMessages
+        .slice(start)
+        .filter((message) => message.senderId !== accountId && !message.deleted).length;
+    },
+
+    // Messages
+
+    async addMessage(message) {
+      if (message.parentId && !threads.has(message.parentId)) {
+        threads.set(message.parentId, []);
+      }
+      const list = message.parentId ? threads.get(message.parentId) : getRoomMessages(message.room);
+      list.push(message);
+      trackMessage(message, list.length - 1);
+      indexMessage(message);
+      return message;
+    },
+
+    async getMessage(roomId, messageId) {
+      const message = messageIndex.get(messageId);
+      return message && message.room === roomId ? message : null;
+    },
+
+    /**
+     * Shallow-merge changes into a stored message
+     * @returns {Object|null} Updated message, or null if not found
+     */
+    async updateMessage(roomId, messageId, changes) {
+      const message = messageIndex.get(messageId);
+      if (!message || message.room !== roomId) return null;
+
+      Object.assign(message, changes);
+      indexMessage(message);
+      return message;
+    },
+
+    /**
+     * Get a page of top-level messages in a room, newest page first
+     * @param {string} roomId - Room ID
+     * @param {Object} options - { before, limit, through } where before is a message ID cursor
+     *   and through a message the page must reach back to (omit limit for the full history)
+     * @returns {Object} { messages (oldest first), hasMore }
+     */
+    async getMessages(roomId, options = {}) {
+      const roomMessages = messages.get(roomId) || [];
+      return paginate(roomMessages, options, (messageId) => findPosition(roomMessages, messageId));
+    },
+
+    /**
+     * Search messages (top-level and replies) in a set of rooms, newest first
+     * Every word in the query must match the start of a word in the message or its file name.
+     * @param {Object} options - { query, roomIds, senderId, after, before (ISO timestamps),
+     *   has ('file' or 'link'), offset, limit }
+     * @returns {Object} { results, total }
+     */
+    async searchMessages({ query = '', roomIds = [], senderId, after, before, has, offset = 0, limit = 20 }) {
+      let candidates = null; // null means every message in the rooms
+
+      for (const term of tokenize(query)) {
+        const matches = new Set();
+        searchIndex.forEach((ids, token) => {
+          if (token.startsWith(term)) ids.forEach((id) => matches.add(id));
+        });
+        candidates = candidates ? new Set([...candidates].filter((id) => matches.has(id))) : matches;
+        if (candidates.size === 0) break;
+      }
+
+      const rooms = new Set(roomIds);
+      const pool = candidates
+        ? [...candidates].map((id) => messageIndex.get(id))
+        : roomIds.flatMap((roomId) => roomIndex.get(roomId) || []);
+      const hits = pool
+        .filter((message) =>
+          rooms.has(message.room) &&
+          !message.deleted &&
+          message.type !== 'system' &&
+          (!senderId || message.senderId === senderId) &&
+          (!after || message.timestamp >= after) &&
+          (!before || message.timestamp < before) &&
+          (has !== 'file' || Boolean(message.fileData)) &&
+          (has !== 'link' || /https?:\/\//.test(message.message || ''))
+        )
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+      return { results: hits.slice(offset, offset + limit), total: hits.length };
+    },
+
+    /**
+     * Get top-level messages posted after a known message (for reconnect catch-up)
+     * @param {string} roomId - Room ID
+     * @param {string} sinceMessageId - Last message the client has
+     * @param {Object} options - { limit }
+     * @returns {Object|null} { messages (oldest first), hasMore }, or null if the cursor is unknown
+     */
+    async getMessagesSince(roomId, sinceMessageId, { limit } = {}) {
+      const roomMessages = messages.get(roomId) || [];
+      const index = findPosition(roomMessages, sinceMessageId);
+      if (index === -1) return null;
+
+      const start = index + 1;
+      const end = limit ? Math.min(roomMessages.length, start + limit) : roomMessages.length;
+      return {
+        messages: roomMessages.slice(start, end),
+        hasMore: end < roomMessages.length,
+      };
+    },
+
+    /**
+     * Get a page of replies to a message, newest page first
+     * @param {string} parentId - Thread parent message ID
+     * @param {Object} options - { before, limit }
+     * @returns {Object} { messages (oldest first), hasMore }
+     */
+    async getThreadMessages(parentId, options = {}) {
+      const replies = threads.get(parentId) || [];
+      return paginate(replies, options, (messageId) => findPosition(replies, messageId));
+    },
+
+    // Read positions (direct message conversations track theirs on the conversation)
+
+    async getReadPosition(roomId, accountId) {
+      return readPositions.get(accountId)?.[roomId] || null;
+    },
+
+    /**
+     * Start an account's read position at a room's newest message (if it has none yet)
+     * so joining doesn't count the whole history as unread (null while the room is empty)
+     * @param {string} roomId - Room ID
+     * @param {string} accountId - Account ID
+     */
+    async initReadPosition(roomId, accountId) {
+      const roomMessages = messages.get(roomId) || [];
+      const positions = readPositions.get(accountId) || {};
+      if (roomId in positions) return;
+
+      readPositions.set(accountId, { ...positions, [roomId]: roomMessages.at(-1)?.id ?? null });
+    },
+
+    /**
+     * Move an account's read position in a room forward and add them to the
+     * readBy list of the messages it passes
+     * @param {string} roomId - Room ID
+     * @param {string} accountId - Reader's account ID
+     * @param {string} username - Reader's username (for readBy)
+     * @param {string} messageId - Newest message they have seen
+     * @returns {Array|null} IDs of the messages newly read, or null if the position didn't move
+     */
+    async markRoomRead(roomId, accountId, username, messageId) {
+      const roomMessages = messages.get(roomId) || [];
+      const index = findPosition(roomMessages, messageId);
+      if (index === -1) return null;
+
+      const positions = readPositions.get(accountId) || {};
+      const previousIndex = roomId in positions
+        ? findPosition(roomMessages, positions[roomId])
+        : index - 1;
+      if (previousIndex >= index) return null;
+
+      readPositions.set(accountId, { ...positions, [roomId]: messageId });
+
+      const newlyRead = roomMessages
+        .slice(previousIndex + 1, index + 1)
+        .filter((message) => message.senderId !== accountId && message.type !== 'system' && !message.deleted);
+      newlyRead.forEach((message) => {
+        message.readBy = message.readBy || [];
+        if (!message.readBy.includes(username)) {
+          message.readBy.push(username);
+        }
+      });
+
+      return newlyRead.map((message) => message.id);
+    },
+
+    /**
+     * Count messages from others after an account's read position in a room
+     * @param {string} roomId - Room ID
+     * @param {string} accountId - Reader's account ID
+     * @returns {number} Unread message count
+     */
+    async countRoomUnread(roomId, accountId) {
+      return unreadRoomMessages(roomId, accountId).length;
+    },
+
+    /**
+     * Count unread messages in a room that mention an account (by name, @here or @room)
+     * @param {string} roomId - Room ID
+     * @param {string} accountId - Reader's account ID
+     * @returns {number} Unread mention count
+     */
+    async countRoomMentions(roomId, accountId) {
+      return unreadRoomMessages(roomId, accountId)
+        .filter(({ mentions }) => mentions && (mentions.room || mentions.userIds.includes(accountId)))
+        .length;
+    },
+
+    // Uploads (one record per stored file, attached to a message once it is posted)
+
+    async addUpload(upload) {
+      uploads.set(upload.id, upload);
+      return upload;
+    },
+
+    async getUpload(uploadId) {
+      return uploads.get(uploadId) || null;
+    },
+
+    /**
+     * Attach an upload to the message that posts it (each upload can be posted once)
+     * @param {string} uploadId - Upload ID
+     * @param {Object} target - { room, messageId }
+     * @returns {Object|null} Updated upload, or null if missing or already attached
+     */
+    async attachUpload(uploadId, { room, messageId }) {
+      const upload = uploads.get(uploadId);
+      if (!upload || upload.messageId) return null;
+
+      Object.assign(upload, { room, messageId });
+      return upload;
+    },
+
+    /**
+     * Total size of the files an account has uploaded since a point in time
+     * @param {string} uploaderId - Account ID
+     * @param {string} since - ISO timestamp
+     * @returns {number} Bytes
+     */
+    async sumUploadBytes(uploaderId, since) {
+      let total = 0;
+      uploads.forEach((upload) => {
+        if (upload.uploaderId === uploaderId && upload.createdAt >= since) total += upload.size;
+      });
+      return total;
+    },
+
+    // Moderation queue (messages the content filter flagged, until a moderator reviews them)
+
+    /**
+     * Queue a flagged message for review (flagging it again, e.g. after an edit, replaces the entry)
+     * @param {Object} flag - { messageId, room, senderId, rules, flaggedAt }
+     * @returns {Object} Flag
+     */
+    async addFlag(flag) {
+      flags.delete(flag.messageId);
+      flags.set(flag.messageId, flag);
+      return flag;
+    },
+
+    async getFlag(messageId) {
+      return flags.get(messageId) || null;
+    },
+
+    async listFlags() {
+      return Array.from(flags.values());
+    },
+
+    async removeFlag(messageId) {
+      return flags.delete(messageId);
+    },
+
+    /**
+     * Store a user's report of a message (each user can report a message once)
+     * @param {Object} report - { id, messageId, room, senderId, reporterId, reason, createdAt }
+     * @returns {Object|null} Report, or null if the reporter already reported the message
+     */
+    async addReport(report) {
+      const duplicate = Array.from(reports.values()).some(
+        (existing) => existing.messageId === report.messageId && existing.reporterId === report.reporterId
+      );
+      if (duplicate) return null;
+
+      reports.set(report.id, report);
+      return report;
+    },
+
+    async listReports() {
+      return Array.from(reports.values());
+    },
+
+    /**
+     * Drop every report of a message (once it has been reviewed or deleted)
+     * @param {string} messageId - Message ID
+     * @returns {number} Reports removed
+     */
+    async removeReports(messageId) {
+      let removed = 0;
+      reports.forEach((report, id) => {
+        if (report.messageId !== messageId) return;
+        reports.delete(id);
+        removed += 1;
+      });
+      return removed;
+    },
+
+    // Block lists (whose messages an account doesn't want to see or receive)
+
+    async getBlockList(accountId) {
+      return blockLists.get(accountId) || [];
+    },
+
+    /**
+     * Block or unblock an account
+     * @param {string} accountId - Account doing the blocking
+     * @param {string} blockedId - Account being blocked
+     * @param {boolean} blocked - true to block, false to unblock
+     * @returns {Array} The account's updated block list
+     */
+    async setBlocked(accountId, blockedId, blocked) {
+      const others = (blockLists.get(accountId) || []).filter((id) => id !== blockedId);
+      const updated = blocked ? [...others, blockedId] : others;
+      blockLists.set(accountId, updated);
+      return updated;
+    },
+
+    // Idempotency keys (so replayed client requests only take effect once)
+
+    async getIdempotentResult(key) {
+      const entry = idempotencyKeys.get(key);
+      if (!entry) return null;
+
+      if (Date.now() - entry.createdAt > IDEMPOTENCY_TTL_MS) {
+        idempotencyKeys.delete(key);
+        return null;
+      }
+      return entry.result;
+    },
+
+    async saveIdempotentResult(key, result) {
+      const now = Date.now();
+
+      // Drop expired keys (Map iterates oldest first)
+      for (const [oldKey, entry] of idempotencyKeys) {
+        if (now - entry.createdAt <= IDEMPOTENCY_TTL_MS) break;
+        idempotencyKeys.delete(oldKey);
+      }
+
+      idempotencyKeys.set(key, { result, createdAt: now });
+      return result;
+    },
+
+    // Persistence hooks
+
+    toJSON() {
+      return {
+        accounts: Array.from(accounts.values()),
+        rooms: Array.from(rooms.values()),
+        conversations: Array.from(conversations.values()),
+        memberships: Object.fromEntries(memberships),
+        readPositions: Object.fromEntries(readPositions),
+        messages: Object.fromEntries(messages),
+        threads: Object.fromEntries(threads),
+        idempotencyKeys: Array.from(idempotencyKeys.entries()),
+        uploads: Array.from(uploads.values()),
+        flags: Array.from(flags.values()),
+        reports: Array.from(reports.values()),
+        blockLists: Object.fromEntries(blockLists),
+      };
+    },
+
+    async flush() {},
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,70 @@
+// fileStore.test.js - File-backed storage adapter (journal and compaction)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../storage');
+
+// Helper function to make an empty data directory for one test
+const makeDataDir = (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+};
+
+// Helper function to build a message
+const makeMessage = (id) => ({ id, room: 'global', senderId: 'alice', message: id, timestamp: new Date().toISOString() });
+
+test('appends changes to a journal and replays them on load', async (t) => {
+  const dataDir = makeDataDir(t);
+  const store = createFileStore({ dataDir });
+  await store.addMessage(makeMessage('m1'));
+  await store.addMessage(makeMessage('m2'));
+  await store.updateMessage('global', 'm1', { message: 'edited' });
+  await store.flush();
+
+  assert.equal(fs.existsSync(path.join(dataDir, 'chat-data.json')), false);
+  const lines = fs.readFileSync(path.join(dataDir, 'chat-journal-0.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(lines.length, 3);
+
+  const reloaded = createFileStore({ dataDir });
+  const { messages } = await reloaded.getMessages('global');
+  assert.deepEqual(messages.map(({ id, message }) => [id, message]), [['m1', 'edited'], ['m2', 'm2']]);
+});
+
+test('folds a long journal into a snapshot and starts a new one', async (t) => {
+  const dataDir = makeDataDir(t);
+  const store = createFileStore({ dataDir, compactAfter: 3 });
+  await store.addMessage(makeMessage('m1'));
+  await store.addMessage(makeMessage('m2'));
+  await store.flush();
+  await store.addMessage(makeMessage('m3'));
+  await store.flush();
+  await store.addMessage(makeMessage('m4'));
+  await store.flush();
+
+  const snapshot = JSON.parse(fs.readFileSync(path.join(dataDir, 'chat-data.json'), 'utf8'));
+  assert.equal(snapshot.generation, 1);
+  assert.equal(snapshot.messages.global.length, 3);
+  assert.equal(fs.existsSync(path.join(dataDir, 'chat-journal-0.jsonl')), false);
+  const lines = fs.readFileSync(path.join(dataDir, 'chat-journal-1.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(lines.length, 1);
+
+  const reloaded = createFileStore({ dataDir });
+  const { messages } = await reloaded.getMessages('global');
+  assert.deepEqual(messages.map(({ id }) => id), ['m1', 'm2', 'm3', 'm4']);
+});
+
+test('skips a change cut short at the end of the journal', async (t) => {
+  const dataDir = makeDataDir(t);
+  const store = createFileStore({ dataDir });
+  await store.addMessage(makeMessage('m1'));
+  await store.flush();
+  fs.appendFileSync(path.join(dataDir, 'chat-journal-0.jsonl'), '["addMessage",[{"id":"m2"');
+
+  t.mock.method(console, 'warn', () => {});
+  const reloaded = createFileStore({ dataDir });
+  assert.deepEqual((await reloaded.getMessages('global')).messages.map(({ id }) => id), ['m1']);
+});
@@ -0,0 +1,101 @@
+// memoryStore.test.js - In-memory storage adapter
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../storage');
+
+// Helper function to build a message
+const makeMessage = (id, overrides = {}) => ({
+  id,
+  room: 'global',
+  senderId: 'alice',
+  message: `message ${id}`,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, Number(id.slice(1)))).toISOString(),
+  ...overrides,
+});
+
+// Helper function to create a store holding m1..m<count> in the global room
+const createStoreWithMessages = async (count) => {
+  const store = createMemoryStore();
+  for (let i = 1; i <= count; i += 1) {
+    await store.addMessage(makeMessage(`m${i}`));
+  }
+  return store;
+};
+
+test('pages through a room newest first', async () => {
+  const store = await createStoreWithMessages(5);
+
+  const latest = await store.getMessages('global', { limit: 2 });
+  assert.deepEqual(latest.messages.map(({ id }) => id), ['m4', 'm5']);
+  assert.equal(latest.hasMore, true);
+
+  const older = await store.getMessages('global', { before: 'm4', limit: 2 });
+  assert.deepEqual(older.messages.map(({ id }) => id), ['m2', 'm3']);
+
+  const unknown = await store.getMessages('global', { before: 'missing', limit: 2 });
+  assert.deepEqual(unknown, { messages: [], hasMore: false });
+});
+
+test('returns what was posted after a known message', async () => {
+  const store = await createStoreWithMessages(4);
+
+  const page = await store.getMessagesSince('global', 'm2');
+  assert.deepEqual(page.messages.map(({ id }) => id), ['m3', 'm4']);
+  assert.equal(await store.getMessagesSince('other', 'm2'), null);
+});
+
+test('counts unread messages and mentions from the read position', async () => {
+  const store = await createStoreWithMessages(3);
+  await store.addMessage(makeMessage('m4', { senderId: 'bob', mentions: { room: false, userIds: ['alice'] } }));
+  await store.addMessage(makeMessage('m5', { senderId: 'bob' }));
+
+  assert.equal(await store.countRoomUnread('global', 'alice'), 2);
+  assert.deepEqual(await store.markRoomRead('global', 'alice', 'alice', 'm4'), ['m4']);
+  assert.equal(await store.countRoomUnread('global', 'alice'), 1);
+  assert.equal(await store.countRoomMentions('global', 'alice'), 0);
+
+  // Read positions only move forward
+  assert.equal(await store.markRoomRead('global', 'alice', 'alice', 'm2'), null);
+});
+
+test('keeps thread replies out of the room and pages them separately', async () => {
+  const store = await createStoreWithMessages(2);
+  await store.addMessage(makeMessage('m3', { parentId: 'm1' }));
+  await store.addMessage(makeMessage('m4', { parentId: 'm1' }));
+
+  const room = await store.getMessages('global');
+  assert.deepEqual(room.messages.map(({ id }) => id), ['m1', 'm2']);
+
+  const thread = await store.getThreadMessages('m1', { before: 'm4' });
+  assert.deepEqual(thread.messages.map(({ id }) => id), ['m3']);
+});
+
+test('searches only the given rooms, by word prefix and filters', async () => {
+  const store = createMemoryStore();
+  await store.addMessage(makeMessage('m1', { message: 'Deploying tonight' }));
+  await store.addMessage(makeMessage('m2', { message: 'deploy done', senderId: 'bob' }));
+  await store.addMessage(makeMessage('m3', { message: 'deploy elsewhere', room: 'ops' }));
+  await store.addMessage(makeMessage('m4', { message: 'see https://example.com' }));
+
+  const byWord = await store.searchMessages({ query: 'deplo', roomIds: ['global'] });
+  assert.deepEqual(byWord.results.map(({ id }) => id), ['m2', 'm1']);
+
+  const bySender = await store.searchMessages({ query: 'deploy', roomIds: ['global'], senderId: 'alice' });
+  assert.deepEqual(bySender.results.map(({ id }) => id), ['m1']);
+
+  const links = await store.searchMessages({ roomIds: ['global', 'ops'], has: 'link' });
+  assert.deepEqual(links.results.map(({ id }) => id), ['m4']);
+
+  await store.updateMessage('global', 'm2', { deleted: true, message: '' });
+  assert.equal((await store.searchMessages({ query: 'deploy', roomIds: ['global'] })).total, 1);
+});
+
+test('loads the snapshot it produces', async () => {
+  const store = await createStoreWithMessages(3);
+  await store.markRoomRead('global', 'bob', 'bob', 'm2');
+
+  const copy = createMemoryStore(JSON.parse(JSON.stringify(store.toJSON())));
+  assert.deepEqual((await copy.getMessagesSince('global', 'm1')).messages.map(({ id }) => id), ['m2', 'm3']);
+  assert.equal(await copy.countRoomUnread('global', 'bob'), 1);
+});
@@ -0,0 +1,60 @@
+// previews.test.js - Link previews (with a stubbed fetcher, so nothing leaves the machine)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLinkPreviewer, findLinks } = require('../previews');
+const { fetchMetadata, isPrivateAddress } = require('../previews/httpFetcher');
+
+// Helper function to build a fetcher that answers every link with the same metadata
+const createStubFetcher = (metadata) => {
+  const fetched = [];
+  return {
+    fetched,
+    fetchMetadata: async (url) => {
+      fetched.push(url);
+      return metadata;
+    },
+  };
+};
+
+test('finds links outside code, without trailing punctuation', () => {
+  assert.deepEqual(
+    findLinks('see https://example.com/a. and `https://example.com/code` or (https://example.com/b)'),
+    ['https://example.com/a', 'https://example.com/b']
+  );
+});
+
+test('previews links through the fetcher and caches them', async () => {
+  const fetcher = createStubFetcher({ title: 'Example', image: 'https://93.184.216.34/cover.png' });
+  const previewer = createLinkPreviewer({ fetcher });
+
+  const [preview] = await previewer.getPreviews('look https://example.com/page');
+  assert.equal(preview.url, 'https://example.com/page');
+  assert.equal(preview.image, 'https://93.184.216.34/cover.png');
+
+  await previewer.getPreview('https://example.com/page');
+  assert.equal(fetcher.fetched.length, 1);
+});
+
+test('drops preview images on private addresses or other protocols', async () => {
+  for (const image of ['http://127.0.0.1/admin.png', 'http://[::1]/x.png', 'http://10.0.0.5/x.png', 'file:///etc/passwd']) {
+    const previewer = createLinkPreviewer({ fetcher: createStubFetcher({ title: 'Page', image }) });
+    const preview = await previewer.getPreview('https://example.com/');
+    assert.equal(preview.title, 'Page');
+    assert.equal(preview.image, null, image);
+  }
+});
+
+test('skips links the sender removed and links without a preview', async () => {
+  const previewer = createLinkPreviewer({ fetcher: createStubFetcher(null) });
+  assert.deepEqual(await previewer.getPreviews('https://example.com/a https://example.com/b', ['https://example.com/a']), []);
+});
+
+test('refuses to fetch pages on private addresses', async () => {
+  assert.equal(isPrivateAddress('192.168.1.10'), true);
+  assert.equal(isPrivateAddress('::ffff:7f00:1'), true);
+  assert.equal(isPrivateAddress('93.184.216.34'), false);
+
+  await assert.rejects(fetchMetadata('http://127.0.0.1:9/'), /private address/);
+  await assert.rejects(fetchMetadata('ftp://example.com/'), /Unsupported protocol/);
+});
@@ -0,0 +1,143 @@
+// uploadSessions.js - Chunked, resumable uploads
+// A session collects a file's bytes in order in a partial file; a client whose connection
+// drops asks how much arrived and carries on from there. Finished sessions keep their result
+// for a few minutes, so a client that lost the last response can still collect it.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const FINISHED_TTL_MS = 5 * 60 * 1000; // How long a finished session's result can be collected
+
+/**
+ * Create the tracker for in-progress chunked uploads
+ * Partial files left over from a previous run are removed.
+ * @param {Object} options - { dir (where partial files go), ttlMs (idle sessions are dropped after this) }
+ * @returns {Object} Tracker with create, get, countOpen, reservedBytes, append, take, finish and remove
+ */
+const createUploadSessions = ({ dir, ttlMs }) => {
+  // sessionId -> { id, accountId, originalName, size, received, updatedAt, busy, taken, result }
+  const sessions = new Map();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const getPath = (session) => path.join(dir, session.id);
+
+  /**
+   * Forget a session and delete what it received
+   * @param {Object} session - Session
+   */
+  const remove = async (session) => {
+    sessions.delete(session.id);
+    await fs.promises.rm(getPath(session), { force: true });
+  };
+
+  // Drop sessions nobody has added to for a while
+  setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    sessions.forEach((session) => {
+      if (!session.busy && !session.taken && session.updatedAt < cutoff) {
+        remove(session).catch(() => {});
+      }
+    });
+  }, ttlMs).unref();
+
+  /**
+   * Start a session for a file
+   * @param {Object} details - { accountId, originalName, size }
+   * @returns {Promise<Object>} Session
+   */
+  const create = async ({ accountId, originalName, size }) => {
+    const session = {
+      id: uuidv4(),
+      accountId,
+      originalName,
+      size,
+      received: 0,
+      updatedAt: Date.now(),
+      busy: false,
+      taken: false, // Complete and handed over (its bytes count as an upload, not a session)
+      result: null, // Outcome once finished
+    };
+    await fs.promises.writeFile(getPath(session), '');
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  /**
+   * Find one of an account's sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} accountId - Account that started it
+   * @returns {Object|null} Session
+   */
+  const get = (sessionId, accountId) => {
+    const session = sessions.get(sessionId);
+    return session && session.accountId === accountId ? session : null;
+  };
+
+  // Helper function to list an account's sessions that are still receiving bytes
+  const getOpenSessions = (accountId) =>
+    Array.from(sessions.values()).filter((session) => session.accountId === accountId && !session.taken);
+
+  /**
+   * Count an account's sessions that are still receiving bytes
+   * @param {string} accountId - Account ID
+   * @returns {number} Open sessions
+   */
+  const countOpen = (accountId) => getOpenSessions(accountId).length;
+
+  /**
+   * Total declared size of an account's open sessions (held against their upload quota)
+   * @param {string} accountId - Account ID
+   * @returns {number} Bytes
+   */
+  const reservedBytes = (accountId) => getOpenSessions(accountId).reduce((total, session) => total + session.size, 0);
+
+  /**
+   * Add the next chunk (chunks must arrive in order, one at a time)
+   * @param {Object} session - Session
+   * @param {number} offset - Where the chunk starts in the file
+   * @param {Buffer} chunk - Chunk bytes
+   * @returns {Promise<string|null>} Error message, or null once the chunk is stored
+   */
+  const append = async (session, offset, chunk) => {
+    if (session.busy) return 'Another chunk is still being written';
+    if (offset !== session.received) return `Expected the chunk at offset ${session.received}`;
+    if (session.received + chunk.length > session.size) return 'Chunk goes past the end of the file';
+
+    session.busy = true;
+    try {
+      await fs.promises.appendFile(getPath(session), chunk);
+      session.received += chunk.length;
+      session.updatedAt = Date.now();
+      return null;
+    } finally {
+      session.busy = false;
+    }
+  };
+
+  /**
+   * Hand over a complete file: the caller owns the file and reports back with finish
+   * @param {Object} session - Session
+   * @returns {string} Path of the received file
+   */
+  const take = (session) => {
+    session.taken = true;
+    return getPath(session);
+  };
+
+  /**
+   * Record how a taken session ended; the session is forgotten after FINISHED_TTL_MS
+   * @param {Object} session - Session
+   * @param {Object} result - { status, error } or { status, fileData }
+   */
+  const finish = (session, result) => {
+    session.result = result;
+    setTimeout(() => sessions.delete(session.id), FINISHED_TTL_MS).unref();
+  };
+
+  return { create, get, countOpen, reservedBytes, append, take, finish, remove };
+};
+
+module.exports = { createUploadSessions };
@@ -0,0 +1,152 @@
+// uploads.js - Inspect uploaded files: their real type, and image sizes and thumbnails
+
+const fs = require('fs');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+const THUMBNAIL_SIZE = 480; // Longest side of a thumbnail, in pixels
+const BLURHASH_SIZE = 32; // Images are shrunk to this before encoding their placeholder
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+const SNIFF_BYTES = 64 * 1024; // How much of a file is read to detect its type
+
+// Types accepted when UPLOAD_ALLOWED_TYPES isn't set (matches the client's file picker)
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+];
+
+// Magic bytes at the start of the file (null matches any byte)
+const SIGNATURES = [
+  { mimetype: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimetype: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/gif', extension: '.gif', bytes: [...Buffer.from('GIF8')] },
+  {
+    mimetype: 'image/webp',
+    extension: '.webp',
+    bytes: [...Buffer.from('RIFF'), null, null, null, null, ...Buffer.from('WEBP')],
+  },
+  { mimetype: 'application/pdf', extension: '.pdf', bytes: [...Buffer.from('%PDF-')] },
+  { container: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { container: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+];
+
+// Office documents share a container format, so the file name decides which one it is
+const CONTAINER_TYPES = {
+  zip: {
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    default: 'application/zip',
+  },
+  ole: {
+    '.doc': 'application/msword',
+    '.xls': 'application/vnd.ms-excel',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    default: 'application/x-ole-storage',
+  },
+};
+
+// Helper function to check whether a buffer starts with a signature
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length && bytes.every((byte, index) => byte === null || buffer[index] === byte);
+
+// Helper function to check whether a buffer is UTF-8 text (no NUL or other control bytes)
+// (streaming mode, so a character cut off at the end of a sample doesn't count as invalid)
+const isText = (buffer) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return !/[\x00-\x08\x0b\x0e-\x1f\x7f]/.test(text);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Detect a file's type from its contents (the client's claimed type is ignored)
+ * @param {Buffer} buffer - File contents, or at least their first SNIFF_BYTES
+ * @param {string} originalName - Uploaded file name (only used to tell Office formats apart)
+ * @returns {Object|null} { mimetype, extension }, or null if the type isn't recognised
+ */
+const detectFileType = (buffer, originalName = '') => {
+  const signature = SIGNATURES.find(({ bytes }) => startsWith(buffer, bytes));
+
+  if (signature?.container) {
+    const extension = (/\.[a-z0-9]+$/i.exec(originalName)?.[0] || '').toLowerCase();
+    const types = CONTAINER_TYPES[signature.container];
+    return types[extension]
+      ? { mimetype: types[extension], extension }
+      : { mimetype: types.default, extension: `.${signature.container === 'zip' ? 'zip' : 'bin'}` };
+  }
+  if (signature) {
+    return { mimetype: signature.mimetype, extension: signature.extension };
+  }
+
+  return buffer.length > 0 && isText(buffer) ? { mimetype: 'text/plain', extension: '.txt' } : null;
+};
+
+/**
+ * Detect the type of a file on disk from its first bytes
+ * @param {string} filePath - File path
+ * @param {string} originalName - Uploaded file name
+ * @returns {Promise<Object|null>} { mimetype, extension }, or null if the type isn't recognised
+ */
+const detectStoredFileType = async (filePath, originalName) => {
+  const handle = await fs.promises.open(filePath);
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return detectFileType(buffer.subarray(0, bytesRead), originalName);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Check a MIME type against an allow-list
+ * @param {string} mimetype - Detected type
+ * @param {Array} allowedTypes - Types such as "image/png", or "image/*" for a whole family
+ * @returns {boolean} true if allowed
+ */
+const isAllowedType = (mimetype, allowedTypes) =>
+  allowedTypes.some((allowed) =>
+    allowed.endsWith('/*') ? mimetype.startsWith(allowed.slice(0, -1)) : mimetype === allowed
+  );
+
+/**
+ * Measure an image and make its thumbnail and blurhash placeholder
+ * Dimensions follow the EXIF orientation, as browsers display it.
+ * @param {Buffer|string} input - Image contents or file path
+ * @returns {Promise<Object>} { width, height, blurhash, thumbnail (WebP Buffer) }
+ */
+const describeImage = async (input) => {
+  const { autoOrient } = await sharp(input).metadata();
+
+  const thumbnail = await sharp(input)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const blurhash = encode(
+    new Uint8ClampedArray(data),
+    info.width,
+    info.height,
+    BLURHASH_COMPONENTS.x,
+    BLURHASH_COMPONENTS.y
+  );
+
+  return { width: autoOrient.width, height: autoOrient.height, blurhash, thumbnail };
+};
+
+module.exports = { DEFAULT_ALLOWED_TYPES, detectFileType, detectStoredFileType, isAllowedType, describeImage };
@@ -0,0 +1,251 @@
+// validation.js - Payload schemas for socket events and API request bodies
+// A schema maps each field to a rule. validate() checks a payload against it and returns a
+// clean copy (unknown fields dropped, names trimmed) or the first problem it finds, so
+// handlers never see a payload of the wrong shape.
+
+const { USERNAME_PATTERN, MIN_PASSWORD_LENGTH } = require('./auth');
+
+// Error code on every rejected payload (clients can tell these apart from other failures)
+const INVALID_PAYLOAD = 'invalid_payload';
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_FILENAME_LENGTH = 255;
+const MAX_URL_LENGTH = 2048;
+const MAX_PASSWORD_LENGTH = 128; // Keeps password hashing cheap
+const MAX_ID_LENGTH = 100; // Room, message, account, upload and client IDs
+const MAX_REPORT_REASON_LENGTH = 500;
+const MAX_MUTE_SECONDS = 7 * 24 * 60 * 60; // Longest mute a moderator can hand out
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60; // Longest wait between posts a room can require
+
+// UUIDs, "global", dm:<id>:<id> conversations and client-generated IDs
+const ID_PATTERN = /^[\w.:-]+$/;
+
+// Reactions the message menu offers, and statuses users can pick
+const REACTIONS = ['thumbsup', 'heart', 'laugh', 'party', 'fire'];
+const STATUSES = ['online', 'away', 'busy'];
+
+/**
+ * Text rule
+ * @param {Object} options - { min (non-blank length), max, trim, pattern, patternMessage, label }
+ * @returns {Object} Rule
+ */
+const text = ({ min = 1, max, trim = false, pattern, patternMessage, label } = {}) => ({
+  label,
+  check: (value, name) => {
+    if (typeof value !== 'string') return { error: `${name} must be text` };
+
+    const cleaned = trim ? value.trim() : value;
+    if (!cleaned.trim()) return { error: `${name} cannot be empty` };
+    if (cleaned.length < min) return { error: `${name} must be at least ${min} characters` };
+    if (max && cleaned.length > max) return { error: `${name} must be at most ${max} characters` };
+    if (pattern && !pattern.test(cleaned)) return { error: patternMessage || `${name} is not valid` };
+    return { value: cleaned };
+  },
+});
+
+/**
+ * ID rule (room, message, account, upload or client ID)
+ * @param {Object} options - { label }
+ * @returns {Object} Rule
+ */
+const id = ({ label } = {}) => ({
+  label,
+  check: (value, name) =>
+    typeof value === 'string' && value.length <= MAX_ID_LENGTH && ID_PATTERN.test(value)
+      ? { value }
+      : { error: `${name} must be a valid ID` },
+});
+
+/**
+ * Number rule
+ * @param {Object} options - { min, max, integer, label }
+ * @returns {Object} Rule
+ */
+const number = ({ min = -Infinity, max = Infinity, integer = false, label } = {}) => ({
+  label,
+  check: (value, name) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      return { error: `${name} must be ${integer ? 'a whole number' : 'a number'}` };
+    }
+    if (value < min || value > max) {
+      return { error: max === Infinity ? `${name} must be at least ${min}` : `${name} must be ${min}-${max}` };
+    }
+    return { value };
+  },
+});
+
+/**
+ * true/false rule
+ * @param {Object} options - { label }
+ * @returns {Object} Rule
+ */
+const boolean = ({ label } = {}) => ({
+  label,
+  check: (value, name) => (typeof value === 'boolean' ? { value } : { error: `${name} must be true or false` }),
+});
+
+/**
+ * Rule for one of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @param {Object} options - { label }
+ * @returns {Object} Rule
+ */
+const oneOf = (values, { label } = {}) => ({
+  label,
+  check: (value, name) =>
+    values.includes(value) ? { value } : { error: `${name} must be one of: ${values.join(', ')}` },
+});
+
+/**
+ * Let a field be left out (or null); handlers fill in their own defaults
+ * @param {Object} rule - Rule for the field when it is present
+ * @returns {Object} Rule
+ */
+const optional = (rule) => ({ ...rule, optional: true });
+
+/**
+ * Check a payload against a schema
+ * @param {Object} schema - Field name -> rule
+ * @param {*} payload - Payload sent by the client
+ * @returns {Object} { value } with only the schema's fields, or { error: { field, message } }
+ */
+const validate = (schema, payload = {}) => {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: { field: null, message: 'Request must be an object' } };
+  }
+
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const name = rule.label || field;
+    const raw = payload[field];
+
+    if (raw === undefined || raw === null) {
+      if (rule.optional) continue;
+      return { error: { field, message: `${name} is required` } };
+    }
+
+    const result = rule.check(raw, name);
+    if (result.error) return { error: { field, message: result.error } };
+    value[field] = result.value;
+  }
+
+  return { value };
+};
+
+// Fields shared by many events (room defaults to the global room in the handlers)
+const room = optional(id());
+const clientId = optional(id());
+const targetUser = { roomId: id(), userId: id() };
+const messageText = text({ max: MAX_MESSAGE_LENGTH, trim: true, label: 'Message' }); // Sent and edited alike
+const postingRules = {
+  slowModeSeconds: optional(
+    number({ min: 0, max: MAX_SLOW_MODE_SECONDS, integer: true, label: 'Slow mode (seconds)' })
+  ),
+  readOnly: optional(boolean()),
+};
+
+// Every socket event a client may send
+const EVENT_SCHEMAS = {
+  user_join: { avatar: optional(text({ max: MAX_URL_LENGTH, label: 'Avatar' })), room, resume: optional(boolean()) },
+  sync: { room, sinceMessageId: optional(id()) },
+  send_message: { message: messageText, room, parentId: optional(id()), clientId },
+  load_thread: { room, parentId: id(), before: optional(id()), limit: optional(number({ min: 1, integer: true })) },
+  typing: { isTyping: boolean(), room, parentId: optional(id()) },
+  open_dm: { userId: id() },
+  private_message: { to: id(), message: messageText, clientId },
+  mark_dm_read: { room: id(), messageId: id() },
+  add_reaction: { messageId: id(), reaction: oneOf(REACTIONS, { label: 'Reaction' }), room, clientId },
+  edit_message: { messageId: id(), message: messageText, room },
+  remove_link_preview: { messageId: id(), room, url: text({ max: MAX_URL_LENGTH, label: 'Link' }) },
+  delete_message: { messageId: id(), room },
+  mark_room_read: { room: id(), messageId: id() },
+  join_room: { roomId: id(), history: optional(boolean()) },
+  leave_room: { roomId: id() },
+  load_older_messages: {
+    room,
+    before: id(),
+    limit: optional(number({ min: 1, integer: true })),
+    through: optional(id()),
+  },
+  create_room: {
+    name: text({ max: MAX_ROOM_NAME_LENGTH, trim: true, label: 'Room name' }),
+    isPrivate: optional(boolean()),
+    ...postingRules,
+  },
+  update_room: { roomId: id(), ...postingRules },
+  invite_to_room: targetUser,
+  join_with_invite: { code: text({ max: MAX_ID_LENGTH, trim: true, label: 'Invite code' }) },
+  request_to_join: { roomId: id() },
+  respond_to_join_request: { ...targetUser, approve: optional(boolean()) },
+  set_room_role: { ...targetUser, role: oneOf(['moderator', 'member'], { label: 'Role' }) },
+  kick_user: targetUser,
+  ban_user: targetUser,
+  unban_user: targetUser,
+  mute_user: { ...targetUser, duration: number({ min: 0, max: MAX_MUTE_SECONDS, label: 'Duration (seconds)' }) },
+  delete_any_message: { messageId: id(), room },
+  file_uploaded: { uploadId: id(), room, clientId },
+  report_message: {
+    messageId: id(),
+    room,
+    reason: optional(text({ max: MAX_REPORT_REASON_LENGTH, trim: true, label: 'Reason' })),
+  },
+  block_user: { userId: id(), blocked: boolean() },
+  update_status: { status: oneOf(STATUSES, { label: 'Status' }) },
+};
+
+// Register and login (usernames follow the same rules as the login screen)
+const credentials = {
+  username: text({
+    pattern: USERNAME_PATTERN,
+    patternMessage: 'Username must be 2-20 letters, numbers, hyphens or underscores',
+    label: 'Username',
+  }),
+  password: text({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, label: 'Password' }),
+};
+
+// JSON bodies accepted by the API
+const BODY_SCHEMAS = {
+  register: { ...credentials, avatar: optional(text({ max: MAX_URL_LENGTH, label: 'Avatar' })) },
+  login: credentials,
+  reviewFlag: { action: oneOf(['approve', 'remove'], { label: 'Action' }) },
+  createUpload: {
+    filename: text({ max: MAX_FILENAME_LENGTH, label: 'filename' }),
+    size: number({ min: 1, integer: true, label: 'size' }),
+  },
+};
+
+/**
+ * Check a socket event's payload against its schema
+ * @param {string} event - Event name
+ * @param {*} payload - Payload sent by the client
+ * @returns {Object} { value } or { error: { field, message } } (unknown events are errors)
+ */
+const validateEvent = (event, payload) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return { error: { field: null, message: `Unknown event: ${event}` } };
+  return validate(schema, payload);
+};
+
+/**
+ * Create an Express middleware that rejects request bodies that don't match a schema
+ * Invalid bodies get 400 { error, code, field }; valid ones replace req.body with the clean copy.
+ * @param {Object} schema - One of BODY_SCHEMAS
+ * @returns {Function} Express middleware
+ */
+const validateBody = (schema) => (req, res, next) => {
+  const { value, error } = validate(schema, req.body ?? {});
+  if (error) {
+    return res.status(400).json({ error: error.message, code: INVALID_PAYLOAD, field: error.field });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = {
+  INVALID_PAYLOAD,
+  BODY_SCHEMAS,
+  validateEvent,
+  validateBody,
+};